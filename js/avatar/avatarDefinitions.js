@@ -0,0 +1,429 @@
+// Avatar Definitions - The characters the avatar can be drawn as, described by data instead of code
+//
+// An avatar is a bundle of SVG parts, the rig they hang on, and which tracked channel
+// drives which part. A bundle can be written as JSON:
+//
+//   {
+//     "name": "robot", "label": "Robot",
+//     "svg": "<g data-part=\"upperBody\">...</g><g data-part=\"head\">...</g>",
+//     "rig": { "eyes": { "left": [-24, -58], "right": [24, -58], "width": 14, "height": 12 } },
+//     "channels": { "head": "helmet" },
+//     "hands": { "fill": "#5b6770", "palm": "#3d464d" }
+//   }
+//
+// or as an SVG file, with everything but the markup as JSON in its <metadata>:
+//
+//   <svg xmlns="http://www.w3.org/2000/svg">
+//     <metadata>{ "label": "Robot", "rig": { ... } }</metadata>
+//     <g data-part="upperBody">...</g>
+//   </svg>
+//
+// Parts are drawn in avatar pixels, y down, with the base of the neck at the origin
+// and the head around (0, -50). Each channel (AVATAR_CHANNELS) moves the part whose
+// data-part is the channel's name, unless "channels" names another part; channels
+// the avatar has no part for are left out. The channels are:
+//
+//   upperBody, neck                 the torso group (breathing) and the neck rect
+//   leftShoulder, rightShoulder     ellipses carried by the shoulders, with the arm groups
+//   leftArm, rightArm               each arm's group
+//   leftUpperArm ... rightForearm   turned about the shoulder, and about the elbow
+//   head                            carried by the neck; moved, scaled and rolled with the head
+//   leftEye, rightEye               ellipses that open, close and shift with the head's yaw
+//   leftIris ... rightPupil         ellipses that follow the gaze
+//   leftEyebrow, rightEyebrow       paths redrawn as the brows raise and frown
+//   mouth                           an ellipse that opens, smiles and moves with the jaw
+//   lowerBody                       the full-body group, tilted with the hips
+//   leftThigh ... rightFoot         nested groups: the shin inside the thigh, the foot inside the shin
+//
+// The upper body's parts are hung on a skeleton built from the rig (see avatarSkeleton.js),
+// so they needn't be nested in the SVG; the jointed hands are added to the forearms.
+// The rig (DEFAULT_RIG) gives the pivot points and rest lengths the parts are drawn
+// with; anything a bundle leaves out is the default, which fits the tricolor avatar.
+// Bundles made in the avatar editor also keep their "design" (see avatarDesigner.js).
+// Avatars loaded or designed by the user are kept in localStorage alongside the built-in ones.
+import { createDesignBundle, DEFAULT_DESIGN } from './avatarDesigner.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// The SVG elements and attributes avatar markup may use, besides data-* attributes. References
+// (use, href, xlink:href) and animation (animate, set, values, to) are left out, as they can run
+// script; a link keeps what it holds but goes nowhere
+const SVG_ELEMENTS = new Set([
+    'g', 'a', 'defs', 'title', 'desc', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+    'text', 'tspan', 'linearGradient', 'radialGradient', 'stop', 'clipPath', 'mask'
+]);
+const SVG_ATTRIBUTES = new Set([
+    'id', 'class', 'transform', 'display', 'visibility', 'opacity',
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+    'stroke-linejoin', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-miterlimit',
+    'd', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'dx', 'dy',
+    'width', 'height', 'points', 'pathLength', 'offset', 'stop-color', 'stop-opacity',
+    'gradientUnits', 'gradientTransform', 'spreadMethod', 'clip-path', 'clip-rule', 'clipPathUnits',
+    'mask', 'maskUnits', 'maskContentUnits', 'font-family', 'font-size', 'font-weight', 'font-style',
+    'text-anchor', 'dominant-baseline', 'letter-spacing'
+]);
+
+// Parts the tracking drives, by channel name
+export const AVATAR_CHANNELS = [
+    'upperBody', 'neck', 'leftShoulder', 'rightShoulder', 'leftArm', 'rightArm',
+    'leftUpperArm', 'rightUpperArm', 'leftForearm', 'rightForearm',
+    'head', 'leftEye', 'rightEye', 'leftIris', 'rightIris', 'leftPupil', 'rightPupil',
+    'leftEyebrow', 'rightEyebrow', 'mouth',
+    'lowerBody', 'leftThigh', 'rightThigh', 'leftShin', 'rightShin', 'leftFoot', 'rightFoot'
+];
+
+// Name of the avatar drawn unless another is chosen
+export const DEFAULT_AVATAR = 'tricolor';
+
+// Pivot points ([x, y]) and rest lengths of the tricolor avatar, the rig avatars start from
+const DEFAULT_RIG = {
+    // Where the upper arms turn, and how far down them the elbows are
+    shoulders: { left: [-85, 50], right: [85, 50] },
+    upperArmLength: 80,
+    // Where the hands hang on arms at rest: the bottom centre of each forearm
+    wrists: { left: [-97.5, 210], right: [97.5, 210] },
+    // Eye centres, half width and half height; iris radius
+    eyes: { left: [-25, -50], right: [25, -50], width: 12, height: 15, iris: 6.5 },
+    // Brow height, and how far their inner and outer ends are from the middle of the face
+    brows: { y: -70, inner: 10, outer: 40 },
+    // Half width and half height of the mouth at rest
+    mouth: { width: 20, height: 8 },
+    neck: { width: 40 },
+    // Hip joints on the pelvis and the length of each leg segment
+    hips: { left: [-45, 240], right: [45, 240] },
+    thighLength: 95,
+    shinLength: 90,
+    // A full-body avatar is fitted to the frame around this height on the body
+    bodyCenterY: 160
+};
+
+// Colours of the jointed hands added to every avatar
+const DEFAULT_HANDS = { fill: '#555', palm: '#444' };
+
+// Avatars that come with the app
+const BUILT_IN_AVATARS = [
+    // The default design of the avatar editor
+    { ...createDesignBundle(DEFAULT_DESIGN), name: 'tricolor', label: 'Tricolor balaclava' },
+    {
+        name: 'robot',
+        label: 'Robot',
+        svg: `
+            <!-- Lower Body (full-body avatars only) -->
+            <g data-part="lowerBody" display="none">
+                <g data-part="leftThigh">
+                    <rect x="-15" y="-10" width="30" height="115" rx="4" fill="#5b6770" />
+                    <g data-part="leftShin">
+                        <rect x="-12" y="0" width="24" height="98" rx="4" fill="#7d8a94" />
+                        <g data-part="leftFoot">
+                            <rect x="-34" y="0" width="44" height="16" rx="4" fill="#3d464d" />
+                        </g>
+                    </g>
+                </g>
+                <g data-part="rightThigh">
+                    <rect x="-15" y="-10" width="30" height="115" rx="4" fill="#5b6770" />
+                    <g data-part="rightShin">
+                        <rect x="-12" y="0" width="24" height="98" rx="4" fill="#7d8a94" />
+                        <g data-part="rightFoot">
+                            <rect x="-10" y="0" width="44" height="16" rx="4" fill="#3d464d" />
+                        </g>
+                    </g>
+                </g>
+                <rect data-part="pelvis" x="-70" y="205" width="140" height="50" rx="6" fill="#3d464d" />
+            </g>
+            
+            <g data-part="upperBody">
+                <!-- Torso with a chest panel of status lights -->
+                <rect data-part="torso" x="-80" y="30" width="160" height="200" rx="8" fill="#7d8a94" />
+                <rect x="-40" y="70" width="80" height="50" rx="6" fill="#3d464d" />
+                <circle cx="-20" cy="95" r="6" fill="#e84a5f" />
+                <circle cx="0" cy="95" r="6" fill="#ffd166" />
+                <circle cx="20" cy="95" r="6" fill="#06d6a0" />
+                
+                <ellipse data-part="leftShoulder" cx="-85" cy="50" rx="24" ry="20" fill="#5b6770" />
+                <ellipse data-part="rightShoulder" cx="85" cy="50" rx="24" ry="20" fill="#5b6770" />
+                
+                <g data-part="leftArm">
+                    <rect data-part="leftUpperArm" x="-110" y="50" width="25" height="80" rx="4" fill="#5b6770" />
+                    <rect data-part="leftForearm" x="-110" y="130" width="25" height="80" rx="4" fill="#7d8a94" />
+                </g>
+                <g data-part="rightArm">
+                    <rect data-part="rightUpperArm" x="85" y="50" width="25" height="80" rx="4" fill="#5b6770" />
+                    <rect data-part="rightForearm" x="85" y="130" width="25" height="80" rx="4" fill="#7d8a94" />
+                </g>
+                
+                <rect data-part="neck" x="-20" y="0" width="40" height="30" fill="#3d464d" />
+            </g>
+            
+            <!-- Boxy head with an antenna and a visor -->
+            <g data-part="head">
+                <line x1="0" y1="-118" x2="0" y2="-138" stroke="#3d464d" stroke-width="4" />
+                <circle cx="0" cy="-142" r="7" fill="#e84a5f" />
+                <rect data-part="headBase" x="-62" y="-118" width="124" height="130" rx="18" fill="#9aa7b1" />
+                <rect data-part="visor" x="-52" y="-80" width="104" height="44" rx="14" fill="#1d2b36" />
+                
+                <g data-part="eyes">
+                    <ellipse data-part="leftEye" cx="-24" cy="-58" rx="14" ry="12" fill="#7cf5ff" />
+                    <ellipse data-part="rightEye" cx="24" cy="-58" rx="14" ry="12" fill="#7cf5ff" />
+                    <ellipse data-part="leftIris" cx="-24" cy="-58" rx="6" ry="6" fill="#1b6f80" />
+                    <ellipse data-part="rightIris" cx="24" cy="-58" rx="6" ry="6" fill="#1b6f80" />
+                    <ellipse data-part="leftPupil" cx="-24" cy="-58" rx="2.7" ry="2.7" fill="#e8ffff" />
+                    <ellipse data-part="rightPupil" cx="24" cy="-58" rx="2.7" ry="2.7" fill="#e8ffff" />
+                    <path data-part="leftEyebrow" d="M-40 -88 L-10 -88" stroke="#3d464d" stroke-width="6" stroke-linecap="square" />
+                    <path data-part="rightEyebrow" d="M10 -88 L40 -88" stroke="#3d464d" stroke-width="6" stroke-linecap="square" />
+                </g>
+                
+                <!-- Speaker grille -->
+                <ellipse data-part="mouth" cx="0" cy="-12" rx="24" ry="6" fill="#1d2b36" />
+            </g>`,
+        rig: {
+            eyes: { left: [-24, -58], right: [24, -58], width: 14, height: 12, iris: 6 },
+            brows: { y: -88 },
+            mouth: { width: 24, height: 6 }
+        },
+        hands: { fill: '#5b6770', palm: '#3d464d' }
+    }
+];
+
+// Where avatars loaded by the user are kept
+const STORAGE_KEY = 'avatarTracker.avatars';
+
+// Local variables
+const builtInAvatars = new Map(BUILT_IN_AVATARS.map(avatar => [avatar.name, avatar]));
+
+// All avatars as { name, label, custom }, built-in ones first
+export function getAvatarDefinitions() {
+    const custom = readStorage();
+    return [
+        ...BUILT_IN_AVATARS.map(avatar => ({ name: avatar.name, label: avatar.label, custom: false })),
+        ...Object.keys(custom).sort().map(name => ({ name, label: custom[name].label || name, custom: true }))
+    ];
+}
+
+// An avatar by name, ready to draw; null if there is no such avatar
+export function getAvatarDefinition(name) {
+    if (builtInAvatars.has(name)) return normalizeDefinition(builtInAvatars.get(name));
+    
+    const stored = readStorage()[name];
+    if (!stored) return null;
+    
+    try {
+        return normalizeDefinition(stored);
+    } catch (error) {
+        console.warn(`Stored avatar "${name}" is not valid:`, error);
+        return null;
+    }
+}
+
+// Parse and check an avatar from the text of a JSON bundle or an SVG file; a bundle
+// without a name is named after its file. Throws with a message for the user if it isn't valid.
+export function parseAvatarDefinition(text, fileName = '') {
+    const fallbackName = fileName.replace(/\.[^.]*$/, '');
+    
+    if (text.trim().startsWith('<')) {
+        return normalizeDefinition({ name: fallbackName, ...readSVGBundle(text) });
+    }
+    
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The avatar file is neither an SVG nor valid JSON.');
+    }
+    return normalizeDefinition(data && typeof data === 'object' ? { name: fallbackName, ...data } : data);
+}
+
+// Check a bundle given as an object (e.g. one built from a design) and make it ready to draw;
+// throws with a message for the user if it isn't valid
+export function createAvatarDefinition(bundle) {
+    return normalizeDefinition(bundle);
+}
+
+// An avatar's parts as nodes of this document, to append where the avatar is drawn. The markup
+// is read as XML and imported node by node, never parsed again as HTML, which reads CDATA differently
+export function createAvatarParts(definition) {
+    const fragment = document.createDocumentFragment();
+    [...readAllowedMarkup(definition.svg).childNodes].forEach(node => {
+        fragment.appendChild(document.importNode(node, true));
+    });
+    return fragment;
+}
+
+// Keep an avatar loaded by the user, replacing one of theirs with the same name
+export function saveAvatarDefinition(definition) {
+    if (builtInAvatars.has(definition.name)) {
+        throw new Error(`"${definition.name}" is the name of a built-in avatar; give the avatar another name.`);
+    }
+    
+    const stored = readStorage();
+    stored[definition.name] = definition.source;
+    writeStorage(stored);
+}
+
+// Remove an avatar loaded by the user
+export function deleteAvatarDefinition(name) {
+    const stored = readStorage();
+    delete stored[name];
+    writeStorage(stored);
+}
+
+// Split an SVG file into a bundle: the JSON in its <metadata>, and the rest of its markup as the parts
+function readSVGBundle(text) {
+    const svg = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const root = svg.documentElement;
+    if (svg.getElementsByTagName('parsererror').length > 0 || root.localName !== 'svg') {
+        throw new Error('The avatar file is not a well-formed SVG.');
+    }
+    
+    let bundle = {};
+    const metadata = root.getElementsByTagName('metadata')[0];
+    if (metadata) {
+        if (metadata.textContent.trim()) {
+            try {
+                bundle = JSON.parse(metadata.textContent);
+            } catch (error) {
+                throw new Error('The avatar\'s <metadata> is not valid JSON.');
+            }
+        }
+        metadata.remove();
+    }
+    
+    const serializer = new XMLSerializer();
+    return { ...bundle, svg: [...root.childNodes].map(node => serializer.serializeToString(node)).join('') };
+}
+
+// Check a bundle and fill in its rig, channels and hands; throws if it isn't valid
+function normalizeDefinition(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('An avatar must be a JSON object.');
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new Error('The avatar needs a "name".');
+    }
+    if (typeof data.svg !== 'string' || !data.svg.trim()) {
+        throw new Error('The avatar needs its parts as SVG markup in "svg".');
+    }
+    
+    const channels = {};
+    AVATAR_CHANNELS.forEach(channel => {
+        channels[channel] = channel;
+    });
+    Object.entries(data.channels || {}).forEach(([channel, part]) => {
+        if (!AVATAR_CHANNELS.includes(channel)) {
+            throw new Error(`Unknown channel "${channel}"; channels are ${AVATAR_CHANNELS.join(', ')}.`);
+        }
+        if (typeof part !== 'string' || !part) {
+            throw new Error(`Channel "${channel}" must name a part (its data-part).`);
+        }
+        channels[channel] = part;
+    });
+    
+    const svg = sanitizeMarkup(data.svg);
+    const parts = new Set([...svg.matchAll(/data-part="([^"]*)"/g)].map(match => match[1]));
+    if (!Object.values(channels).some(part => parts.has(part))) {
+        throw new Error('The avatar has none of the parts tracking drives; give its parts data-part names.');
+    }
+    
+    const name = data.name.trim();
+    return {
+        name,
+        label: typeof data.label === 'string' && data.label.trim() ? data.label.trim() : name,
+        svg,
+        rig: mergeRig(DEFAULT_RIG, data.rig, 'rig'),
+        channels,
+        hands: mergeRig(DEFAULT_HANDS, data.hands, 'hands'),
+        source: data
+    };
+}
+
+// Fill in what a rig leaves out from the defaults, checking each value has the default's shape
+function mergeRig(defaults, given, path) {
+    if (given === undefined) return structuredClone(defaults);
+    if (!given || typeof given !== 'object' || Array.isArray(given)) {
+        throw new Error(`"${path}" must be an object.`);
+    }
+    
+    const merged = structuredClone(defaults);
+    Object.entries(given).forEach(([key, value]) => {
+        const fallback = defaults[key];
+        const name = `${path}.${key}`;
+        
+        if (fallback === undefined) {
+            throw new Error(`Unknown setting "${name}"; use ${Object.keys(defaults).join(', ')}.`);
+        } else if (Array.isArray(fallback)) {
+            if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+                throw new Error(`"${name}" must be a point, [x, y].`);
+            }
+            merged[key] = [...value];
+        } else if (typeof fallback === 'object') {
+            merged[key] = mergeRig(fallback, value, name);
+        } else if (typeof value !== typeof fallback || (typeof value === 'number' && !Number.isFinite(value))) {
+            throw new Error(`"${name}" must be a ${typeof fallback}.`);
+        } else {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+// Check that avatar markup is well-formed SVG, and rebuild it from the SVG elements and attributes
+// it may use; anything else (script, links, animation, comments, CDATA) is left out
+function sanitizeMarkup(markup) {
+    const root = readAllowedMarkup(markup);
+    const serializer = new XMLSerializer();
+    return [...root.childNodes].map(node => serializer.serializeToString(node)).join('');
+}
+
+// Parse avatar markup as XML into a new SVG document, copying over only what SVG_ELEMENTS and
+// SVG_ATTRIBUTES allow; returns the document's root, holding the parts
+function readAllowedMarkup(markup) {
+    const parsed = new DOMParser().parseFromString(`<svg xmlns="${SVG_NS}">${markup}</svg>`, 'image/svg+xml');
+    if (parsed.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The avatar\'s SVG markup is not well-formed.');
+    }
+    
+    const root = document.implementation.createDocument(SVG_NS, 'svg', null).documentElement;
+    copyAllowedNodes(parsed.documentElement, root);
+    return root;
+}
+
+// Copy the allowed elements, attributes and text under one node to another, in its document
+function copyAllowedNodes(from, to) {
+    const doc = to.ownerDocument;
+    from.childNodes.forEach(node => {
+        if (node.nodeType === node.TEXT_NODE) {
+            to.appendChild(doc.createTextNode(node.data));
+        } else if (node.nodeType === node.ELEMENT_NODE && node.namespaceURI === SVG_NS && SVG_ELEMENTS.has(node.localName)) {
+            const element = doc.createElementNS(SVG_NS, node.localName);
+            [...node.attributes].forEach(attribute => {
+                if (!attribute.namespaceURI && (SVG_ATTRIBUTES.has(attribute.name) || /^data-[\w-]+$/.test(attribute.name))) {
+                    element.setAttribute(attribute.name, attribute.value);
+                }
+            });
+            copyAllowedNodes(node, element);
+            to.appendChild(element);
+        }
+    });
+}
+
+// Read the user's avatars (their bundles by name), tolerating missing or damaged storage
+function readStorage() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && typeof stored.avatars === 'object' && stored.avatars) {
+            return stored.avatars;
+        }
+    } catch (error) {
+        console.warn('Could not read avatars:', error);
+    }
+    return {};
+}
+
+// Write the user's avatars back; storage can be full or disabled (e.g. private browsing)
+function writeStorage(avatars) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ avatars }));
+    } catch (error) {
+        console.warn('Could not save avatars:', error);
+        throw new Error('Avatars could not be saved in this browser');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,288 @@
+// Avatar Designer - Builds tricolor-style avatars from a design the user can edit
+//
+// A design is plain data, so it can be kept as a preset and shared as a file:
+//
+//   {
+//     "proportions": { "shoulderWidth": 1.1, "armLength": 0.9, "headSize": 1 },
+//     "colors": { "torso": "#1e3a5f", "stripeTop": "#169b62", ... },
+//     "eyes": "wide", "mouth": "small",
+//     "accessories": ["glasses", "beanie"]
+//   }
+//
+// Anything a design leaves out is the default design, which is the tricolor avatar.
+// createDesignBundle() turns a design into an avatar bundle (see avatarDefinitions.js)
+// with the design kept in it, so a saved preset is an avatar like any other and can
+// be opened in the editor again.
+
+// Body proportions, as scales of the default avatar's
+export const PROPORTIONS = {
+    shoulderWidth: { label: 'Shoulder Width', min: 0.8, max: 1.25 },
+    armLength: { label: 'Arm Length', min: 0.8, max: 1.25 },
+    headSize: { label: 'Head Size', min: 0.8, max: 1.2 }
+};
+
+// Parts that can be coloured
+export const COLOR_PARTS = {
+    torso: 'Torso',
+    shoulders: 'Shoulders',
+    upperArms: 'Upper Arms & Thighs',
+    forearms: 'Forearms & Shins',
+    hands: 'Hands & Feet',
+    neck: 'Neck',
+    pelvis: 'Hips',
+    headBase: 'Head Base',
+    stripeTop: 'Top Stripe',
+    stripeMiddle: 'Middle Stripe',
+    stripeBottom: 'Bottom Stripe',
+    iris: 'Eyes',
+    mouth: 'Mouth',
+    accessory: 'Accessories'
+};
+
+// Eye shapes: half width and half height of each eye, and the iris radius
+export const EYE_STYLES = {
+    round: { label: 'Round', width: 12, height: 15, iris: 6.5 },
+    wide: { label: 'Wide', width: 15, height: 11, iris: 6 },
+    narrow: { label: 'Narrow', width: 13, height: 8, iris: 5 },
+    large: { label: 'Large', width: 15, height: 18, iris: 8 }
+};
+
+// Mouth shapes: half width and half height at rest
+export const MOUTH_STYLES = {
+    oval: { label: 'Oval', width: 20, height: 8 },
+    wide: { label: 'Wide', width: 28, height: 7 },
+    small: { label: 'Small', width: 12, height: 6 },
+    round: { label: 'Round', width: 12, height: 10 }
+};
+
+// Extras drawn on the avatar, with where they go: over the balaclava under the eyes ('head'),
+// over the eyes and mouth ('face') or on the upper body ('body')
+export const ACCESSORIES = {
+    beanie: { label: 'Beanie', on: 'head' },
+    glasses: { label: 'Glasses', on: 'face' },
+    headphones: { label: 'Headphones', on: 'face' },
+    bowtie: { label: 'Bow Tie', on: 'body' }
+};
+
+// The tricolor avatar as a design
+export const DEFAULT_DESIGN = {
+    proportions: { shoulderWidth: 1, armLength: 1, headSize: 1 },
+    colors: {
+        torso: '#222222',
+        shoulders: '#333333',
+        upperArms: '#333333',
+        forearms: '#444444',
+        hands: '#555555',
+        neck: '#555555',
+        pelvis: '#2a2a2a',
+        headBase: '#666666',
+        stripeTop: '#169b62',
+        stripeMiddle: '#ffffff',
+        stripeBottom: '#ff883e',
+        iris: '#3b2a1a',
+        mouth: '#000000',
+        accessory: '#c0392b'
+    },
+    eyes: 'round',
+    mouth: 'oval',
+    accessories: []
+};
+
+// Eyes sit either side of the middle of the face
+const EYE_X = 25;
+const EYE_Y = -50;
+
+// Check a design and fill in what it leaves out from the default design; throws if it isn't valid
+export function normalizeDesign(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('A design must be a JSON object.');
+    }
+    
+    const proportions = { ...DEFAULT_DESIGN.proportions };
+    Object.entries(data.proportions || {}).forEach(([key, value]) => {
+        const range = PROPORTIONS[key];
+        if (!range) {
+            throw new Error(`Unknown proportion "${key}"; use ${Object.keys(PROPORTIONS).join(', ')}.`);
+        }
+        if (!Number.isFinite(value)) {
+            throw new Error(`Proportion "${key}" must be a number.`);
+        }
+        proportions[key] = Math.min(range.max, Math.max(range.min, value));
+    });
+    
+    const colors = { ...DEFAULT_DESIGN.colors };
+    Object.entries(data.colors || {}).forEach(([part, color]) => {
+        if (!(part in COLOR_PARTS)) {
+            throw new Error(`Unknown part "${part}" in colors; use ${Object.keys(COLOR_PARTS).join(', ')}.`);
+        }
+        if (typeof color !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+            throw new Error(`The colour of "${part}" must be a hex colour such as #1e3a5f.`);
+        }
+        
+        // Kept as #rrggbb, which colour pickers need
+        const digits = color.length === 4 ? [...color.slice(1)].map(digit => digit + digit).join('') : color.slice(1);
+        colors[part] = `#${digits.toLowerCase()}`;
+    });
+    
+    const eyes = data.eyes === undefined ? DEFAULT_DESIGN.eyes : data.eyes;
+    if (!EYE_STYLES[eyes]) {
+        throw new Error(`Unknown eye style "${eyes}"; use ${Object.keys(EYE_STYLES).join(', ')}.`);
+    }
+    const mouth = data.mouth === undefined ? DEFAULT_DESIGN.mouth : data.mouth;
+    if (!MOUTH_STYLES[mouth]) {
+        throw new Error(`Unknown mouth style "${mouth}"; use ${Object.keys(MOUTH_STYLES).join(', ')}.`);
+    }
+    
+    const accessories = data.accessories || [];
+    if (!Array.isArray(accessories) || accessories.some(name => !ACCESSORIES[name])) {
+        throw new Error(`Accessories must be a list of ${Object.keys(ACCESSORIES).join(', ')}.`);
+    }
+    
+    return {
+        proportions,
+        colors,
+        eyes,
+        mouth,
+        accessories: Object.keys(ACCESSORIES).filter(name => accessories.includes(name))
+    };
+}
+
+// Turn a design into an avatar bundle with its parts, rig and hand colours, keeping the design in it
+export function createDesignBundle(data, name = 'design', label = name) {
+    const design = normalizeDesign(data);
+    const { shoulderWidth, armLength } = design.proportions;
+    const shoulderX = 85 * shoulderWidth;
+    const armTop = 50;
+    const eyes = EYE_STYLES[design.eyes];
+    const mouth = MOUTH_STYLES[design.mouth];
+    
+    return {
+        name,
+        label,
+        svg: createDesignMarkup(design),
+        rig: {
+            shoulders: { left: [-shoulderX, armTop], right: [shoulderX, armTop] },
+            upperArmLength: 80 * armLength,
+            wrists: {
+                left: [-(shoulderX + 12.5), armTop + 160 * armLength],
+                right: [shoulderX + 12.5, armTop + 160 * armLength]
+            },
+            eyes: { left: [-EYE_X, EYE_Y], right: [EYE_X, EYE_Y], width: eyes.width, height: eyes.height, iris: eyes.iris },
+            mouth: { width: mouth.width, height: mouth.height }
+        },
+        hands: { fill: design.colors.hands, palm: design.colors.forearms },
+        design
+    };
+}
+
+// The avatar's parts for a design
+function createDesignMarkup(design) {
+    const { colors, accessories } = design;
+    const { shoulderWidth, armLength, headSize } = design.proportions;
+    const shoulderX = 85 * shoulderWidth;
+    const torsoX = 80 * shoulderWidth;
+    const armLengthPx = 80 * armLength;
+    const eyes = EYE_STYLES[design.eyes];
+    const mouth = MOUTH_STYLES[design.mouth];
+    const worn = (on) => accessories.filter(name => ACCESSORIES[name].on === on).map(name => createAccessoryMarkup(name, design)).join('');
+    
+    const leg = (side) => `
+                <g data-part="${side}Thigh">
+                    <rect x="-17" y="-10" width="34" height="115" rx="14" fill="${colors.upperArms}" />
+                    <g data-part="${side}Shin">
+                        <rect x="-14" y="0" width="28" height="98" rx="11" fill="${colors.forearms}" />
+                        <g data-part="${side}Foot">
+                            <ellipse cx="${side === 'left' ? -8 : 8}" cy="10" rx="26" ry="11" fill="${colors.hands}" />
+                        </g>
+                    </g>
+                </g>`;
+    
+    const arm = (side) => {
+        const x = side === 'left' ? -shoulderX - 25 : shoulderX;
+        return `
+                <g data-part="${side}Arm">
+                    <rect data-part="${side}UpperArm" x="${x}" y="50" width="25" height="${armLengthPx}" rx="10" fill="${colors.upperArms}" />
+                    <rect data-part="${side}Forearm" x="${x}" y="${50 + armLengthPx}" width="25" height="${armLengthPx}" rx="8" fill="${colors.forearms}" />
+                </g>`;
+    };
+    
+    const eye = (side, x) => `
+                    <ellipse data-part="${side}Eye" cx="${x}" cy="${EYE_Y}" rx="${eyes.width}" ry="${eyes.height}" fill="#fff" stroke="#000" stroke-width="2" />`;
+    const iris = (side, x) => `
+                    <ellipse data-part="${side}Iris" cx="${x}" cy="${EYE_Y}" rx="${eyes.iris}" ry="${eyes.iris}" fill="${colors.iris}" />
+                    <ellipse data-part="${side}Pupil" cx="${x}" cy="${EYE_Y}" rx="${eyes.iris * 0.45}" ry="${eyes.iris * 0.45}" fill="#000" />`;
+    
+    return `
+            <!-- Lower Body (full-body avatars only) -->
+            <g data-part="lowerBody" display="none">${leg('left')}${leg('right')}
+                
+                <!-- Pelvis -->
+                <rect data-part="pelvis" x="-72" y="205" width="144" height="55" rx="22" fill="${colors.pelvis}" />
+            </g>
+            
+            <!-- Upper Body -->
+            <g data-part="upperBody">
+                <rect data-part="torso" x="${-torsoX}" y="30" width="${2 * torsoX}" height="200" rx="20" fill="${colors.torso}" />
+                <ellipse data-part="leftShoulder" cx="${-shoulderX}" cy="50" rx="25" ry="20" fill="${colors.shoulders}" />
+                <ellipse data-part="rightShoulder" cx="${shoulderX}" cy="50" rx="25" ry="20" fill="${colors.shoulders}" />
+                ${arm('left')}
+                ${arm('right')}
+                <rect data-part="neck" x="-20" y="0" width="40" height="30" fill="${colors.neck}" />${worn('body')}
+            </g>
+            
+            <!-- Head with a tricolor balaclava, scaled about its middle -->
+            <g data-part="head">
+                <g transform="translate(0, ${EYE_Y}) scale(${headSize}) translate(0, ${-EYE_Y})">
+                    <ellipse data-part="headBase" cx="0" cy="-50" rx="60" ry="70" fill="${colors.headBase}" />
+                    <path data-part="balaclavaPart1" d="M-60 -50 Q-60 -120 0 -120 Q60 -120 60 -50 L60 -40 L-60 -40 Z" fill="${colors.stripeTop}" />
+                    <path data-part="balaclavaPart2" d="M-60 -40 L60 -40 L60 -20 L-60 -20 Z" fill="${colors.stripeMiddle}" />
+                    <path data-part="balaclavaPart3" d="M-60 -20 L60 -20 L60 -10 Q60 20 0 20 Q-60 20 -60 -10 Z" fill="${colors.stripeBottom}" />${worn('head')}
+                    
+                    <g data-part="eyes">${eye('left', -EYE_X)}${eye('right', EYE_X)}${iris('left', -EYE_X)}${iris('right', EYE_X)}
+                        <path data-part="leftEyebrow" d="M-40 -70 L-10 -70" stroke="#000" stroke-width="5" stroke-linecap="round" />
+                        <path data-part="rightEyebrow" d="M10 -70 L40 -70" stroke="#000" stroke-width="5" stroke-linecap="round" />
+                    </g>
+                    
+                    <ellipse data-part="mouth" cx="0" cy="-10" rx="${mouth.width}" ry="${mouth.height}" fill="${colors.mouth}" />${worn('face')}
+                </g>
+            </g>`;
+}
+
+// Markup of one accessory; glasses are sized to the eyes
+function createAccessoryMarkup(name, design) {
+    const color = design.colors.accessory;
+    const eyes = EYE_STYLES[design.eyes];
+    
+    switch (name) {
+        case 'beanie':
+            return `
+                    <path data-part="beanie" d="M-64 -88 Q-64 -142 0 -142 Q64 -142 64 -88 Z" fill="${color}" />
+                    <rect x="-66" y="-96" width="132" height="16" rx="8" fill="${color}" stroke="#000" stroke-opacity="0.25" />
+                    <circle cx="0" cy="-146" r="11" fill="#f4f4f4" />`;
+        case 'glasses': {
+            const r = Math.max(eyes.width, eyes.height) + 5;
+            return `
+                    <g data-part="glasses" fill="none" stroke="#111" stroke-width="3">
+                        <circle cx="${-EYE_X}" cy="${EYE_Y}" r="${r}" />
+                        <circle cx="${EYE_X}" cy="${EYE_Y}" r="${r}" />
+                        <path d="M${-EYE_X + r} ${EYE_Y - 2} Q0 ${EYE_Y - 8} ${EYE_X - r} ${EYE_Y - 2}" />
+                        <path d="M${-EYE_X - r} ${EYE_Y - 2} L-60 ${EYE_Y - 8} M${EYE_X + r} ${EYE_Y - 2} L60 ${EYE_Y - 8}" />
+                    </g>`;
+        }
+        case 'headphones':
+            return `
+                    <g data-part="headphones">
+                        <path d="M-62 -50 Q-68 -134 0 -134 Q68 -134 62 -50" fill="none" stroke="#222" stroke-width="8" />
+                        <rect x="-76" y="-72" width="20" height="44" rx="9" fill="${color}" />
+                        <rect x="56" y="-72" width="20" height="44" rx="9" fill="${color}" />
+                    </g>`;
+        case 'bowtie':
+            return `
+                <g data-part="bowtie">
+                    <path d="M0 34 L-22 22 L-22 46 Z M0 34 L22 22 L22 46 Z" fill="${color}" />
+                    <circle cx="0" cy="34" r="5" fill="${color}" stroke="#000" stroke-opacity="0.3" />
+                </g>`;
+        default:
+            return '';
+    }
+}
\ No newline at end of file
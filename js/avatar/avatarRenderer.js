@@ -1,47 +1,266 @@
-// Avatar Renderer - Manages the SVG avatar and its animations
+// Avatar Renderer - Manages the SVG avatars and their animations
 import { elements, appState } from '../main.js';
+import { getAvatarDefinition, createAvatarParts, DEFAULT_AVATAR } from './avatarDefinitions.js';
+import {
+    BONES, createSkeleton, createRestPose, aimBone, setBoneAngle, getBoneTransform
+} from './avatarSkeleton.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
 // SVG Elements
 let avatarSVG;
 let backgroundElements;
-let avatarGroup;
-let head;
-let leftEye;
-let rightEye;
-let mouth;
-let leftEyebrow;
-let rightEyebrow;
-let leftArm;
-let rightArm;
-let upperBody;
+let avatarLayer;
+
+// Avatar instances - the primary avatar always exists, extra ones follow additional people
+let primaryAvatar = null;
+const extraAvatars = new Map();
+let avatarScale = 1;
+let fullBody = false;
+
+// The avatar definition every avatar is drawn from (see avatarDefinitions.js), and the skeleton of its rig
+let avatarDefinition = null;
+let skeleton = null;
+
+// Finger layout of the left hand, pointing down (+y) from the wrist; the right hand is drawn mirrored.
+// rest holds each segment's angle relative to the one before it on a relaxed hand.
+const FINGER_LAYOUT = {
+    thumb: { base: [-11, 6], width: 6, lengths: [10, 8, 7], rest: [40, 8, 4] },
+    index: { base: [-8.5, 26], width: 5.5, lengths: [12, 8, 7], rest: [6, 0, 0] },
+    middle: { base: [-2.8, 27], width: 5.5, lengths: [13, 9, 7], rest: [0, 0, 0] },
+    ring: { base: [2.8, 26], width: 5.5, lengths: [12, 8, 7], rest: [-5, 0, 0] },
+    pinky: { base: [8.5, 23], width: 5, lengths: [9, 7, 6], rest: [-11, 0, 0] }
+};
+
+// Relaxed fingers curl a little, so their outer segments look shorter
+const REST_SEGMENT_LENGTHS = [1, 0.9, 0.85];
+
+// How quickly an untracked hand relaxes, per update
+const HAND_RELAX_RATE = 0.1;
+
+// Short animations played over the tracked pose (e.g. when a gesture is recognized), by progress 0..1
+export const EMOTES = {
+    bounce: { label: 'Bounce', duration: 0.8, transform: p => `translate(0, ${-50 * Math.abs(Math.sin(p * Math.PI * 2))})` },
+    spin: { label: 'Spin', duration: 1, transform: p => `scale(${Math.cos(p * Math.PI * 2)}, 1)` },
+    shake: { label: 'Shake', duration: 0.8, transform: p => `rotate(${Math.sin(p * Math.PI * 6) * 12 * (1 - p)}, 0, 230)` }
+};
+
+// Mouth shapes are worked out for a mouth this size (half width and half height) and scaled to the avatar's
+const MOUTH_SIZE = { width: 20, height: 8 };
+
+// How quickly a leg that is out of frame eases back to hanging straight, per update
+const LEG_RELAX_RATE = 0.1;
+
+// A full-body avatar is shrunk and raised to fit the frame, around the rig's bodyCenterY
+const FULL_BODY_SCALE = 0.75;
 
 // Initialize the avatar
 export async function initializeAvatar(container) {
     // Create the SVG element and its structure
-    const svgContent = createAvatarSVG();
-    container.innerHTML = svgContent;
+    const svgContent = new DOMParser().parseFromString(createAvatarSVG(), 'image/svg+xml');
+    container.replaceChildren(document.importNode(svgContent.documentElement, true));
     
     // Get references to elements
     avatarSVG = document.getElementById('avatarSVG');
     backgroundElements = document.getElementById('backgroundElements');
-    avatarGroup = document.getElementById('avatarGroup');
-    head = document.getElementById('head');
-    leftEye = document.getElementById('leftEye');
-    rightEye = document.getElementById('rightEye');
-    mouth = document.getElementById('mouth');
-    leftEyebrow = document.getElementById('leftEyebrow');
-    rightEyebrow = document.getElementById('rightEyebrow');
-    leftArm = document.getElementById('leftArm');
-    rightArm = document.getElementById('rightArm');
-    upperBody = document.getElementById('upperBody');
+    avatarLayer = document.getElementById('avatarLayer');
+    
+    // Create the primary avatar from the chosen avatar definition
+    avatarDefinition = getAvatarDefinition(appState.config.avatar) || getAvatarDefinition(DEFAULT_AVATAR);
+    skeleton = createSkeleton(avatarDefinition.rig);
+    primaryAvatar = createAvatarInstance(null);
+    layoutAvatars();
     
     return true;
 }
 
+// Create one avatar, drawn from the avatar definition
+function createAvatarInstance(personId) {
+    const avatar = {
+        personId,
+        group: null,
+        parts: null,
+        bones: null,
+        anchorX: null,
+        pose: createRestPose(skeleton),
+        hands: { left: createRestHand('left'), right: createRestHand('right') },
+        legs: { left: createRestLeg(), right: createRestLeg() },
+        emote: null
+    };
+    
+    drawAvatar(avatar);
+    return avatar;
+}
+
+// Draw an avatar's parts from the avatar definition, in place of any it had, find the part
+// each channel drives and hang the parts on the skeleton; the avatar keeps the pose it holds
+function drawAvatar(avatar) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'avatarGroup');
+    const emote = document.createElementNS(SVG_NS, 'g');
+    emote.setAttribute('data-part', 'emote');
+    emote.appendChild(createAvatarParts(avatarDefinition));
+    group.appendChild(emote);
+    
+    const named = {};
+    group.querySelectorAll('[data-part]').forEach(part => {
+        named[part.getAttribute('data-part')] = part;
+    });
+    
+    // Channels the avatar has no part for drive a stand-in that is never drawn
+    const parts = { emote: named.emote };
+    Object.entries(avatarDefinition.channels).forEach(([channel, name]) => {
+        parts[channel] = named[name] || document.createElementNS(SVG_NS, 'g');
+    });
+    
+    // Every avatar gets the jointed hands, which hang on the hand bones
+    ['left', 'right'].forEach(side => {
+        const hand = createHand(side);
+        parts[`${side}Hand`] = hand;
+        hand.querySelectorAll('[data-part]').forEach(part => {
+            parts[part.getAttribute('data-part')] = part;
+        });
+    });
+    
+    // Each bone's group goes inside its parent's, carrying the bone's parts
+    const bones = {};
+    Object.entries(BONES).forEach(([name, bone]) => {
+        const parent = bone.parent ? bones[bone.parent] : parts.emote;
+        bones[name] = createBoneGroup(name, parent, bone.parts.map(part => parts[part]));
+    });
+    
+    if (avatar.group) {
+        avatar.group.replaceWith(group);
+    } else {
+        avatarLayer.appendChild(group);
+    }
+    avatar.group = group;
+    avatar.parts = parts;
+    avatar.bones = bones;
+    
+    applyBodyPose(avatar);
+    ['left', 'right'].forEach(side => applyLegPose(avatar, side));
+    showLowerBody(avatar);
+}
+
+// Make a bone's group inside its parent bone's group and move the parts it carries into it. The group
+// takes the place of the first of its parts already inside the parent, so the parts are drawn in the
+// same order; a part that holds the parent itself is left where it is.
+function createBoneGroup(name, parent, parts) {
+    const bone = document.createElementNS(SVG_NS, 'g');
+    bone.setAttribute('data-bone', name);
+    
+    const inside = parts.find(part => part !== parent && parent.contains(part));
+    if (inside) {
+        inside.replaceWith(bone);
+    } else {
+        parent.appendChild(bone);
+    }
+    
+    parts.forEach(part => {
+        if (!part.contains(bone)) {
+            bone.appendChild(part);
+        }
+    });
+    return bone;
+}
+
+// Draw every avatar as another avatar definition by name (the default if there is no such avatar)
+export function setAvatarDefinition(name) {
+    return showAvatarDefinition(getAvatarDefinition(name) || getAvatarDefinition(DEFAULT_AVATAR));
+}
+
+// Draw every avatar from an avatar definition, e.g. a design being edited; the avatars keep
+// their people, tracking state and joint angles, now on the new rig's skeleton
+export function showAvatarDefinition(definition) {
+    avatarDefinition = definition;
+    skeleton = createSkeleton(definition.rig);
+    if (!primaryAvatar) return avatarDefinition;
+    
+    getAvatars().forEach(drawAvatar);
+    layoutAvatars();
+    return avatarDefinition;
+}
+
+// Hand state for a relaxed hand
+function createRestHand(side) {
+    const fingers = {};
+    Object.entries(FINGER_LAYOUT).forEach(([finger, layout]) => {
+        fingers[finger] = layout.rest.map((angle, i) => ({ angle, length: REST_SEGMENT_LENGTHS[i] }));
+    });
+    
+    return { angle: null, flipped: side === 'right', fingers };
+}
+
+// Leg state of a leg hanging straight down: thigh angle from vertical and knee bend, in degrees
+function createRestLeg() {
+    return { thigh: 0, knee: 0 };
+}
+
+// Make sure there is one avatar per tracked person; the first person drives the primary avatar
+export function syncAvatarInstances(personIds) {
+    if (!primaryAvatar) return;
+    
+    primaryAvatar.personId = personIds.length > 0 ? personIds[0] : null;
+    const extraIds = personIds.slice(1);
+    
+    // Remove avatars for people who are gone
+    extraAvatars.forEach((avatar, personId) => {
+        if (!extraIds.includes(personId)) {
+            avatar.group.remove();
+            extraAvatars.delete(personId);
+        }
+    });
+    
+    // Add avatars for new people
+    extraIds.forEach(personId => {
+        if (!extraAvatars.has(personId)) {
+            extraAvatars.set(personId, createAvatarInstance(personId));
+        }
+    });
+    
+    layoutAvatars();
+}
+
+// Get the avatar that follows a person
+export function getAvatarForPerson(personId) {
+    if (primaryAvatar && primaryAvatar.personId === personId) return primaryAvatar;
+    return extraAvatars.get(personId) || null;
+}
+
+// Every avatar on show, the primary avatar first
+export function getAvatars() {
+    return primaryAvatar ? [primaryAvatar, ...extraAvatars.values()] : [];
+}
+
+// Set where a person's avatar stands horizontally (canvas x), or null to centre it
+export function setAvatarAnchor(avatar, x) {
+    if (avatar) {
+        avatar.anchorX = x;
+    }
+}
+
+// Position and scale every avatar; several avatars are shrunk so they fit side by side
+export function layoutAvatars() {
+    if (!primaryAvatar) return;
+    
+    const width = elements.canvas.width || 640;
+    const height = elements.canvas.height || 480;
+    const avatars = [primaryAvatar, ...extraAvatars.values()];
+    const crowdScale = avatars.length > 1 ? Math.max(0.4, 1 / Math.sqrt(avatars.length)) : 1;
+    const scale = avatarScale * crowdScale * (fullBody ? FULL_BODY_SCALE : 1);
+    const y = fullBody ? height / 2 - avatarDefinition.rig.bodyCenterY * scale : height / 2;
+    
+    avatars.forEach(avatar => {
+        const x = avatars.length > 1 && avatar.anchorX !== null ? avatar.anchorX : width / 2;
+        avatar.group.setAttribute('transform', `translate(${x}, ${y}) scale(${scale})`);
+    });
+}
+
 // Create the avatar SVG structure
 function createAvatarSVG() {
     return `
-        <svg id="avatarSVG" viewBox="0 0 640 480" preserveAspectRatio="xMidYMid meet">
+        <svg xmlns="${SVG_NS}" id="avatarSVG" viewBox="0 0 640 480" preserveAspectRatio="xMidYMid meet">
             <!-- Dynamic Background Elements -->
             <defs>
                 <radialGradient id="avatarGlow" cx="0.5" cy="0.5" r="0.5" fx="0.5" fy="0.5">
@@ -58,66 +277,62 @@ function createAvatarSVG() {
             
             <g id="backgroundElements"></g>
             
-            <!-- Avatar Component -->
-            <g id="avatarGroup" transform="translate(320, 240)">
-                <!-- Upper Body -->
-                <g id="upperBody">
-                    <!-- Torso -->
-                    <rect id="torso" x="-80" y="30" width="160" height="200" rx="20" fill="#222" />
-                    
-                    <!-- Shoulders -->
-                    <ellipse id="leftShoulder" cx="-85" cy="50" rx="25" ry="20" fill="#333" />
-                    <ellipse id="rightShoulder" cx="85" cy="50" rx="25" ry="20" fill="#333" />
-                    
-                    <!-- Arms -->
-                    <g id="leftArm">
-                        <rect id="leftUpperArm" x="-110" y="50" width="25" height="80" rx="10" fill="#333" />
-                        <rect id="leftForearm" x="-110" y="130" width="25" height="80" rx="8" fill="#444" />
-                    </g>
-                    
-                    <g id="rightArm">
-                        <rect id="rightUpperArm" x="85" y="50" width="25" height="80" rx="10" fill="#333" />
-                        <rect id="rightForearm" x="85" y="130" width="25" height="80" rx="8" fill="#444" />
-                    </g>
-                    
-                    <!-- Neck -->
-                    <rect id="neck" x="-20" y="0" width="40" height="30" fill="#555" />
-                </g>
-                
-                <!-- Head with Irish Tricolor Balaclava -->
-                <g id="head">
-                    <!-- Head Base -->
-                    <ellipse id="headBase" cx="0" cy="-50" rx="60" ry="70" fill="#666" />
-                    
-                    <!-- Irish Tricolor Balaclava -->
-                    <!-- Green Section -->
-                    <path id="balaclavaPart1" d="M-60 -50 Q-60 -120 0 -120 Q60 -120 60 -50 L60 -40 L-60 -40 Z" fill="#169b62" />
-                    
-                    <!-- White Section -->
-                    <path id="balaclavaPart2" d="M-60 -40 L60 -40 L60 -20 L-60 -20 Z" fill="#ffffff" />
-                    
-                    <!-- Orange Section -->
-                    <path id="balaclavaPart3" d="M-60 -20 L60 -20 L60 -10 Q60 20 0 20 Q-60 20 -60 -10 Z" fill="#ff883e" />
-                    
-                    <!-- Eyes -->
-                    <g id="eyes">
-                        <ellipse id="leftEye" cx="-25" cy="-50" rx="12" ry="15" fill="#000" />
-                        <ellipse id="rightEye" cx="25" cy="-50" rx="12" ry="15" fill="#000" />
-                        <!-- Eyebrows -->
-                        <path id="leftEyebrow" d="M-40 -70 L-10 -70" stroke="#000" stroke-width="5" stroke-linecap="round" />
-                        <path id="rightEyebrow" d="M10 -70 L40 -70" stroke="#000" stroke-width="5" stroke-linecap="round" />
-                    </g>
-                    
-                    <!-- Mouth -->
-                    <ellipse id="mouth" cx="0" cy="-10" rx="20" ry="8" fill="#000" />
-                </g>
-            </g>
+            <!-- Avatar instances are added here -->
+            <g id="avatarLayer"></g>
         </svg>
     `;
 }
 
-export function updateAvatarBody(bodyPose) {
-    if (!bodyPose || bodyPose.length < 5 || !leftArm || !rightArm || !upperBody) return;
+// Create one hand with three jointed segments per finger, in the avatar's hand colours; each joint is a nested group.
+// The colours come from the avatar file, so they are set as attributes rather than written into the markup
+function createHand(side) {
+    const { fill, palm } = avatarDefinition.hands;
+    const fingers = Object.entries(FINGER_LAYOUT).map(([finger, layout]) => {
+        const name = getFingerPartName(side, finger);
+        const bone = (segment) => `<rect data-part="${name}${segment}Bone" x="${-layout.width / 2}" y="0" ` +
+            `width="${layout.width}" height="${layout.lengths[segment - 1]}" rx="${layout.width / 2}" />`;
+        
+        return `
+                    <g data-part="${name}" transform="translate(${layout.base[0]}, ${layout.base[1]})">
+                        <g data-part="${name}1">
+                            ${bone(1)}
+                            <g data-part="${name}2">
+                                ${bone(2)}
+                                <g data-part="${name}3">
+                                    ${bone(3)}
+                                </g>
+                            </g>
+                        </g>
+                    </g>`;
+    }).join('');
+    
+    const hand = document.createElementNS(SVG_NS, 'g');
+    hand.setAttribute('data-part', `${side}Hand`);
+    hand.innerHTML = `${fingers}
+                    <rect data-part="${side}Palm" x="-13" y="-2" width="26" height="30" rx="8" />`;
+    hand.querySelectorAll('rect').forEach(rect => rect.setAttribute('fill', fill));
+    hand.querySelector(`[data-part="${side}Palm"]`).setAttribute('fill', palm);
+    return hand;
+}
+
+// Part name prefix of a finger, e.g. leftIndex
+function getFingerPartName(side, finger) {
+    return side + finger.charAt(0).toUpperCase() + finger.slice(1);
+}
+
+// Update an avatar's body from normalized keypoints (defaults to the primary avatar); the keypoints
+// only set the skeleton's joint angles, and each bone is drawn where its parents put it
+export function updateAvatarBody(bodyPose, avatar = primaryAvatar) {
+    if (!bodyPose || bodyPose.length < 5 || !avatar) return;
+    
+    const { upperBody } = avatar.parts;
+    const { pose } = avatar;
+    const { shoulders } = avatarDefinition.rig;
+    const restShoulderY = (shoulders.left[1] + shoulders.right[1]) / 2;
+    const seen = (index) => bodyPose[index] && bodyPose[index].score > 0.3;
+    
+    // Direction on screen from one keypoint to another, in degrees
+    const direction = (from, to) => Math.atan2(bodyPose[to].y - bodyPose[from].y, bodyPose[to].x - bodyPose[from].x) * (180 / Math.PI);
     
     try {
         // In the MediaPipe model, keypoints are:
@@ -126,159 +341,46 @@ export function updateAvatarBody(bodyPose) {
         // 9: leftWrist, 10: rightWrist, 11: leftHip, 12: rightHip,
         // 13: leftKnee, 14: rightKnee, 15: leftAnkle, 16: rightAnkle
         
-        // Get shoulder positions - these are key reference points
-        let leftShoulderX = -85;
-        let rightShoulderX = 85;
-        let shoulderY = 50;
+        // Tilt the torso with the line between the shoulders; the neck turns back the other way,
+        // since the head is posed from the face on screen
+        let shoulderY = restShoulderY;
+        setBoneAngle(skeleton, pose, 'torso', seen(5) && seen(6) ? direction(5, 6) : 0);
+        setBoneAngle(skeleton, pose, 'neck', -pose.torso);
         
-        // If we have valid shoulder detections, use them
-        if (bodyPose[5] && bodyPose[5].score > 0.3 && 
-            bodyPose[6] && bodyPose[6].score > 0.3) {
-            
-            // Get video dimensions for normalization
-            const videoWidth = elements.canvas.width;
+        // Raise or drop the shoulders with the height of the tracked shoulders in the frame
+        if (seen(5) && seen(6)) {
             const videoHeight = elements.canvas.height;
-            
-            // Calculate shoulder positions relative to avatar center
-            const centerX = videoWidth / 2;
-            const centerY = videoHeight / 2;
-            
-            // Calculate shoulder midpoint for better centering
-            const shoulderMidX = (bodyPose[5].x + bodyPose[6].x) / 2;
             const shoulderMidY = (bodyPose[5].y + bodyPose[6].y) / 2;
-            
-            // Calculate shoulder width for better scaling
-            const shoulderWidth = Math.abs(bodyPose[6].x - bodyPose[5].x);
-            const shoulderScaleFactor = Math.min(1.5, Math.max(0.5, 170 / shoulderWidth)); // 170 is avatar shoulder width
-            
-            // Map detected shoulder positions to avatar coordinates with improved scaling
-            // The offset calculation now uses the difference from shoulder midpoint
-            leftShoulderX = -85 + ((bodyPose[5].x - shoulderMidX) / (shoulderWidth/2)) * 40;
-            rightShoulderX = 85 + ((bodyPose[6].x - shoulderMidX) / (shoulderWidth/2)) * 40;
-            
-            // Calculate shoulder height with more natural constraints
-            const shoulderDiff = shoulderMidY - centerY;
-            shoulderY = 50 + (shoulderDiff / (videoHeight/4)) * 30;
-            shoulderY = Math.max(30, Math.min(80, shoulderY)); // Limit vertical range
-            
-            // Update shoulder positions in the SVG
-            document.getElementById('leftShoulder').setAttribute('cx', leftShoulderX);
-            document.getElementById('rightShoulder').setAttribute('cx', rightShoulderX);
-            document.getElementById('leftShoulder').setAttribute('cy', shoulderY);
-            document.getElementById('rightShoulder').setAttribute('cy', shoulderY);
-        }
-        
-        // Calculate arm angles based on elbow and wrist positions with better constraints
-        let leftArmAngle = 0;
-        let rightArmAngle = 0;
-        let leftForearmAngle = 0;
-        let rightForearmAngle = 0;
-        
-        // Left arm angle calculation - enhanced for accurate bending
-        if (bodyPose[7] && bodyPose[7].score > 0.3 && bodyPose[5] && bodyPose[5].score > 0.3) {
-            // Vector from shoulder to elbow
-            const dx = bodyPose[7].x - bodyPose[5].x;
-            const dy = bodyPose[7].y - bodyPose[5].y;
-            
-            // Calculate angle in degrees
-            leftArmAngle = Math.atan2(dy, dx) * (180 / Math.PI);
-            
-            // Constrain angle to reasonable range for avatar's structure
-            leftArmAngle = Math.max(-80, Math.min(80, leftArmAngle));
-            
-            // Calculate forearm angle if wrist is detected
-            if (bodyPose[9] && bodyPose[9].score > 0.3) {
-                const fDx = bodyPose[9].x - bodyPose[7].x;
-                const fDy = bodyPose[9].y - bodyPose[7].y;
-                leftForearmAngle = Math.atan2(fDy, fDx) * (180 / Math.PI) - leftArmAngle;
-                leftForearmAngle = Math.max(-90, Math.min(90, leftForearmAngle));
-            }
-        } else {
-            // Fallback to subtle movement with breathing effect
-            leftArmAngle = Math.sin(Date.now() / 1500) * 8;
+            const shoulderDiff = shoulderMidY - videoHeight / 2;
+            shoulderY = restShoulderY + (shoulderDiff / (videoHeight / 4)) * 30;
+            shoulderY = Math.max(restShoulderY - 20, Math.min(restShoulderY + 30, shoulderY)); // Limit vertical range
         }
+        ['left', 'right'].forEach(side => {
+            const [pivotX, pivotY] = skeleton[`${side}Shoulder`].pivot;
+            const [shoulderX] = shoulders[side];
+            const toShoulder = Math.atan2(shoulderY - pivotY, shoulderX - pivotX) * (180 / Math.PI);
+            aimBone(skeleton, pose, `${side}Shoulder`, toShoulder + pose.torso);
+        });
         
-        // Right arm angle calculation - enhanced for accurate bending
-        if (bodyPose[8] && bodyPose[8].score > 0.3 && bodyPose[6] && bodyPose[6].score > 0.3) {
-            // Vector from shoulder to elbow
-            const dx = bodyPose[8].x - bodyPose[6].x;
-            const dy = bodyPose[8].y - bodyPose[6].y;
-            
-            // Calculate angle in degrees
-            rightArmAngle = Math.atan2(dy, dx) * (180 / Math.PI);
-            
-            // Constrain angle to reasonable range for avatar's structure
-            rightArmAngle = Math.max(-80, Math.min(80, rightArmAngle));
-            
-            // Calculate forearm angle if wrist is detected
-            if (bodyPose[10] && bodyPose[10].score > 0.3) {
-                const fDx = bodyPose[10].x - bodyPose[8].x;
-                const fDy = bodyPose[10].y - bodyPose[8].y;
-                rightForearmAngle = Math.atan2(fDy, fDx) * (180 / Math.PI) - rightArmAngle;
-                rightForearmAngle = Math.max(-90, Math.min(90, rightForearmAngle));
+        // Point each upper arm at its elbow and each forearm at its wrist; an arm whose elbow isn't
+        // seen sways a little from hanging, and a forearm whose wrist isn't seen hangs straight on
+        [['left', 5, 7, 9, 1], ['right', 6, 8, 10, -1]].forEach(([side, shoulder, elbow, wrist, phase]) => {
+            if (seen(shoulder) && seen(elbow)) {
+                aimBone(skeleton, pose, `${side}UpperArm`, direction(shoulder, elbow));
+                
+                if (seen(wrist)) {
+                    aimBone(skeleton, pose, `${side}Forearm`, direction(elbow, wrist));
+                } else {
+                    pose[`${side}Forearm`] = 0;
+                }
+            } else {
+                // Subtle movement with a breathing effect, the two arms in opposite phase
+                setBoneAngle(skeleton, pose, `${side}UpperArm`, phase * Math.sin(Date.now() / 1500) * 8);
+                pose[`${side}Forearm`] = 0;
             }
-        } else {
-            // Fallback to subtle movement with breathing effect but opposite phase
-            rightArmAngle = -Math.sin(Date.now() / 1500) * 8;
-        }
+        });
         
-        // Update arm positions with improved animation
-        // Apply two-part articulation for more realistic arm movement
-        const leftUpperArm = document.getElementById('leftUpperArm');
-        const leftForearm = document.getElementById('leftForearm');
-        const rightUpperArm = document.getElementById('rightUpperArm');
-        const rightForearm = document.getElementById('rightForearm');
-        
-        if (leftUpperArm && leftForearm) {
-            // Reset transforms first to avoid compound transformations
-            leftArm.setAttribute('transform', '');
-            
-            // Position upper arm at shoulder
-            leftUpperArm.setAttribute('transform', `rotate(${leftArmAngle}, ${leftShoulderX}, ${shoulderY})`);
-            
-            // Position forearm relative to upper arm's position and rotation
-            // Calculate elbow position after upper arm rotation
-            const elbowX = leftShoulderX + Math.cos(leftArmAngle * Math.PI / 180) * 80;
-            const elbowY = shoulderY + Math.sin(leftArmAngle * Math.PI / 180) * 80;
-            
-            leftForearm.setAttribute('transform', 
-                `translate(${elbowX - leftShoulderX}, ${elbowY - shoulderY}) ` +
-                `rotate(${leftForearmAngle}, 0, 0)`);
-        } else {
-            // Fallback if detailed arm elements not found
-            leftArm.setAttribute('transform', `rotate(${leftArmAngle}, ${leftShoulderX}, ${shoulderY})`);
-        }
-        
-        if (rightUpperArm && rightForearm) {
-            // Reset transforms first
-            rightArm.setAttribute('transform', '');
-            
-            // Position upper arm at shoulder
-            rightUpperArm.setAttribute('transform', `rotate(${rightArmAngle}, ${rightShoulderX}, ${shoulderY})`);
-            
-            // Position forearm
-            const elbowX = rightShoulderX + Math.cos(rightArmAngle * Math.PI / 180) * 80;
-            const elbowY = shoulderY + Math.sin(rightArmAngle * Math.PI / 180) * 80;
-            
-            rightForearm.setAttribute('transform', 
-                `translate(${elbowX - rightShoulderX}, ${elbowY - shoulderY}) ` +
-                `rotate(${rightForearmAngle}, 0, 0)`);
-        } else {
-            // Fallback if detailed arm elements not found
-            rightArm.setAttribute('transform', `rotate(${rightArmAngle}, ${rightShoulderX}, ${shoulderY})`);
-        }
-        
-        // Add torso rotation based on shoulder alignment with improved mechanics
-        let torsoRotation = 0;
-        if (bodyPose[5] && bodyPose[5].score > 0.3 && bodyPose[6] && bodyPose[6].score > 0.3) {
-            // Calculate angle of line between shoulders
-            const dx = bodyPose[6].x - bodyPose[5].x;
-            const dy = bodyPose[6].y - bodyPose[5].y;
-            torsoRotation = Math.atan2(dy, dx) * (180 / Math.PI);
-            
-            // Constrain rotation to reasonable range
-            torsoRotation = Math.max(-20, Math.min(20, torsoRotation));
-        }
+        applyBodyPose(avatar);
         
         // Add breathing effect with more natural timing
         const breathingRate = 3000; // Slower for natural breathing
@@ -292,13 +394,12 @@ export function updateAvatarBody(bodyPose) {
         const swayX = 1 + Math.sin(Date.now() / swayRate) * swayAmount;
         const swayY = 1 + Math.cos(Date.now() / swayRate) * swayAmount;
         
-        // Apply transformations to torso with enhanced animation
-        upperBody.setAttribute('transform', 
-            `scale(${torsoScale * swayX}, ${torsoScale * swayY}) rotate(${torsoRotation})`);
+        // The torso bone turns the upper body; breathing only scales it
+        upperBody.setAttribute('transform', `scale(${torsoScale * swayX}, ${torsoScale * swayY})`);
         
         // Adjust neck position based on head and shoulder positions
-        if (bodyPose[0] && bodyPose[0].score > 0.3) {
-            const neck = document.getElementById('neck');
+        if (seen(0)) {
+            const neck = avatar.parts.neck;
             if (neck) {
                 // Calculate appropriate neck position based on head and shoulders
                 const headY = bodyPose[0].y;
@@ -307,35 +408,170 @@ export function updateAvatarBody(bodyPose) {
                 
                 // Map neck position to avatar
                 const videoHeight = elements.canvas.height;
-                const centerY = videoHeight / 2;
                 const neckY = Math.min(0, shoulderY - 30 + ((headY - shoulderMidY) / (videoHeight/8)) * 20);
                 
                 neck.setAttribute('y', neckY);
                 
                 // Adjust neck width based on head rotation for a more natural look
-                if (bodyPose[3] && bodyPose[4] && bodyPose[3].score > 0.3 && bodyPose[4].score > 0.3) {
+                if (seen(3) && seen(4)) {
                     const earWidth = Math.abs(bodyPose[4].x - bodyPose[3].x);
                     const normalEarWidth = videoHeight * 0.15;
                     const widthRatio = Math.min(1.2, Math.max(0.8, earWidth / normalEarWidth));
                     
                     // Update neck width based on head rotation
-                    neck.setAttribute('width', 40 * widthRatio);
-                    neck.setAttribute('x', -20 * widthRatio);
+                    const neckWidth = avatarDefinition.rig.neck.width * widthRatio;
+                    neck.setAttribute('width', neckWidth);
+                    neck.setAttribute('x', -neckWidth / 2);
                 }
             }
         }
+        
+        // Hips, knees and ankles drive the legs of a full-body avatar
+        if (fullBody) {
+            updateAvatarLegs(bodyPose, avatar);
+        }
     } catch (error) {
         console.error('Error updating avatar body:', error);
         // Graceful fallback with smooth animation
-        leftArm.setAttribute('transform', `rotate(${Math.sin(Date.now() / 1000) * 5}, -85, 50)`);
-        rightArm.setAttribute('transform', `rotate(${-Math.sin(Date.now() / 1000) * 5}, 85, 50)`);
+        avatar.pose = createRestPose(skeleton);
+        avatar.pose.leftUpperArm = Math.sin(Date.now() / 1000) * 5;
+        avatar.pose.rightUpperArm = -Math.sin(Date.now() / 1000) * 5;
+        applyBodyPose(avatar);
         upperBody.setAttribute('transform', `scale(${1 + Math.sin(Date.now() / 3000) * 0.02})`);
     }
 }
 
-// Update avatar face with improved expression and movement mapping
-export function updateAvatarFace(faceData) {
-    if (!head || !leftEye || !rightEye || !mouth || !leftEyebrow || !rightEyebrow) return;
+// Draw an avatar's bones from its pose; the hands are turned with the forearms they hang from
+function applyBodyPose(avatar) {
+    Object.keys(BONES).forEach(name => {
+        avatar.bones[name].setAttribute('transform', getBoneTransform(skeleton, avatar.pose, name));
+    });
+    ['left', 'right'].forEach(side => applyHandPose(avatar, side));
+}
+
+// Pose the legs from keypoints 11-16; a leg whose joints are out of frame eases back to hanging straight
+function updateAvatarLegs(bodyPose, avatar) {
+    const seen = (index) => bodyPose[index] && bodyPose[index].score > 0.3;
+    
+    // Tilt the pelvis with the line between the hips
+    let pelvisTilt = 0;
+    if (seen(11) && seen(12)) {
+        const dx = bodyPose[12].x - bodyPose[11].x;
+        const dy = bodyPose[12].y - bodyPose[11].y;
+        pelvisTilt = Math.max(-15, Math.min(15, Math.atan2(dy, dx) * (180 / Math.PI)));
+    }
+    const { hips } = avatarDefinition.rig;
+    avatar.parts.lowerBody.setAttribute('transform', `rotate(${pelvisTilt}, 0, ${(hips.left[1] + hips.right[1]) / 2})`);
+    
+    [['left', 11, 13, 15], ['right', 12, 14, 16]].forEach(([side, hip, knee, ankle]) => {
+        const leg = avatar.legs[side];
+        
+        // Thigh from the hip to the knee, relative to the pelvis
+        if (seen(hip) && seen(knee)) {
+            const thigh = getHangingAngle(bodyPose[hip], bodyPose[knee]) - pelvisTilt;
+            leg.thigh = Math.max(-100, Math.min(100, thigh));
+        } else {
+            leg.thigh *= 1 - LEG_RELAX_RATE;
+        }
+        
+        // Shin from the knee to the ankle, relative to the thigh
+        if (seen(knee) && seen(ankle)) {
+            const shin = getHangingAngle(bodyPose[knee], bodyPose[ankle]) - pelvisTilt;
+            leg.knee = Math.max(-150, Math.min(150, shin - leg.thigh));
+        } else {
+            leg.knee *= 1 - LEG_RELAX_RATE;
+        }
+        
+        applyLegPose(avatar, side);
+    });
+}
+
+// Angle of a segment from hanging straight down, in degrees, as SVG rotates it (clockwise on screen)
+function getHangingAngle(from, to) {
+    return Math.atan2(-(to.x - from.x), to.y - from.y) * (180 / Math.PI);
+}
+
+// Draw a leg from its state; the foot stays level with the pelvis
+function applyLegPose(avatar, side) {
+    const { thigh, knee } = avatar.legs[side];
+    const { hips, thighLength, shinLength } = avatarDefinition.rig;
+    
+    avatar.parts[`${side}Thigh`].setAttribute('transform', `translate(${hips[side].join(', ')}) rotate(${thigh})`);
+    avatar.parts[`${side}Shin`].setAttribute('transform', `translate(0, ${thighLength}) rotate(${knee})`);
+    avatar.parts[`${side}Foot`].setAttribute('transform', `translate(0, ${shinLength}) rotate(${-(thigh + knee)})`);
+}
+
+// Show the lower body if full-body avatars are on
+function showLowerBody(avatar) {
+    avatar.parts.lowerBody.setAttribute('display', fullBody ? 'inline' : 'none');
+}
+
+// Update an avatar's hands from measured finger angles; a hand that is not tracked relaxes
+export function updateAvatarHands(handPose, avatar = primaryAvatar) {
+    if (!avatar) return;
+    
+    ['left', 'right'].forEach(side => {
+        const tracked = handPose && handPose[side];
+        if (tracked) {
+            avatar.hands[side] = { angle: tracked.angle, flipped: tracked.flipped, fingers: tracked.fingers };
+        } else {
+            relaxHand(avatar.hands[side], side);
+        }
+        
+        applyHandPose(avatar, side);
+    });
+}
+
+// Ease an untracked hand back to its rest pose
+function relaxHand(hand, side) {
+    hand.angle = null;
+    hand.flipped = side === 'right';
+    
+    Object.entries(FINGER_LAYOUT).forEach(([finger, layout]) => {
+        hand.fingers[finger].forEach((segment, i) => {
+            segment.angle += (layout.rest[i] - segment.angle) * HAND_RELAX_RATE;
+            segment.length += (REST_SEGMENT_LENGTHS[i] - segment.length) * HAND_RELAX_RATE;
+        });
+    });
+}
+
+// Turn a hand on its wrist and bend its finger joints
+function applyHandPose(avatar, side) {
+    const hand = avatar.hands[side];
+    const parts = avatar.parts;
+    const bone = `${side}Hand`;
+    
+    // A tracked hand points where it is seen on screen; an untracked one follows the forearm
+    if (hand.angle !== null) {
+        aimBone(skeleton, avatar.pose, bone, hand.angle);
+    } else {
+        avatar.pose[bone] = 0;
+    }
+    avatar.bones[bone].setAttribute('transform', getBoneTransform(skeleton, avatar.pose, bone));
+    parts[bone].setAttribute('transform', 
+        `translate(${skeleton[bone].pivot.join(', ')})` + (hand.flipped ? ' scale(-1, 1)' : ''));
+    
+    Object.entries(FINGER_LAYOUT).forEach(([finger, layout]) => {
+        const name = getFingerPartName(side, finger);
+        const segments = hand.fingers[finger];
+        
+        segments.forEach((segment, i) => {
+            // Each joint sits at the (foreshortened) end of the segment before it
+            const offset = i === 0 ? '' : `translate(0, ${layout.lengths[i - 1] * segments[i - 1].length}) `;
+            parts[`${name}${i + 1}`].setAttribute('transform', `${offset}rotate(${segment.angle})`);
+            parts[`${name}${i + 1}Bone`].setAttribute('transform', `scale(1, ${segment.length})`);
+        });
+    });
+}
+
+// Update avatar face; measured expressions drive the eyes, brows and mouth directly,
+// and anything not measured (e.g. while tracking is lost) falls back to idle animation
+export function updateAvatarFace(faceData, avatar = primaryAvatar, expressions = null) {
+    if (!avatar) return;
+    
+    const { head, leftEye, rightEye, mouth, leftEyebrow, rightEyebrow } = avatar.parts;
+    const { eyes, brows } = avatarDefinition.rig;
+    const measured = expressions || {};
     
     try {
         // Apply transformations to head element with more natural constraints
@@ -345,83 +581,48 @@ export function updateAvatarFace(faceData) {
             `scale(${1 + faceData.z * 1.2}) rotate(${faceData.rz * 0.8})`
         );
         
-        // Update eye shapes based on vertical head rotation (looking up/down)
-        // When looking up, eyes get more open, when looking down, they get more closed
-        const eyeScaleY = 1 - (faceData.rx / 30) * 0.5;
-        leftEye.setAttribute('ry', 15 * Math.max(0.4, Math.min(1.2, eyeScaleY)));
-        rightEye.setAttribute('ry', 15 * Math.max(0.4, Math.min(1.2, eyeScaleY)));
-        
         // Improved horizontal eye movement for more realistic gaze direction
         // Eyes follow head turn with proper parallax effect
         const eyeShiftX = faceData.ry * 0.25; // More subtle eye movement
-        leftEye.setAttribute('cx', -25 - eyeShiftX);
-        rightEye.setAttribute('cx', 25 - eyeShiftX);
-        
-        // Add subtle eye blinks for more lifelike appearance
-        const blinkRate = 5000; // Average time between blinks in ms
-        const blinkLength = 150; // Duration of a blink in ms
-        const randomOffset = Math.sin(Date.now() / 9777) * 2000; // Add randomness to blink timing
-        const timeSinceBlink = (Date.now() + randomOffset) % blinkRate;
+        leftEye.setAttribute('cx', eyes.left[0] - eyeShiftX);
+        rightEye.setAttribute('cx', eyes.right[0] - eyeShiftX);
         
-        // Apply blink if in blink window
-        if (timeSinceBlink < blinkLength) {
-            const blinkProgress = timeSinceBlink / blinkLength;
-            const blinkAmount = Math.sin(blinkProgress * Math.PI);
-            const eyeOpenness = 1 - blinkAmount * 0.9;
-            
-            leftEye.setAttribute('ry', 15 * eyeScaleY * eyeOpenness);
-            rightEye.setAttribute('ry', 15 * eyeScaleY * eyeOpenness);
+        if (measured.leftEyeOpen !== undefined && measured.rightEyeOpen !== undefined) {
+            // Measured eye openness, so real blinks and winks show up
+            leftEye.setAttribute('ry', eyes.height * Math.max(0.05, measured.leftEyeOpen));
+            rightEye.setAttribute('ry', eyes.height * Math.max(0.05, measured.rightEyeOpen));
+        } else {
+            animateIdleEyes(faceData, leftEye, rightEye);
         }
         
-        // More responsive eyebrow movement with natural asymmetry
-        const baseEyebrowY = -70;
-        const eyebrowExpression = Math.sin(Date.now() / 2500) * 5;  // Subtle expression changes
-        
-        // Eyebrows react to head tilt and rotation with natural motion
-        const leftEyebrowTilt = faceData.rz * 0.35 + faceData.ry * 0.15;
-        const rightEyebrowTilt = -faceData.rz * 0.35 - faceData.ry * 0.15;
-        
-        // Eyebrows go up when looking up, down when looking down
-        const eyebrowYOffset = -faceData.rx * 0.4;
+        // Irises follow the measured gaze, not the head; without it they look straight ahead
+        updateIrises(avatar, measured);
         
-        // Left eyebrow with improved expressiveness
-        const leftEyebrowYPos = baseEyebrowY + eyebrowExpression + eyebrowYOffset;
-        const leftEyebrowPath = `M-40 ${leftEyebrowYPos + leftEyebrowTilt} L-10 ${leftEyebrowYPos - leftEyebrowTilt}`;
-        leftEyebrow.setAttribute('d', leftEyebrowPath);
-        
-        // Right eyebrow with improved expressiveness
-        const rightEyebrowYPos = baseEyebrowY + eyebrowExpression + eyebrowYOffset + (Math.sin(Date.now() / 3700) * 2); // Slight asymmetry
-        const rightEyebrowPath = `M10 ${rightEyebrowYPos + rightEyebrowTilt} L40 ${rightEyebrowYPos - rightEyebrowTilt}`;
-        rightEyebrow.setAttribute('d', rightEyebrowPath);
-        
-        // Check for face movement and use detected mouth openness if available
-        const headMovement = Math.abs(faceData.x) + Math.abs(faceData.y) + Math.abs(faceData.ry);
-        const time = Date.now();
-        
-        // Use detected mouth openness from face tracking if available
-        const mouthOpenness = appState.mouthOpenness !== undefined ? 
-            appState.mouthOpenness : 
-            (headMovement > 2 || (time % 5000) < 2500) ? 
-                Math.sin(time / (300 - headMovement * 20)) * 0.5 + 0.5 : 0.2;
-        
-        // Much more natural mouth animation based on detected speech or movement
-        if (headMovement > 2.5 || (time % 5000) < 2500) {
-            // Dynamic talking animation
-            const baseRY = 4 + (mouthOpenness * 10); // Height based on openness
-            const baseRX = 20 - (mouthOpenness * 4);  // Width changes with talking
+        const baseEyebrowY = brows.y;
+        if (measured.leftBrowRaise !== undefined && measured.rightBrowRaise !== undefined) {
+            // Raised brows lift; lowered brows also pull their inner ends down into a frown
+            const leftY = baseEyebrowY - measured.leftBrowRaise * 10;
+            const rightY = baseEyebrowY - measured.rightBrowRaise * 10;
+            const leftFrown = Math.max(0, -measured.leftBrowRaise) * 5;
+            const rightFrown = Math.max(0, -measured.rightBrowRaise) * 5;
             
-            // Add subtle variations for more natural speech
-            const mouthNoiseX = Math.sin(time / 120) * 2;
-            const mouthNoiseY = Math.cos(time / 180) * 1.5;
+            leftEyebrow.setAttribute('d', `M${-brows.outer} ${leftY} L${-brows.inner} ${leftY + leftFrown}`);
+            rightEyebrow.setAttribute('d', `M${brows.inner} ${rightY + rightFrown} L${brows.outer} ${rightY}`);
+        } else {
+            animateIdleEyebrows(faceData, leftEyebrow, rightEyebrow, baseEyebrowY);
+        }
+        
+        if (measured.mouthOpen !== undefined) {
+            // Opening makes the mouth taller and a little narrower, smiling (or a wide viseme) makes it wider
+            // and rounding (mouthWidth below 0, from lip sync) narrower
+            const smile = measured.smile || 0;
+            const jaw = measured.jawSideways || 0;
+            const width = measured.mouthWidth || 0;
             
-            mouth.setAttribute('ry', baseRY + mouthNoiseY);
-            mouth.setAttribute('rx', baseRX + mouthNoiseX);
+            setMouthSize(mouth, Math.max(6, 20 + smile * 8 + width * 8 - measured.mouthOpen * 4), 3 + measured.mouthOpen * 12);
+            mouth.setAttribute('cx', jaw * 6);
         } else {
-            // Subtle breathing/idle movement when not talking
-            const breatheSpeed = 3000;
-            const breathe = Math.sin(time / breatheSpeed) * 0.3 + 0.7; // 0.4 to 1 value
-            mouth.setAttribute('ry', 4 * breathe);
-            mouth.setAttribute('rx', 20);
+            animateIdleMouth(faceData, mouth);
         }
     } catch (error) {
         console.error('Error updating avatar face:', error);
@@ -431,37 +632,191 @@ export function updateAvatarFace(faceData) {
         const microMove = Math.sin(time / 2000) * 2;
         
         head.setAttribute('transform', `translate(${microMove}, 0) scale(${1 + breathe}) rotate(0)`);
-        leftEye.setAttribute('ry', 15);
-        rightEye.setAttribute('ry', 15);
-        mouth.setAttribute('ry', 6 + Math.sin(time / 2500) * 2);
-        mouth.setAttribute('rx', 20);
+        leftEye.setAttribute('ry', eyes.height);
+        rightEye.setAttribute('ry', eyes.height);
+        setMouthSize(mouth, 20, 6 + Math.sin(time / 2500) * 2);
+    }
+}
+
+// Place each iris and pupil inside its eye from the gaze, squashing them as the lids close
+function updateIrises(avatar, measured) {
+    const { eyes } = avatarDefinition.rig;
+    
+    ['left', 'right'].forEach(side => {
+        const eye = avatar.parts[`${side}Eye`];
+        const eyeX = parseFloat(eye.getAttribute('cx'));
+        const eyeRY = parseFloat(eye.getAttribute('ry'));
+        const irisRY = Math.min(eyes.iris, eyeRY * 0.6);
+        
+        const x = eyeX + (measured[`${side}GazeX`] || 0) * (eyes.width - eyes.iris);
+        const y = eyes[side][1] + (measured[`${side}GazeY`] || 0) * Math.max(0, eyeRY - irisRY - 2);
+        
+        [[avatar.parts[`${side}Iris`], 1], [avatar.parts[`${side}Pupil`], 0.45]].forEach(([part, size]) => {
+            part.setAttribute('cx', x);
+            part.setAttribute('cy', y);
+            part.setAttribute('ry', irisRY * size);
+        });
+    });
+}
+
+// Synthetic eye shapes and timed blinks, used when eye openness isn't measured
+function animateIdleEyes(faceData, leftEye, rightEye) {
+    // Update eye shapes based on vertical head rotation (looking up/down)
+    // When looking up, eyes get more open, when looking down, they get more closed
+    const eyeHeight = avatarDefinition.rig.eyes.height;
+    const eyeScaleY = 1 - (faceData.rx / 30) * 0.5;
+    leftEye.setAttribute('ry', eyeHeight * Math.max(0.4, Math.min(1.2, eyeScaleY)));
+    rightEye.setAttribute('ry', eyeHeight * Math.max(0.4, Math.min(1.2, eyeScaleY)));
+    
+    // Add subtle eye blinks for more lifelike appearance
+    const blinkRate = 5000; // Average time between blinks in ms
+    const blinkLength = 150; // Duration of a blink in ms
+    const randomOffset = Math.sin(Date.now() / 9777) * 2000; // Add randomness to blink timing
+    const timeSinceBlink = (Date.now() + randomOffset) % blinkRate;
+    
+    // Apply blink if in blink window
+    if (timeSinceBlink < blinkLength) {
+        const blinkProgress = timeSinceBlink / blinkLength;
+        const blinkAmount = Math.sin(blinkProgress * Math.PI);
+        const eyeOpenness = 1 - blinkAmount * 0.9;
+        
+        leftEye.setAttribute('ry', eyeHeight * eyeScaleY * eyeOpenness);
+        rightEye.setAttribute('ry', eyeHeight * eyeScaleY * eyeOpenness);
     }
 }
 
+// Synthetic eyebrow motion, used when brow raise isn't measured
+function animateIdleEyebrows(faceData, leftEyebrow, rightEyebrow, baseEyebrowY) {
+    const { inner, outer } = avatarDefinition.rig.brows;
+    const eyebrowExpression = Math.sin(Date.now() / 2500) * 5;  // Subtle expression changes
+    
+    // Eyebrows react to head tilt and rotation with natural motion
+    const leftEyebrowTilt = faceData.rz * 0.35 + faceData.ry * 0.15;
+    const rightEyebrowTilt = -faceData.rz * 0.35 - faceData.ry * 0.15;
+    
+    // Eyebrows go up when looking up, down when looking down
+    const eyebrowYOffset = -faceData.rx * 0.4;
+    
+    // Left eyebrow with improved expressiveness
+    const leftEyebrowYPos = baseEyebrowY + eyebrowExpression + eyebrowYOffset;
+    const leftEyebrowPath = `M${-outer} ${leftEyebrowYPos + leftEyebrowTilt} L${-inner} ${leftEyebrowYPos - leftEyebrowTilt}`;
+    leftEyebrow.setAttribute('d', leftEyebrowPath);
+    
+    // Right eyebrow with improved expressiveness
+    const rightEyebrowYPos = baseEyebrowY + eyebrowExpression + eyebrowYOffset + (Math.sin(Date.now() / 3700) * 2); // Slight asymmetry
+    const rightEyebrowPath = `M${inner} ${rightEyebrowYPos + rightEyebrowTilt} L${outer} ${rightEyebrowYPos - rightEyebrowTilt}`;
+    rightEyebrow.setAttribute('d', rightEyebrowPath);
+}
+
+// Synthetic talking and breathing mouth, used when mouth openness isn't measured
+function animateIdleMouth(faceData, mouth) {
+    const headMovement = Math.abs(faceData.x) + Math.abs(faceData.y) + Math.abs(faceData.ry);
+    const time = Date.now();
+    
+    mouth.setAttribute('cx', 0);
+    
+    // Much more natural mouth animation based on movement
+    if (headMovement > 2.5 || (time % 5000) < 2500) {
+        // Dynamic talking animation
+        const mouthOpenness = Math.sin(time / (300 - headMovement * 20)) * 0.5 + 0.5;
+        const baseRY = 4 + (mouthOpenness * 10); // Height based on openness
+        const baseRX = 20 - (mouthOpenness * 4);  // Width changes with talking
+        
+        // Add subtle variations for more natural speech
+        const mouthNoiseX = Math.sin(time / 120) * 2;
+        const mouthNoiseY = Math.cos(time / 180) * 1.5;
+        
+        setMouthSize(mouth, baseRX + mouthNoiseX, baseRY + mouthNoiseY);
+    } else {
+        // Subtle breathing/idle movement when not talking
+        const breatheSpeed = 3000;
+        const breathe = Math.sin(time / breatheSpeed) * 0.3 + 0.7; // 0.4 to 1 value
+        setMouthSize(mouth, 20, 4 * breathe);
+    }
+}
+
+// Set the mouth's half width and half height, given for a MOUTH_SIZE mouth, scaled to the avatar's mouth
+function setMouthSize(mouth, rx, ry) {
+    const { width, height } = avatarDefinition.rig.mouth;
+    mouth.setAttribute('rx', rx * width / MOUTH_SIZE.width);
+    mouth.setAttribute('ry', ry * height / MOUTH_SIZE.height);
+}
+
 // Set avatar scale
 export function setAvatarScale(scale) {
-    if (!avatarGroup || !elements.canvas) return;
+    if (!elements.canvas) return;
     
-    avatarGroup.setAttribute('transform', 
-        `translate(${elements.canvas.width/2}, ${elements.canvas.height/2}) scale(${scale})`);
+    avatarScale = scale;
+    layoutAvatars();
 }
 
-// Reset avatar position
+// Play an emote on an avatar (defaults to the primary avatar), replacing any emote already playing
+export function playAvatarEmote(name, avatar = primaryAvatar) {
+    if (!avatar || !EMOTES[name]) return;
+    // It starts on the next rendered frame, on whatever clock the avatars are rendered with
+    avatar.emote = { name, start: null };
+}
+
+// Advance the emotes playing on every avatar to a time in seconds
+export function updateAvatarEmotes(time) {
+    getAvatars().forEach(avatar => {
+        if (!avatar.emote) return;
+        
+        const emote = EMOTES[avatar.emote.name];
+        if (avatar.emote.start === null) avatar.emote.start = time;
+        const progress = (time - avatar.emote.start) / emote.duration;
+        if (progress >= 1) {
+            avatar.emote = null;
+            avatar.parts.emote.setAttribute('transform', '');
+        } else {
+            avatar.parts.emote.setAttribute('transform', emote.transform(Math.max(0, progress)));
+        }
+    });
+}
+
+// Show or hide the hips and legs of every avatar, and refit the avatars to the frame
+export function setFullBody(enabled) {
+    fullBody = enabled;
+    getAvatars().forEach(showLowerBody);
+    layoutAvatars();
+}
+
+// Reset the primary avatar's pose and remove the avatars of any additional people
 export function resetAvatarPosition() {
-    if (!avatarGroup || !head || !leftEye || !rightEye || !leftEyebrow || 
-        !rightEyebrow || !mouth || !leftArm || !rightArm || !upperBody) return;
+    if (!primaryAvatar) return;
+    
+    syncAvatarInstances([]);
+    primaryAvatar.anchorX = null;
+    layoutAvatars();
+    resetAvatarPose(primaryAvatar);
+}
+
+// Put one avatar back into its rest pose
+function resetAvatarPose(avatar) {
+    const { head, leftEye, rightEye, leftEyebrow, rightEyebrow, mouth, upperBody } = avatar.parts;
+    const { eyes, brows, mouth: mouthSize } = avatarDefinition.rig;
     
-    avatarGroup.setAttribute('transform', `translate(${elements.canvas.width/2 || 320}, ${elements.canvas.height/2 || 240})`);
     head.setAttribute('transform', 'translate(0, 0) scale(1) rotate(0)');
-    leftEye.setAttribute('ry', 15);
-    rightEye.setAttribute('ry', 15);
-    leftEye.setAttribute('cx', -25);
-    rightEye.setAttribute('cx', 25);
-    leftEyebrow.setAttribute('d', 'M-40 -70 L-10 -70');
-    rightEyebrow.setAttribute('d', 'M10 -70 L40 -70');
-    mouth.setAttribute('ry', 8);
-    mouth.setAttribute('rx', 20);
-    leftArm.setAttribute('transform', 'rotate(0, -85, 50)');
-    rightArm.setAttribute('transform', 'rotate(0, 85, 50)');
+    leftEye.setAttribute('ry', eyes.height);
+    rightEye.setAttribute('ry', eyes.height);
+    leftEye.setAttribute('cx', eyes.left[0]);
+    rightEye.setAttribute('cx', eyes.right[0]);
+    leftEyebrow.setAttribute('d', `M${-brows.outer} ${brows.y} L${-brows.inner} ${brows.y}`);
+    rightEyebrow.setAttribute('d', `M${brows.inner} ${brows.y} L${brows.outer} ${brows.y}`);
+    mouth.setAttribute('ry', mouthSize.height);
+    mouth.setAttribute('rx', mouthSize.width);
+    mouth.setAttribute('cx', 0);
+    updateIrises(avatar, {});
     upperBody.setAttribute('transform', 'scale(1)');
+    
+    avatar.pose = createRestPose(skeleton);
+    ['left', 'right'].forEach(side => {
+        avatar.hands[side] = createRestHand(side);
+        avatar.legs[side] = createRestLeg();
+        applyLegPose(avatar, side);
+    });
+    applyBodyPose(avatar);
+    avatar.parts.lowerBody.setAttribute('transform', '');
+    avatar.emote = null;
+    avatar.parts.emote.setAttribute('transform', '');
 }
\ No newline at end of file
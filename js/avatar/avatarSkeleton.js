@@ -0,0 +1,121 @@
+// Avatar Skeleton - The bones an avatar's upper body is posed with, and forward kinematics over them
+//
+// Each bone turns about its pivot and carries its children, so where a bone ends up is
+// composed from its parents: the torso carries the neck and both shoulders, the neck
+// carries the head, and each shoulder carries its upper arm, which carries the forearm,
+// which carries the hand. Pivots and ends are points on the avatar at rest (avatar
+// pixels, y down; see avatarDefinitions.js), taken from its rig.
+//
+// A pose is an angle per bone: degrees clockwise on screen from the bone's rest
+// direction, relative to its parent. The renderer draws each bone as a group inside
+// its parent's group with rotate(angle, pivot), so the SVG composes the transforms.
+
+// Bones, parents first: the bone each hangs from, the parts it carries (by channel) and the
+// range its angle is kept in. An upper arm swings out and up away from the body further than
+// across it, so the two sides' ranges are mirrored
+export const BONES = {
+    torso: { parent: null, parts: ['upperBody'], limits: [-20, 20] },
+    neck: { parent: 'torso', parts: ['neck', 'head'], limits: [-20, 20] },
+    leftShoulder: { parent: 'torso', parts: ['leftShoulder', 'leftArm'], limits: [-25, 25] },
+    rightShoulder: { parent: 'torso', parts: ['rightShoulder', 'rightArm'], limits: [-25, 25] },
+    leftUpperArm: { parent: 'leftShoulder', parts: ['leftUpperArm'], limits: [-45, 180] },
+    rightUpperArm: { parent: 'rightShoulder', parts: ['rightUpperArm'], limits: [-180, 45] },
+    leftForearm: { parent: 'leftUpperArm', parts: ['leftForearm'], limits: [-150, 150] },
+    rightForearm: { parent: 'rightUpperArm', parts: ['rightForearm'], limits: [-150, 150] },
+    leftHand: { parent: 'leftForearm', parts: ['leftHand'], limits: [-180, 180] },
+    rightHand: { parent: 'rightForearm', parts: ['rightHand'], limits: [-180, 180] }
+};
+
+// Length of the jointed hands, from the wrist to the tip of the middle finger
+const HAND_LENGTH = 55;
+
+// The bones of an avatar's rig, by name: each bone's pivot and end at rest, its length and
+// its rest direction (degrees clockwise from pointing right, as Math.atan2 measures on screen)
+export function createSkeleton(rig) {
+    const { shoulders, upperArmLength, wrists, eyes, hips } = rig;
+    const ends = {
+        torso: [[0, 0], [0, (hips.left[1] + hips.right[1]) / 2]],
+        neck: [[0, 0], [0, (eyes.left[1] + eyes.right[1]) / 2]]
+    };
+    ['left', 'right'].forEach(side => {
+        const [shoulderX, shoulderY] = shoulders[side];
+        const elbow = [shoulderX, shoulderY + upperArmLength];
+        ends[`${side}Shoulder`] = [[0, shoulderY], shoulders[side]];
+        ends[`${side}UpperArm`] = [shoulders[side], elbow];
+        ends[`${side}Forearm`] = [elbow, wrists[side]];
+        ends[`${side}Hand`] = [wrists[side], [wrists[side][0], wrists[side][1] + HAND_LENGTH]];
+    });
+    
+    const skeleton = {};
+    Object.entries(BONES).forEach(([name, bone]) => {
+        const [pivot, end] = ends[name];
+        skeleton[name] = {
+            ...bone,
+            name,
+            pivot,
+            end,
+            length: Math.hypot(end[0] - pivot[0], end[1] - pivot[1]),
+            restAngle: Math.atan2(end[1] - pivot[1], end[0] - pivot[0]) * (180 / Math.PI)
+        };
+    });
+    return skeleton;
+}
+
+// A pose with every bone at rest
+export function createRestPose(skeleton) {
+    const pose = {};
+    Object.keys(skeleton).forEach(name => {
+        pose[name] = 0;
+    });
+    return pose;
+}
+
+// How far a bone is turned on screen: its own angle and all its parents'
+export function getWorldAngle(skeleton, pose, name) {
+    let angle = 0;
+    for (let bone = skeleton[name]; bone; bone = skeleton[bone.parent]) {
+        angle += pose[bone.name];
+    }
+    return angle;
+}
+
+// Turn a bone to point in a direction on screen (degrees, as Math.atan2 measures), taking out its
+// parents' turns and keeping it in its range; returns the angle set
+export function aimBone(skeleton, pose, name, direction) {
+    const bone = skeleton[name];
+    const parentAngle = bone.parent ? getWorldAngle(skeleton, pose, bone.parent) : 0;
+    pose[name] = clampJointAngle(direction - bone.restAngle - parentAngle, bone.limits);
+    return pose[name];
+}
+
+// Set a bone's angle directly, kept in its range
+export function setBoneAngle(skeleton, pose, name, angle) {
+    pose[name] = clampJointAngle(angle, skeleton[name].limits);
+    return pose[name];
+}
+
+// Where a bone ends in a pose, in avatar pixels: its end turned about its own pivot, then about each parent's
+export function getBoneEnd(skeleton, pose, name) {
+    let [x, y] = skeleton[name].end;
+    for (let bone = skeleton[name]; bone; bone = skeleton[bone.parent]) {
+        const radians = pose[bone.name] * Math.PI / 180;
+        const [pivotX, pivotY] = bone.pivot;
+        const dx = x - pivotX;
+        const dy = y - pivotY;
+        x = pivotX + dx * Math.cos(radians) - dy * Math.sin(radians);
+        y = pivotY + dx * Math.sin(radians) + dy * Math.cos(radians);
+    }
+    return [x, y];
+}
+
+// The SVG transform of a bone's group, inside its parent's group
+export function getBoneTransform(skeleton, pose, name) {
+    return `rotate(${pose[name]}, ${skeleton[name].pivot.join(', ')})`;
+}
+
+// Keep an angle in a range; an angle outside it goes to whichever end is nearer around the circle
+function clampJointAngle(angle, [min, max]) {
+    const start = min - (360 - (max - min)) / 2;
+    const wrapped = ((angle - start) % 360 + 360) % 360 + start;
+    return Math.max(min, Math.min(max, wrapped));
+}
\ No newline at end of file
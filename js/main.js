@@ -4,12 +4,110 @@
 export const appState = {
     isTracking: false,
     isRecording: false,
+    isRecordingMotion: false,
+    isRendering: false,
     lastFacePosition: null,
     lastBodyPosition: null,
     config: {
+        // Character the avatar is drawn as (see avatar/avatarDefinitions.js)
+        avatar: 'tricolor',
         avatarScale: 1.0,
-        smoothingLevel: 0.7,
+        // Show hips and legs driven by the lower-body keypoints (for standing presenters and dancers)
+        fullBody: false,
+        filters: {
+            body: {
+                type: 'oneEuro',
+                params: {
+                    oneEuro: { minCutoff: 1.0, beta: 0.05, dCutoff: 1.0 },
+                    kalman: { processNoise: 50, measurementNoise: 0.1 },
+                    ema: { smoothing: 0.8 }
+                }
+            },
+            headPosition: {
+                type: 'oneEuro',
+                params: {
+                    oneEuro: { minCutoff: 1.0, beta: 0.05, dCutoff: 1.0 },
+                    kalman: { processNoise: 50, measurementNoise: 0.5 },
+                    ema: { smoothing: 0.7 }
+                }
+            },
+            headRotation: {
+                type: 'oneEuro',
+                params: {
+                    oneEuro: { minCutoff: 1.0, beta: 0.02, dCutoff: 1.0 },
+                    kalman: { processNoise: 100, measurementNoise: 1 },
+                    ema: { smoothing: 0.7 }
+                }
+            },
+            mouth: {
+                type: 'ema',
+                params: {
+                    oneEuro: { minCutoff: 2.0, beta: 0.05, dCutoff: 1.0 },
+                    kalman: { processNoise: 200, measurementNoise: 0.5 },
+                    ema: { smoothing: 0.5 }
+                }
+            },
+            eyes: {
+                type: 'oneEuro',
+                params: {
+                    oneEuro: { minCutoff: 2.0, beta: 0.1, dCutoff: 1.0 },
+                    kalman: { processNoise: 300, measurementNoise: 0.5 },
+                    ema: { smoothing: 0.3 }
+                }
+            },
+            hands: {
+                type: 'oneEuro',
+                params: {
+                    oneEuro: { minCutoff: 1.5, beta: 0.02, dCutoff: 1.0 },
+                    kalman: { processNoise: 100, measurementNoise: 1 },
+                    ema: { smoothing: 0.6 }
+                }
+            }
+        },
         displayMode: 'avatarOnly',
+        trackerProvider: 'mediapipe',
+        maxPeople: 1,
+        // Run the camera detectors in a Web Worker when the browser supports it
+        inferenceWorker: true,
+        // Render between tracking samples at the display's rate, predicting this far ahead (seconds)
+        motionInterpolation: {
+            enabled: true,
+            predictionHorizon: 0.05
+        },
+        // What the avatar does when tracking drops (see tracking/trackingState.js); times in seconds
+        trackingLoss: {
+            degraded: 'hold',
+            lost: 'rest',
+            lostDelay: 0.5,
+            easeTime: 0.8,
+            recoveryTime: 0.4
+        },
+        // Motion clip played by the idle loss behaviour and the simulation tracker (see tracking/motionClips.js);
+        // 'mix' plays the built-in idle clips in turn
+        idleClip: 'mix',
+        // Mouth shapes from the microphone (see tracking/lipSync.js); weight 0 uses only the camera's
+        // measured mouth, 1 only the microphone
+        lipSync: {
+            enabled: false,
+            weight: 0.5
+        },
+        // Hands-free control (see tracking/gestures.js): postures are held for holdTime, and a gesture
+        // fires at most once per cooldown (seconds); actions are listed in utils/gestureActions.js
+        gestures: {
+            enabled: true,
+            holdTime: 0.6,
+            cooldown: 1.5,
+            actions: {
+                wave: 'emote:bounce',
+                bothArmsUp: 'none',
+                handRaised: 'none',
+                tPose: 'emote:spin',
+                armsCrossed: 'none',
+                clap: 'nextBackground',
+                pointLeft: 'none',
+                pointRight: 'none'
+            }
+        },
         backgroundType: 'irish',
         backgroundElements: {
             cityscape: { buildings: 15, windows: true },
@@ -21,6 +119,7 @@ export const appState = {
         recording: {
             quality: 'high',
             format: 'webm',
+            motionFormat: 'jsonl',
             fps: 30
         }
     }
@@ -34,15 +133,97 @@ export const elements = {
     startButton: document.getElementById('startButton'),
     stopButton: document.getElementById('stopButton'),
     recordButton: document.getElementById('recordButton'),
+    mocapButton: document.getElementById('mocapButton'),
+    mocapFormat: document.getElementById('mocapFormat'),
     recordingIndicator: document.getElementById('recordingIndicator'),
     debugInfo: document.getElementById('debugInfo'),
     loadingScreen: document.getElementById('loadingScreen'),
     bgSelect: document.getElementById('bgSelect'),
+    avatarSelect: document.getElementById('avatarSelect'),
+    loadAvatarButton: document.getElementById('loadAvatarButton'),
+    deleteAvatarButton: document.getElementById('deleteAvatarButton'),
+    avatarFileInput: document.getElementById('avatarFileInput'),
     avatarScale: document.getElementById('avatarScale'),
-    smoothingLevel: document.getElementById('smoothingLevel'),
+    fullBody: document.getElementById('fullBody'),
+    interpolateMotion: document.getElementById('interpolateMotion'),
+    predictionHorizon: document.getElementById('predictionHorizon'),
+    predictionHorizonValue: document.getElementById('predictionHorizonValue'),
+    filterSettings: document.getElementById('filterSettings'),
     displayMode: document.getElementById('displayMode'),
+    trackerSelect: document.getElementById('trackerSelect'),
+    replayFileInput: document.getElementById('replayFileInput'),
+    maxPeopleSelect: document.getElementById('maxPeopleSelect'),
+    degradedBehavior: document.getElementById('degradedBehavior'),
+    lostBehavior: document.getElementById('lostBehavior'),
+    idleClipSelect: document.getElementById('idleClipSelect'),
+    loadClipButton: document.getElementById('loadClipButton'),
+    deleteClipButton: document.getElementById('deleteClipButton'),
+    clipFileInput: document.getElementById('clipFileInput'),
+    trackingStateIndicator: document.getElementById('trackingStateIndicator'),
+    gestureIndicator: document.getElementById('gestureIndicator'),
+    lipSyncEnabled: document.getElementById('lipSyncEnabled'),
+    lipSyncWeight: document.getElementById('lipSyncWeight'),
+    lipSyncWeightValue: document.getElementById('lipSyncWeightValue'),
+    gesturesEnabled: document.getElementById('gesturesEnabled'),
+    gestureHoldTime: document.getElementById('gestureHoldTime'),
+    gestureHoldTimeValue: document.getElementById('gestureHoldTimeValue'),
+    gestureCooldown: document.getElementById('gestureCooldown'),
+    gestureCooldownValue: document.getElementById('gestureCooldownValue'),
+    gestureBindings: document.getElementById('gestureBindings'),
+    calibrationProfile: document.getElementById('calibrationProfile'),
+    calibrateButton: document.getElementById('calibrateButton'),
+    deleteProfileButton: document.getElementById('deleteProfileButton'),
+    calibrationOverlay: document.getElementById('calibrationOverlay'),
+    calibrationMessage: document.getElementById('calibrationMessage'),
+    calibrationProgressBar: document.getElementById('calibrationProgressBar'),
+    calibrationName: document.getElementById('calibrationName'),
+    calibrationSave: document.getElementById('calibrationSave'),
+    calibrationRetry: document.getElementById('calibrationRetry'),
+    calibrationCancel: document.getElementById('calibrationCancel'),
+    calibrationGazeTarget: document.getElementById('calibrationGazeTarget'),
     fileUploadBtn: document.getElementById('fileUploadBtn'),
+    motionFileBtn: document.getElementById('motionFileBtn'),
+    motionPlayback: document.getElementById('motionPlayback'),
+    motionPlayPause: document.getElementById('motionPlayPause'),
+    motionSeek: document.getElementById('motionSeek'),
+    motionTime: document.getElementById('motionTime'),
+    motionLoop: document.getElementById('motionLoop'),
+    motionSpeed: document.getElementById('motionSpeed'),
+    motionExportBvh: document.getElementById('motionExportBvh'),
     videoFileInput: document.getElementById('videoFileInput'),
+    renderFileBtn: document.getElementById('renderFileBtn'),
+    renderFileInput: document.getElementById('renderFileInput'),
+    renderOverlay: document.getElementById('renderOverlay'),
+    renderMessage: document.getElementById('renderMessage'),
+    renderProgressBar: document.getElementById('renderProgressBar'),
+    renderCancel: document.getElementById('renderCancel'),
+    queueButton: document.getElementById('queueButton'),
+    batchQueue: document.getElementById('batchQueue'),
+    queueAllBackground: document.getElementById('queueAllBackground'),
+    queueAllScale: document.getElementById('queueAllScale'),
+    queueAllFullBody: document.getElementById('queueAllFullBody'),
+    queueApplyAll: document.getElementById('queueApplyAll'),
+    queueItems: document.getElementById('queueItems'),
+    queueFileInput: document.getElementById('queueFileInput'),
+    queueAddFiles: document.getElementById('queueAddFiles'),
+    queueClearFinished: document.getElementById('queueClearFinished'),
+    queueStart: document.getElementById('queueStart'),
+    queueClose: document.getElementById('queueClose'),
+    editorButton: document.getElementById('editorButton'),
+    avatarEditor: document.getElementById('avatarEditor'),
+    editorPreset: document.getElementById('editorPreset'),
+    editorProportions: document.getElementById('editorProportions'),
+    editorColors: document.getElementById('editorColors'),
+    editorEyes: document.getElementById('editorEyes'),
+    editorMouth: document.getElementById('editorMouth'),
+    editorAccessories: document.getElementById('editorAccessories'),
+    editorName: document.getElementById('editorName'),
+    editorFileInput: document.getElementById('editorFileInput'),
+    editorSave: document.getElementById('editorSave'),
+    editorDelete: document.getElementById('editorDelete'),
+    editorImport: document.getElementById('editorImport'),
+    editorExport: document.getElementById('editorExport'),
+    editorClose: document.getElementById('editorClose'),
     avatarContainer: document.getElementById('avatarContainer')
 };
 
@@ -109,6 +290,33 @@ async function loadModules() {
         throw new Error('Failed to load video processing modules');
     }
     
+    try {
+        // Import video file rendering modules
+        const videoRender = await import('./utils/videoRender.js');
+        modules.videoRender = videoRender;
+    } catch (error) {
+        console.error('Error loading video render modules:', error);
+        throw new Error('Failed to load video render modules');
+    }
+    
+    try {
+        // Import batch queue modules
+        const batchQueue = await import('./utils/batchQueue.js');
+        modules.batchQueue = batchQueue;
+    } catch (error) {
+        console.error('Error loading batch queue modules:', error);
+        throw new Error('Failed to load batch queue modules');
+    }
+    
+    try {
+        // Import avatar editor modules
+        const avatarEditor = await import('./utils/avatarEditor.js');
+        modules.avatarEditor = avatarEditor;
+    } catch (error) {
+        console.error('Error loading avatar editor modules:', error);
+        throw new Error('Failed to load avatar editor modules');
+    }
+    
     try {
         // Import recording modules
         const recording = await import('./utils/recording.js');
@@ -118,6 +326,33 @@ async function loadModules() {
         throw new Error('Failed to load recording modules');
     }
     
+    try {
+        // Import motion playback modules
+        const motionPlayback = await import('./utils/motionPlayback.js');
+        modules.motionPlayback = motionPlayback;
+    } catch (error) {
+        console.error('Error loading motion playback modules:', error);
+        throw new Error('Failed to load motion playback modules');
+    }
+    
+    try {
+        // Import calibration modules
+        const calibrationWizard = await import('./utils/calibrationWizard.js');
+        modules.calibrationWizard = calibrationWizard;
+    } catch (error) {
+        console.error('Error loading calibration modules:', error);
+        throw new Error('Failed to load calibration modules');
+    }
+    
+    try {
+        // Import gesture action modules
+        const gestureActions = await import('./utils/gestureActions.js');
+        modules.gestureActions = gestureActions;
+    } catch (error) {
+        console.error('Error loading gesture modules:', error);
+        throw new Error('Failed to load gesture modules');
+    }
+    
     try {
         // Import background modules
         const backgroundManager = await import('./backgrounds/backgroundManager.js');
@@ -150,15 +385,39 @@ async function setupComponents(modules) {
         modules.videoProcessing.setupVideoProcessing();
         console.log('Video processing initialized');
         
-        // 5. Set up recording functionality
+        // 5. Set up frame-by-frame rendering of video files
+        modules.videoRender.setupVideoRender();
+        console.log('Video rendering initialized');
+        
+        // 6. Set up the processing queue for rendering many files
+        modules.batchQueue.setupBatchQueue();
+        console.log('Processing queue initialized');
+        
+        // 7. Set up the avatar editor and its presets
+        modules.avatarEditor.setupAvatarEditor();
+        console.log('Avatar editor initialized');
+        
+        // 8. Set up recording functionality
         modules.recording.setupRecording();
         console.log('Recording system initialized');
         
-        // 6. Initialize background system
+        // 9. Set up motion file playback controls
+        modules.motionPlayback.setupMotionPlayback();
+        console.log('Motion playback initialized');
+        
+        // 10. Set up calibration profiles and the calibration wizard
+        modules.calibrationWizard.setupCalibrationWizard();
+        console.log('Calibration initialized');
+        
+        // 11. Bind gestures to their actions
+        modules.gestureActions.setupGestureActions();
+        console.log('Gesture actions initialized');
+        
+        // 12. Initialize background system
         modules.backgroundManager.initializeBackgrounds();
         console.log('Background system initialized');
         
-        // 7. Update UI based on initial state
+        // 13. Update UI based on initial state
         updateUIState();
     } catch (error) {
         console.error('Error setting up components:', error);
@@ -168,10 +427,14 @@ async function setupComponents(modules) {
 
 // Update UI based on app state
 export function updateUIState() {
-    elements.startButton.disabled = appState.isTracking;
+    elements.startButton.disabled = appState.isTracking || appState.isRendering;
     elements.stopButton.disabled = !appState.isTracking;
     elements.recordButton.disabled = !appState.isTracking;
-    elements.fileUploadBtn.disabled = appState.isTracking;
+    elements.mocapButton.disabled = !appState.isTracking;
+    elements.fileUploadBtn.disabled = appState.isTracking || appState.isRendering;
+    elements.renderFileBtn.disabled = appState.isRendering;
+    elements.calibrateButton.disabled = !appState.isTracking;
+    elements.trackingStateIndicator.style.display = appState.isTracking ? 'block' : 'none';
     
     // Update user feedback text
     if (appState.isTracking) {
@@ -0,0 +1,232 @@
+// Calibration - A person's neutral pose and proportions, and named profiles to keep them in
+//
+// While the person holds a relaxed, neutral pose, the raw measurements from a few
+// seconds of tracking are collected and their medians become the baseline:
+//
+//   faceDistance   distance of the head from the camera (mm, from the face model fit);
+//                  this is what the spacing of the eyes says about the person's distance
+//   headRotation   { rx, ry, rz } neutral head angles in degrees (e.g. a camera above the screen)
+//   headOffset     { x, y } neutral head position relative to the middle of the frame
+//   shoulderSpan   shoulder width in frame pixels, or null if the shoulders weren't seen
+//   expressions    neutral eye openness, brow height, mouth width, gaze and so on
+//   gazeRange      { left, right, up, down } how far the gaze moved from neutral while looking
+//                  at each edge of the screen, or null if that part of the calibration failed
+//
+// Tracking then measures everything relative to the baseline instead of fixed
+// averages, so people who sit far back or have a narrow face or shoulders still
+// get an upright, full-size avatar.
+
+// Where the profiles are kept between visits
+const STORAGE_KEY = 'avatarTracker.calibrationProfiles';
+
+// Fewest face samples needed for a usable baseline (about a second of tracking)
+const MIN_SAMPLES = 20;
+
+// Edges of the screen looked at in turn to measure how far the eyes move
+export const GAZE_TARGETS = ['left', 'right', 'up', 'down'];
+
+// Fewest samples needed while looking at each gaze target
+const MIN_GAZE_SAMPLES = 8;
+
+// Smallest change in gaze (in measureExpressions' units) that counts as the eyes having moved
+const MIN_GAZE_TRAVEL = 0.05;
+
+// Create a sampler that collects raw measurements and turns them into a baseline
+export function createCalibrationSampler() {
+    const samples = [];
+    const gazeSamples = {};
+    let gazeTarget = null;
+    
+    return {
+        // Add one frame of raw measurements ({ shoulderSpan, faceDistance, headPose, expressions })
+        addSample(measurements) {
+            // While a gaze target is being looked at, only the expressions (with the gaze) are wanted
+            if (gazeTarget) {
+                const expressions = measurements && measurements.expressions;
+                if (expressions && expressions.leftGazeX !== undefined) {
+                    gazeSamples[gazeTarget].push(expressions);
+                }
+                return;
+            }
+            
+            if (measurements && (measurements.faceDistance || measurements.shoulderSpan)) {
+                samples.push(measurements);
+            }
+        },
+        
+        // Collect the following samples as looking at one of GAZE_TARGETS; null goes back to the neutral pose
+        setGazeTarget(target) {
+            gazeTarget = target;
+            if (target && !gazeSamples[target]) {
+                gazeSamples[target] = [];
+            }
+        },
+        
+        // Number of frames in which the face was seen
+        getSampleCount() {
+            return samples.filter(sample => sample.faceDistance).length;
+        },
+        
+        // Median of every measurement; null if the face wasn't seen for long enough
+        finish() {
+            const faceSamples = samples.filter(sample => sample.faceDistance && sample.headPose);
+            if (faceSamples.length < MIN_SAMPLES) return null;
+            
+            const shoulderSpans = samples.map(sample => sample.shoulderSpan).filter(Boolean);
+            const expressionSamples = faceSamples.map(sample => sample.expressions).filter(Boolean);
+            const pose = key => median(faceSamples.map(sample => sample.headPose[key]));
+            
+            const expressions = expressionSamples.length > 0 ? {} : null;
+            if (expressions) {
+                Object.keys(expressionSamples[0]).forEach(name => {
+                    expressions[name] = median(expressionSamples.map(sample => sample[name]));
+                });
+            }
+            
+            return {
+                faceDistance: median(faceSamples.map(sample => sample.faceDistance)),
+                headRotation: { rx: pose('rx'), ry: pose('ry'), rz: pose('rz') },
+                headOffset: { x: pose('x'), y: pose('y') },
+                shoulderSpan: shoulderSpans.length >= MIN_SAMPLES ? median(shoulderSpans) : null,
+                expressions,
+                gazeRange: measureGazeRange(expressions, gazeSamples),
+                createdAt: new Date().toISOString()
+            };
+        }
+    };
+}
+
+// Measure expressions relative to a neutral face, keeping the ranges measureExpressions() uses
+export function applyExpressionBaseline(expressions, neutral) {
+    if (!expressions || !neutral) return expressions;
+    
+    const result = { ...expressions };
+    Object.keys(expressions).forEach(name => {
+        const value = expressions[name];
+        const rest = neutral[name];
+        if (rest === undefined) return;
+        
+        if (/EyeOpen$/.test(name)) {
+            // A relaxed eye is 1, however open this person's eyes naturally are
+            result[name] = clamp(value / Math.max(rest, 0.3), 0, 1.3);
+        } else if (name === 'smile' || name === 'mouthOpen') {
+            // Only movement beyond the resting mouth counts, stretched back to the full range
+            result[name] = rest < 0.9 ? clamp((value - rest) / (1 - rest), 0, 1) : value;
+        } else {
+            result[name] = clamp(value - rest, -1, 1);
+        }
+    });
+    return result;
+}
+
+// Scale gaze, already relative to the neutral face, so that looking at an edge of the screen reads -1 or 1
+export function applyGazeRange(expressions, range) {
+    if (!expressions || !range || expressions.leftGazeX === undefined) return expressions;
+    
+    const result = { ...expressions };
+    ['left', 'right'].forEach(side => {
+        result[`${side}GazeX`] = scaleGaze(expressions[`${side}GazeX`], range.left, range.right);
+        result[`${side}GazeY`] = scaleGaze(expressions[`${side}GazeY`], range.up, range.down);
+    });
+    return result;
+}
+
+// Map a gaze reading to -1 at one edge's reading and 1 at the opposite edge's
+function scaleGaze(value, negativeEdge, positiveEdge) {
+    if (value * positiveEdge > 0) return clamp(value / positiveEdge, 0, 1);
+    return clamp(-value / negativeEdge, -1, 0);
+}
+
+// How far the gaze moved from neutral towards each gaze target; null unless every target moved the eyes the right way
+function measureGazeRange(neutral, gazeSamples) {
+    if (!neutral || neutral.leftGazeX === undefined) return null;
+    
+    const range = {};
+    const measured = GAZE_TARGETS.every(target => {
+        const samples = gazeSamples[target] || [];
+        if (samples.length < MIN_GAZE_SAMPLES) return false;
+        
+        // Both eyes together, along the axis this target moves them
+        const axis = target === 'left' || target === 'right' ? 'X' : 'Y';
+        const gaze = sample => (sample[`leftGaze${axis}`] + sample[`rightGaze${axis}`]) / 2;
+        range[target] = median(samples.map(gaze)) - gaze(neutral);
+        return Math.abs(range[target]) >= MIN_GAZE_TRAVEL;
+    });
+    
+    // Opposite edges of the screen have to move the eyes opposite ways
+    if (!measured || range.left * range.right >= 0 || range.up * range.down >= 0) return null;
+    return range;
+}
+
+// All saved profiles by name
+export function loadCalibrationProfiles() {
+    return readStorage().profiles;
+}
+
+// Name of the profile in use, or null for the built-in defaults
+export function getActiveProfileName() {
+    const storage = readStorage();
+    return storage.active && storage.profiles[storage.active] ? storage.active : null;
+}
+
+// Choose the profile in use; null goes back to the defaults
+export function setActiveProfileName(name) {
+    const storage = readStorage();
+    storage.active = name && storage.profiles[name] ? name : null;
+    writeStorage(storage);
+}
+
+// Save a calibration under a name, replacing a profile with the same name, and make it active
+export function saveCalibrationProfile(name, calibration) {
+    const storage = readStorage();
+    storage.profiles[name] = calibration;
+    storage.active = name;
+    writeStorage(storage);
+}
+
+// Delete a profile; deleting the active one goes back to the defaults
+export function deleteCalibrationProfile(name) {
+    const storage = readStorage();
+    delete storage.profiles[name];
+    if (storage.active === name) {
+        storage.active = null;
+    }
+    writeStorage(storage);
+}
+
+// Read the stored profiles, tolerating missing or damaged storage
+function readStorage() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && typeof stored.profiles === 'object' && stored.profiles) {
+            return { profiles: stored.profiles, active: stored.active || null };
+        }
+    } catch (error) {
+        console.warn('Could not read calibration profiles:', error);
+    }
+    return { profiles: {}, active: null };
+}
+
+// Write the profiles back; storage can be full or disabled (e.g. private browsing)
+function writeStorage(storage) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(storage));
+    } catch (error) {
+        console.warn('Could not save calibration profiles:', error);
+        throw new Error('Calibration profiles could not be saved in this browser');
+    }
+}
+
+// Middle value of a list of numbers
+function median(values) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (sorted.length === 0) return 0;
+    
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Limit a value to a range
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
\ No newline at end of file
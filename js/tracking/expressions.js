@@ -0,0 +1,144 @@
+// Expressions - Measures eyes, brows and mouth from face mesh landmarks
+//
+// Every value is a ratio of landmark distances, so it doesn't change with how far
+// the person sits from the camera. Left and right are the person's own sides, which
+// are on the same side of the screen in the mirrored view.
+//
+//   leftEyeOpen, rightEyeOpen   0 closed .. 1 normally open (a little more when wide open)
+//   leftBrowRaise, rightBrowRaise  -1 lowered .. 0 neutral .. 1 raised
+//   smile                       0 neutral mouth width .. 1 broad smile
+//   mouthOpen                   0 closed .. 1 wide open
+//   jawSideways                 -1 .. 1, positive when the chin moves towards screen right
+//   leftGazeX, rightGazeX       -1 .. 1, iris between the eye corners, positive towards screen right
+//   leftGazeY, rightGazeY       -1 .. 1, iris between the lids, positive downwards
+//
+// Gaze needs the iris landmarks (468-477) of a face mesh run with refineLandmarks;
+// without them the gaze values are left out.
+
+// Eye landmarks: outer and inner corners, then two upper lid / lower lid pairs
+const EYES = {
+    right: { outer: 33, inner: 133, lids: [[160, 144], [158, 153]], brow: [66, 105, 107], lid: 159 },
+    left: { outer: 263, inner: 362, lids: [[385, 380], [387, 373]], brow: [296, 334, 336], lid: 386 }
+};
+
+// Iris centre of each eye, and the middle of its upper and lower lids
+const IRISES = {
+    right: { center: 468, upperLid: 159, lowerLid: 145 },
+    left: { center: 473, upperLid: 386, lowerLid: 374 }
+};
+
+// Mouth landmarks: corners and the inner edges of the lips
+const MOUTH = { leftCorner: 291, rightCorner: 61, upperLip: 13, lowerLip: 14 };
+
+// Midline landmarks: between the eyes, nose tip and chin
+const MIDLINE = { bridge: 168, nose: 1, chin: 152 };
+
+// Typical ratios for a relaxed face
+const EYE_OPEN_RATIO = 0.28;      // eye aspect ratio of an open eye
+const EYE_CLOSED_RATIO = 0.08;    // eye aspect ratio of a closed eye
+const BROW_NEUTRAL_RATIO = 0.34;  // brow-to-lid height over the outer eye corner span
+const BROW_RANGE = 0.12;          // change in that ratio for a full raise or frown
+const MOUTH_NEUTRAL_WIDTH = 0.55; // mouth width over the outer eye corner span
+const SMILE_RANGE = 0.15;         // extra width of a broad smile
+const MOUTH_OPEN_RATIO = 0.6;     // inner lip gap over mouth width when wide open
+const JAW_RANGE = 0.15;           // chin offset from the midline (over eye span) for a full shift
+const GAZE_RANGE_X = 0.4;         // iris offset from the eye's centre (over half the eye width) looking far aside
+const GAZE_RANGE_Y = 0.25;        // the same, up or down
+
+// Measure all expressions; null when the landmarks needed are missing
+export function measureExpressions(keypoints) {
+    if (!keypoints || keypoints.length < 400) return null;
+    
+    const point = index => keypoints[index];
+    const eyeSpan = distance(point(EYES.right.outer), point(EYES.left.outer));
+    if (eyeSpan < 1) return null;
+    
+    const mouthWidth = distance(point(MOUTH.leftCorner), point(MOUTH.rightCorner));
+    
+    const expressions = {
+        leftEyeOpen: measureEyeOpenness(keypoints, EYES.left),
+        rightEyeOpen: measureEyeOpenness(keypoints, EYES.right),
+        leftBrowRaise: measureBrowRaise(keypoints, EYES.left, eyeSpan),
+        rightBrowRaise: measureBrowRaise(keypoints, EYES.right, eyeSpan),
+        smile: clamp((mouthWidth / eyeSpan - MOUTH_NEUTRAL_WIDTH) / SMILE_RANGE, 0, 1),
+        mouthOpen: mouthWidth > 0 ?
+            clamp(distance(point(MOUTH.upperLip), point(MOUTH.lowerLip)) / mouthWidth / MOUTH_OPEN_RATIO, 0, 1) : 0,
+        jawSideways: clamp(measureJawOffset(keypoints) / eyeSpan / JAW_RANGE, -1, 1)
+    };
+    
+    // Gaze, when the mesh has irises
+    if (point(IRISES.left.center) && point(IRISES.right.center)) {
+        ['left', 'right'].forEach(side => {
+            const gaze = measureGaze(keypoints, EYES[side], IRISES[side]);
+            expressions[`${side}GazeX`] = gaze.x;
+            expressions[`${side}GazeY`] = gaze.y;
+        });
+    }
+    return expressions;
+}
+
+// Eye aspect ratio (lid gap over eye width), mapped so an ordinary open eye is 1
+function measureEyeOpenness(keypoints, eye) {
+    const width = distance(keypoints[eye.outer], keypoints[eye.inner]);
+    if (width < 1) return 1;
+    
+    const gap = eye.lids.reduce((sum, [upper, lower]) => sum + distance(keypoints[upper], keypoints[lower]), 0) / eye.lids.length;
+    return clamp((gap / width - EYE_CLOSED_RATIO) / (EYE_OPEN_RATIO - EYE_CLOSED_RATIO), 0, 1.3);
+}
+
+// Where the iris sits in the eye, measured along the line through the eye corners and across it,
+// so it follows the eyes rather than the head
+function measureGaze(keypoints, eye, iris) {
+    const outer = keypoints[eye.outer];
+    const inner = keypoints[eye.inner];
+    const halfWidth = distance(outer, inner) / 2;
+    if (halfWidth < 0.5) return { x: 0, y: 0 };
+    
+    // Unit vector along the eye towards screen right, and the one at right angles to it pointing down
+    const sign = inner.x >= outer.x ? 1 : -1;
+    const alongX = (inner.x - outer.x) * sign / (halfWidth * 2);
+    const alongY = (inner.y - outer.y) * sign / (halfWidth * 2);
+    
+    // The eye's centre: halfway between the corners across, halfway between the lids up and down
+    const upper = keypoints[iris.upperLid];
+    const lower = keypoints[iris.lowerLid];
+    const centerX = (upper.x + lower.x + outer.x + inner.x) / 4;
+    const centerY = (upper.y + lower.y + outer.y + inner.y) / 4;
+    
+    const dx = keypoints[iris.center].x - centerX;
+    const dy = keypoints[iris.center].y - centerY;
+    return {
+        x: clamp((dx * alongX + dy * alongY) / halfWidth / GAZE_RANGE_X, -1, 1),
+        y: clamp((dy * alongX - dx * alongY) / halfWidth / GAZE_RANGE_Y, -1, 1)
+    };
+}
+
+// Height of the brow above the upper lid, relative to a neutral brow
+function measureBrowRaise(keypoints, eye, eyeSpan) {
+    const browHeight = eye.brow.reduce((sum, index) => sum + distance(keypoints[index], keypoints[eye.lid]), 0) / eye.brow.length;
+    return clamp((browHeight / eyeSpan - BROW_NEUTRAL_RATIO) / BROW_RANGE, -1, 1);
+}
+
+// Signed distance of the chin from the line through the bridge of the nose and the nose tip
+function measureJawOffset(keypoints) {
+    const bridge = keypoints[MIDLINE.bridge];
+    const nose = keypoints[MIDLINE.nose];
+    const chin = keypoints[MIDLINE.chin];
+    
+    const length = distance(bridge, nose);
+    if (length < 1) return 0;
+    
+    // Cross product of the midline direction and the chin offset; positive towards screen right when upright
+    const cross = (nose.x - bridge.x) * (chin.y - bridge.y) - (nose.y - bridge.y) * (chin.x - bridge.x);
+    return -cross / length;
+}
+
+// Distance between two points
+function distance(a, b) {
+    return a && b ? Math.hypot(b.x - a.x, b.y - a.y) : 0;
+}
+
+// Limit a value to a range
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+// Filters Module - One Euro, Kalman and EMA filters for smoothing tracked values
+//
+// Filters work on one scalar at a time. A filter bank keeps one filter per key
+// (e.g. "5.x" for the left shoulder's x) for a channel and picks the filter type
+// and parameters from that channel's config, so settings changes apply live.
+// Values are divided by a per-channel scale before filtering, which lets the same
+// parameter ranges work for pixels, degrees and 0..1 values alike.
+
+// Filter types and their tunable parameters, used to build the settings panel
+export const FILTER_TYPES = {
+    oneEuro: {
+        label: 'One Euro',
+        params: [
+            { key: 'minCutoff', label: 'Min Cutoff (Hz)', min: 0.05, max: 5, step: 0.05 },
+            { key: 'beta', label: 'Speed Response', min: 0, max: 0.5, step: 0.005 },
+            { key: 'dCutoff', label: 'Speed Cutoff (Hz)', min: 0.1, max: 5, step: 0.1 }
+        ]
+    },
+    kalman: {
+        label: 'Kalman',
+        params: [
+            { key: 'processNoise', label: 'Process Noise', min: 1, max: 500, step: 1 },
+            { key: 'measurementNoise', label: 'Measurement Noise', min: 0.01, max: 5, step: 0.01 }
+        ]
+    },
+    ema: {
+        label: 'Exponential',
+        params: [
+            { key: 'smoothing', label: 'Smoothing', min: 0, max: 0.95, step: 0.05 }
+        ]
+    }
+};
+
+// Create a bank of filters for one channel
+export function createFilterBank(channelConfig, scale = 1) {
+    let filters = {};
+    let activeType = channelConfig.type;
+    
+    return {
+        // Filter a value identified by key; timestamp is in seconds
+        filter(key, value, timestamp) {
+            // Switching filter type starts every key afresh
+            if (channelConfig.type !== activeType) {
+                filters = {};
+                activeType = channelConfig.type;
+            }
+            
+            if (!filters[key]) {
+                filters[key] = createFilter(activeType, channelConfig.params[activeType]);
+            }
+            
+            const keyScale = typeof scale === 'number' ? scale : (scale[key] || 1);
+            return filters[key].filter(value / keyScale, timestamp) * keyScale;
+        },
+        
+        // Forget all filter state
+        reset() {
+            filters = {};
+        }
+    };
+}
+
+// Create a single scalar filter of the given type
+function createFilter(type, params) {
+    switch (type) {
+        case 'oneEuro':
+            return createOneEuroFilter(params);
+        case 'kalman':
+            return createKalmanFilter(params);
+        case 'ema':
+            return createEmaFilter(params);
+        default:
+            throw new Error(`Unknown filter type: ${type}`);
+    }
+}
+
+// One Euro filter: the cutoff rises with speed, so it is smooth at rest and responsive in motion
+function createOneEuroFilter(params) {
+    let lastValue = null;
+    let lastDerivative = 0;
+    let lastTime = 0;
+    
+    return {
+        filter(value, timestamp) {
+            if (lastValue === null) {
+                lastValue = value;
+                lastTime = timestamp;
+                return value;
+            }
+            
+            const dt = Math.max(timestamp - lastTime, 0.001);
+            lastTime = timestamp;
+            
+            // Smooth the derivative, then use it to pick the cutoff for the value
+            const derivative = (value - lastValue) / dt;
+            lastDerivative += smoothingAlpha(params.dCutoff, dt) * (derivative - lastDerivative);
+            
+            const cutoff = params.minCutoff + params.beta * Math.abs(lastDerivative);
+            lastValue += smoothingAlpha(cutoff, dt) * (value - lastValue);
+            return lastValue;
+        }
+    };
+}
+
+// Blend factor for a first-order low-pass filter at the given cutoff frequency
+function smoothingAlpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+// Constant-velocity Kalman filter with state [position, velocity]
+function createKalmanFilter(params) {
+    let position = null;
+    let velocity = 0;
+    let lastTime = 0;
+    // Covariance matrix [[p00, p01], [p01, p11]]
+    let p00 = 1, p01 = 0, p11 = 1;
+    
+    return {
+        filter(value, timestamp) {
+            if (position === null) {
+                position = value;
+                lastTime = timestamp;
+                return value;
+            }
+            
+            const dt = Math.max(timestamp - lastTime, 0.001);
+            lastTime = timestamp;
+            
+            // Predict
+            const q = params.processNoise;
+            position += velocity * dt;
+            p00 += dt * (2 * p01 + dt * p11) + q * dt * dt * dt / 3;
+            p01 += dt * p11 + q * dt * dt / 2;
+            p11 += q * dt;
+            
+            // Update with the measured position
+            const innovation = value - position;
+            const s = p00 + params.measurementNoise;
+            const k0 = p00 / s;
+            const k1 = p01 / s;
+            
+            position += k0 * innovation;
+            velocity += k1 * innovation;
+            p11 -= k1 * p01;
+            p01 -= k0 * p01;
+            p00 -= k0 * p00;
+            
+            return position;
+        }
+    };
+}
+
+// Exponential moving average, the original fixed blend
+function createEmaFilter(params) {
+    let lastValue = null;
+    
+    return {
+        filter(value) {
+            lastValue = lastValue === null ? value :
+                lastValue * params.smoothing + value * (1 - params.smoothing);
+            return lastValue;
+        }
+    };
+}
\ No newline at end of file
@@ -0,0 +1,244 @@
+// Gestures - Recognizes named gestures from the primary person's pose and hands
+//
+// Poses are the avatar-normalized body keypoints (COCO-17, y down) with joints
+// that weren't seen left out, and optionally the measured hands from handPose.js.
+// Distances are measured in shoulder widths, so gestures read the same however
+// far the person sits from the camera. "Left" and "right" are sides of the screen.
+//
+// Most gestures are postures that have to be held for holdTime before they fire.
+// A posture fires once, then has to be released (for longer than RELEASE_TIME, so
+// a flickering joint doesn't count) before it can fire again. Wave and clap are
+// movements and fire as soon as the movement is complete. Every gesture waits at
+// least cooldown seconds before firing again. Times are in seconds.
+import { isConfident } from './trackingState.js';
+
+// Gestures that can be recognized, with their display names
+export const GESTURES = {
+    wave: 'Wave',
+    bothArmsUp: 'Both arms up',
+    handRaised: 'Hand raised',
+    tPose: 'T-pose',
+    armsCrossed: 'Arms crossed',
+    clap: 'Clap',
+    pointLeft: 'Point left',
+    pointRight: 'Point right'
+};
+
+// Gestures recognized from a single moment rather than from movement
+const POSTURES = ['bothArmsUp', 'handRaised', 'tPose', 'armsCrossed', 'pointLeft', 'pointRight'];
+
+// How long a posture has to be gone before it counts as released
+const RELEASE_TIME = 0.2;
+
+// Keypoint indices of each arm, by the side of the screen it is on
+const ARMS = {
+    left: { shoulder: 5, elbow: 7, wrist: 9 },
+    right: { shoulder: 6, elbow: 8, wrist: 10 }
+};
+
+// A wave is this many changes of direction within WAVE_WINDOW, each swing at least WAVE_SWING shoulder widths
+const WAVE_REVERSALS = 3;
+const WAVE_WINDOW = 1.5;
+const WAVE_SWING = 0.25;
+
+// A clap is the wrists coming together (CLAP_CLOSED) within CLAP_TIME of being apart (CLAP_OPEN), in shoulder widths
+const CLAP_OPEN = 0.8;
+const CLAP_CLOSED = 0.3;
+const CLAP_TIME = 0.6;
+
+// Create a recognizer for one person
+export function createGestureRecognizer() {
+    const postures = {};
+    const lastFired = {};
+    const waves = { left: createWaveTracker(), right: createWaveTracker() };
+    let wristsApartTime = null;
+    
+    // Fire a gesture unless it fired too recently
+    const tryFire = (gesture, now, settings, fired) => {
+        if (lastFired[gesture] !== undefined && now - lastFired[gesture] < settings.cooldown) return false;
+        
+        lastFired[gesture] = now;
+        fired.push(gesture);
+        return true;
+    };
+    
+    return {
+        // Advance with this frame's pose ({ holdTime, cooldown } settings); returns the gestures that fired
+        update(pose, hands, now, settings) {
+            const fired = [];
+            const body = readBody(pose);
+            if (!body) {
+                this.reset();
+                return fired;
+            }
+            
+            // Movements
+            ['left', 'right'].forEach(side => {
+                if (waves[side].update(body, side, now) && tryFire('wave', now, settings, fired)) {
+                    waves[side].reset();
+                }
+            });
+            
+            const wristGap = body.has(9) && body.has(10) ? body.distance(9, 10) : null;
+            if (wristGap !== null && wristGap > CLAP_OPEN) {
+                wristsApartTime = now;
+            } else if (wristGap !== null && wristGap < CLAP_CLOSED && wristsApartTime !== null) {
+                if (now - wristsApartTime <= CLAP_TIME) {
+                    tryFire('clap', now, settings, fired);
+                }
+                wristsApartTime = null;
+            }
+            
+            // Postures; a waving hand isn't a raised hand
+            const active = detectPostures(body, hands);
+            if (waves.left.isMoving() || waves.right.isMoving()) {
+                active.handRaised = false;
+            }
+            
+            POSTURES.forEach(gesture => {
+                const posture = postures[gesture] || (postures[gesture] = { since: null, lastSeen: null, fired: false });
+                
+                if (active[gesture]) {
+                    if (posture.since === null) posture.since = now;
+                    posture.lastSeen = now;
+                    
+                    if (!posture.fired && now - posture.since >= settings.holdTime) {
+                        posture.fired = tryFire(gesture, now, settings, fired);
+                    }
+                } else if (posture.lastSeen === null || now - posture.lastSeen > RELEASE_TIME) {
+                    posture.since = null;
+                    posture.fired = false;
+                }
+            });
+            
+            return fired;
+        },
+        
+        // Forget everything in progress, e.g. when a different person becomes the primary one
+        reset() {
+            Object.keys(postures).forEach(gesture => delete postures[gesture]);
+            waves.left.reset();
+            waves.right.reset();
+            wristsApartTime = null;
+        }
+    };
+}
+
+// Wrap a pose with helpers measuring in shoulder widths; null without both shoulders
+function readBody(pose) {
+    if (!pose || !isConfident(pose[5]) || !isConfident(pose[6])) return null;
+    
+    const unit = Math.hypot(pose[6].x - pose[5].x, pose[6].y - pose[5].y);
+    if (unit < 1) return null;
+    
+    const shoulderY = (pose[5].y + pose[6].y) / 2;
+    return {
+        midX: (pose[5].x + pose[6].x) / 2,
+        shoulderY,
+        // Nose height, or about where it would be
+        headY: isConfident(pose[0]) ? pose[0].y : shoulderY - 0.7 * unit,
+        has: index => isConfident(pose[index]),
+        point: index => pose[index],
+        distance: (a, b) => Math.hypot(pose[b].x - pose[a].x, pose[b].y - pose[a].y) / unit,
+        // Offset of a joint from another in shoulder widths, x towards the outside of the given side
+        offset: (index, from, side) => ({
+            out: (pose[index].x - pose[from].x) / unit * (side === 'left' ? -1 : 1),
+            down: (pose[index].y - pose[from].y) / unit
+        }),
+        unit
+    };
+}
+
+// Which postures the body is in this frame
+function detectPostures(body, hands) {
+    const raised = side => body.has(ARMS[side].wrist) && body.point(ARMS[side].wrist).y < body.headY;
+    const extended = side => isArmExtended(body, side);
+    
+    // Crossed wrists sit on the far side of the body from their shoulders, at chest height
+    const crossed = body.has(9) && body.has(10) &&
+        body.point(9).x > body.midX && body.point(10).x < body.midX &&
+        [9, 10].every(index => {
+            const down = (body.point(index).y - body.shoulderY) / body.unit;
+            return down > 0 && down < 2;
+        });
+    
+    return {
+        bothArmsUp: raised('left') && raised('right'),
+        handRaised: raised('left') !== raised('right'),
+        tPose: extended('left') && extended('right'),
+        armsCrossed: crossed,
+        pointLeft: extended('left') && !extended('right') && isPointingHand(hands && hands.left),
+        pointRight: extended('right') && !extended('left') && isPointingHand(hands && hands.right)
+    };
+}
+
+// Whether an arm is stretched straight out sideways at shoulder height
+function isArmExtended(body, side) {
+    const { shoulder, elbow, wrist } = ARMS[side];
+    if (!body.has(elbow) || !body.has(wrist)) return false;
+    
+    const hand = body.offset(wrist, shoulder, side);
+    const joint = body.offset(elbow, shoulder, side);
+    return hand.out > 1.1 && Math.abs(hand.down) < 0.4 && joint.out > 0.4 && Math.abs(joint.down) < 0.4;
+}
+
+// Whether a measured hand has its index finger out and the other fingers curled; true when the hand isn't seen
+function isPointingHand(hand) {
+    if (!hand) return true;
+    
+    const bend = finger => hand.fingers[finger].reduce((sum, segment) => sum + Math.abs(segment.angle), 0);
+    return bend('index') < 45 && ['middle', 'ring', 'pinky'].every(finger => bend(finger) > 90);
+}
+
+// Follow one raised hand swinging from side to side
+function createWaveTracker() {
+    let reversals = [];
+    let direction = 0;
+    let extreme = null;
+    
+    return {
+        // Add this frame; returns true once the hand has waved
+        update(body, side, now) {
+            const { elbow, wrist } = ARMS[side];
+            
+            // Only a hand held up above its elbow and shoulder waves
+            const up = body.has(elbow) && body.has(wrist) &&
+                body.point(wrist).y < body.point(elbow).y && body.point(wrist).y < body.shoulderY;
+            if (!up) {
+                this.reset();
+                return false;
+            }
+            
+            // Swings are measured by where the wrist is relative to the elbow
+            const x = (body.point(wrist).x - body.point(elbow).x) / body.unit;
+            reversals = reversals.filter(time => now - time <= WAVE_WINDOW);
+            
+            if (extreme === null) {
+                extreme = x;
+            } else if ((direction >= 0 && x > extreme) || (direction <= 0 && x < extreme)) {
+                // Still moving the same way (or not yet moving): follow the furthest point
+                if (direction === 0 && Math.abs(x - extreme) >= WAVE_SWING) direction = Math.sign(x - extreme);
+                if (direction !== 0) extreme = x;
+            } else if (Math.abs(x - extreme) >= WAVE_SWING) {
+                // Swung back far enough to count as a change of direction
+                reversals.push(now);
+                direction = Math.sign(x - extreme);
+                extreme = x;
+            }
+            
+            return reversals.length >= WAVE_REVERSALS;
+        },
+        
+        // Whether the hand has changed direction recently
+        isMoving() {
+            return reversals.length > 0;
+        },
+        
+        // Start again
+        reset() {
+            reversals = [];
+            direction = 0;
+            extreme = null;
+        }
+    };
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+// Hand Pose - Turns 21 MediaPipe Hands landmarks into joint angles for the avatar's fingers
+//
+// Landmarks: 0 wrist, 1-4 thumb (CMC, MCP, IP, tip), 5-8 index, 9-12 middle,
+// 13-16 ring, 17-20 pinky (MCP, PIP, DIP, tip).
+//
+// Angles are in degrees in the image plane. The hand angle is the direction from
+// the wrist to the middle finger's knuckle. Each finger has three segments; the
+// first segment's angle is relative to the hand direction and the others are
+// relative to the previous segment. Fingers that curl towards or away from the
+// camera look shorter, so each segment also gets a length ratio (1 = full length).
+// Angles describe a hand with its thumb on the local -x side, like the avatar's
+// left hand; a hand seen with its thumb on the other side is flagged as flipped
+// and its angles are mirrored to match.
+
+// Landmark chains for each finger, from its base to its tip
+export const FINGER_CHAINS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+// Segment lengths as a fraction of the wrist-to-middle-knuckle length on an open hand
+const SEGMENT_PROPORTIONS = {
+    thumb: [0.36, 0.29, 0.25],
+    index: [0.43, 0.29, 0.25],
+    middle: [0.46, 0.32, 0.25],
+    ring: [0.43, 0.29, 0.25],
+    pinky: [0.32, 0.25, 0.21]
+};
+
+// Measure a detected hand
+export function measureHand(hand) {
+    const points = hand.keypoints;
+    if (!points || points.length < 21) return null;
+    
+    const wrist = points[0];
+    const palmLength = distance(wrist, points[9]);
+    if (palmLength < 1) return null;
+    
+    const handAngle = direction(wrist, points[9]);
+    
+    // Local -x is 90 degrees clockwise from the hand direction, so a thumb there gives a positive cross product
+    const flipped = cross(subtract(points[9], wrist), subtract(points[1], wrist)) < 0;
+    const sign = flipped ? -1 : 1;
+    
+    const fingers = {};
+    Object.entries(FINGER_CHAINS).forEach(([finger, chain]) => {
+        let previousAngle = handAngle;
+        
+        fingers[finger] = [0, 1, 2].map(segment => {
+            const from = points[chain[segment]];
+            const to = points[chain[segment + 1]];
+            const segmentAngle = direction(from, to);
+            const relativeAngle = wrapAngle(segmentAngle - previousAngle) * sign;
+            previousAngle = segmentAngle;
+            
+            const ratio = distance(from, to) / (palmLength * SEGMENT_PROPORTIONS[finger][segment]);
+            return { angle: relativeAngle, length: Math.max(0.15, Math.min(1.2, ratio)) };
+        });
+    });
+    
+    return { angle: handAngle, flipped, fingers };
+}
+
+// Keep an angle in -180..180
+export function wrapAngle(degrees) {
+    while (degrees > 180) degrees -= 360;
+    while (degrees < -180) degrees += 360;
+    return degrees;
+}
+
+// Direction from one point to another in degrees (y down, so positive is clockwise)
+function direction(from, to) {
+    return Math.atan2(to.y - from.y, to.x - from.x) * (180 / Math.PI);
+}
+
+// Distance between two points
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// Vector from b to a
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y };
+}
+
+// 2D cross product; positive when b is clockwise from a on screen
+function cross(a, b) {
+    return a.x * b.y - a.y * b.x;
+}
\ No newline at end of file
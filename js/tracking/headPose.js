@@ -0,0 +1,271 @@
+// Head Pose - Fits a canonical 3D face model to face mesh landmarks (Perspective-n-Point)
+//
+// A rotation and translation are solved so that the model's landmarks, projected
+// through a pinhole camera, land on the detected 2D landmarks. Because the model
+// has real depth and size, the result doesn't drift with camera distance the way
+// ratios of landmark distances do. The camera's focal length is unknown, so it is
+// taken to be the frame width (a field of view of about 53 degrees).
+//
+// The result uses the avatar's conventions, in degrees: rx pitch (positive looking
+// down), ry yaw (positive turning towards the left of the screen) and rz roll
+// (positive tilting clockwise on screen). Translation is in millimetres in camera
+// space (x right, y down, z away from the camera).
+
+// Canonical face landmarks in millimetres, origin at the nose tip: x towards the
+// right of a mirrored (selfie) image, y up, z towards the camera
+const MODEL_POINTS = {
+    1: [0, 0, 0],              // nose tip
+    168: [0, 33, -18],         // between the eyes
+    152: [0, -63.6, -12.5],    // chin
+    33: [43.3, 32.7, -26],     // outer eye corners
+    263: [-43.3, 32.7, -26],
+    133: [14, 31.5, -24],      // inner eye corners
+    362: [-14, 31.5, -24],
+    61: [28.9, -28.9, -24.1],  // mouth corners
+    291: [-28.9, -28.9, -24.1],
+    234: [68, 10, -82],        // face outline at cheekbone height
+    454: [-68, 10, -82]
+};
+
+const MODEL_INDICES = Object.keys(MODEL_POINTS).map(Number);
+
+// Outer eye corner distance of the model, used for the first distance guess
+const MODEL_EYE_SPAN = 86.6;
+
+// Solver settings
+const MAX_ITERATIONS = 12;
+const STEP_TOLERANCE = 1e-6;
+
+// Create an estimator; it starts each solve from the last pose so tracking stays smooth and fast
+export function createHeadPoseEstimator() {
+    let lastParams = null;
+    
+    return {
+        // Solve the head pose from face mesh landmarks in frame pixels; null if the landmarks are unusable
+        estimate(keypoints, frameWidth, frameHeight) {
+            const camera = { focal: frameWidth, cx: frameWidth / 2, cy: frameHeight / 2 };
+            const observations = collectObservations(keypoints);
+            if (!observations) return null;
+            
+            const start = lastParams || initialGuess(observations, camera);
+            const params = solvePose(observations, camera, start);
+            if (!params || params[5] <= 0) {
+                lastParams = null;
+                return null;
+            }
+            
+            lastParams = params;
+            return describePose(params, camera);
+        },
+        
+        // Forget the last pose, e.g. when the face was lost
+        reset() {
+            lastParams = null;
+        }
+    };
+}
+
+// Pair the detected landmarks with model points, mirroring the model for un-mirrored images
+function collectObservations(keypoints) {
+    if (!keypoints || MODEL_INDICES.some(index => !keypoints[index])) return null;
+    
+    // In a mirrored image the outer eye corners and the nose-to-chin line turn clockwise; otherwise flip the model
+    const eyes = { x: keypoints[33].x - keypoints[263].x, y: keypoints[33].y - keypoints[263].y };
+    const down = { x: keypoints[152].x - keypoints[168].x, y: keypoints[152].y - keypoints[168].y };
+    const mirror = eyes.x * down.y - eyes.y * down.x < 0 ? -1 : 1;
+    
+    return MODEL_INDICES.map(index => {
+        const [x, y, z] = MODEL_POINTS[index];
+        return {
+            // Model space (y up, z towards the camera) to camera space (y down, z away)
+            model: [x * mirror, -y, -z],
+            image: [keypoints[index].x, keypoints[index].y]
+        };
+    });
+}
+
+// A frontal pose at the distance implied by the eye corner spacing
+function initialGuess(observations, camera) {
+    const rightEye = observations[MODEL_INDICES.indexOf(33)].image;
+    const leftEye = observations[MODEL_INDICES.indexOf(263)].image;
+    const nose = observations[MODEL_INDICES.indexOf(1)].image;
+    
+    const eyeSpan = Math.max(1, Math.hypot(rightEye[0] - leftEye[0], rightEye[1] - leftEye[1]));
+    const distance = camera.focal * MODEL_EYE_SPAN / eyeSpan;
+    
+    return [
+        0, 0, 0,
+        (nose[0] - camera.cx) * distance / camera.focal,
+        (nose[1] - camera.cy) * distance / camera.focal,
+        distance
+    ];
+}
+
+// Levenberg-Marquardt on [rotation vector, translation] minimizing the reprojection error
+function solvePose(observations, camera, start) {
+    let params = start.slice();
+    let residuals = computeResiduals(observations, camera, params);
+    let cost = sumOfSquares(residuals);
+    let damping = 1e-3;
+    
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        const jacobian = computeJacobian(observations, camera, params, residuals);
+        
+        // Normal equations: (JtJ + damping * diag(JtJ)) step = -Jt r
+        const jtj = Array.from({ length: 6 }, () => Array(6).fill(0));
+        const jtr = Array(6).fill(0);
+        for (let row = 0; row < residuals.length; row++) {
+            for (let i = 0; i < 6; i++) {
+                jtr[i] += jacobian[row][i] * residuals[row];
+                for (let j = 0; j < 6; j++) {
+                    jtj[i][j] += jacobian[row][i] * jacobian[row][j];
+                }
+            }
+        }
+        
+        let improved = false;
+        while (damping < 1e8) {
+            const system = jtj.map((row, i) => row.map((value, j) => i === j ? value * (1 + damping) + 1e-9 : value));
+            const step = solveLinearSystem(system, jtr.map(value => -value));
+            if (!step) return null;
+            
+            const candidate = params.map((value, i) => value + step[i]);
+            const candidateResiduals = computeResiduals(observations, camera, candidate);
+            const candidateCost = sumOfSquares(candidateResiduals);
+            
+            if (candidateCost < cost) {
+                const converged = step.every(value => Math.abs(value) < STEP_TOLERANCE * (1 + Math.abs(candidate[5])));
+                params = candidate;
+                residuals = candidateResiduals;
+                cost = candidateCost;
+                damping = Math.max(damping / 10, 1e-7);
+                improved = true;
+                if (converged) return params;
+                break;
+            }
+            
+            damping *= 10;
+        }
+        
+        if (!improved) break;
+    }
+    
+    return params.every(Number.isFinite) ? params : null;
+}
+
+// Reprojection error of every model point, as [du0, dv0, du1, dv1, ...]
+function computeResiduals(observations, camera, params) {
+    const rotation = rotationMatrix(params[0], params[1], params[2]);
+    const residuals = [];
+    
+    observations.forEach(({ model, image }) => {
+        const projected = project(rotation, params, model, camera);
+        residuals.push(projected[0] - image[0], projected[1] - image[1]);
+    });
+    return residuals;
+}
+
+// Forward-difference Jacobian of the residuals
+function computeJacobian(observations, camera, params, residuals) {
+    const jacobian = residuals.map(() => Array(6).fill(0));
+    
+    for (let i = 0; i < 6; i++) {
+        // Radians for rotation, millimetres for translation
+        const delta = i < 3 ? 1e-5 : 1e-3;
+        const shifted = params.slice();
+        shifted[i] += delta;
+        
+        const shiftedResiduals = computeResiduals(observations, camera, shifted);
+        shiftedResiduals.forEach((value, row) => {
+            jacobian[row][i] = (value - residuals[row]) / delta;
+        });
+    }
+    return jacobian;
+}
+
+// Project a model point through the pose and pinhole camera
+function project(rotation, params, point, camera) {
+    const x = rotation[0][0] * point[0] + rotation[0][1] * point[1] + rotation[0][2] * point[2] + params[3];
+    const y = rotation[1][0] * point[0] + rotation[1][1] * point[1] + rotation[1][2] * point[2] + params[4];
+    const z = rotation[2][0] * point[0] + rotation[2][1] * point[1] + rotation[2][2] * point[2] + params[5];
+    const depth = Math.max(z, 1e-3);
+    
+    return [camera.focal * x / depth + camera.cx, camera.focal * y / depth + camera.cy];
+}
+
+// Rotation matrix from a rotation vector (Rodrigues' formula)
+function rotationMatrix(x, y, z) {
+    const angle = Math.hypot(x, y, z);
+    if (angle < 1e-12) {
+        return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    }
+    
+    const kx = x / angle;
+    const ky = y / angle;
+    const kz = z / angle;
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const t = 1 - c;
+    
+    return [
+        [c + kx * kx * t, kx * ky * t - kz * s, kx * kz * t + ky * s],
+        [ky * kx * t + kz * s, c + ky * ky * t, ky * kz * t - kx * s],
+        [kz * kx * t - ky * s, kz * ky * t + kx * s, c + kz * kz * t]
+    ];
+}
+
+// Turn solved parameters into angles, the translation and the nose tip's position in the frame
+function describePose(params, camera) {
+    const rotation = rotationMatrix(params[0], params[1], params[2]);
+    const toDegrees = 180 / Math.PI;
+    
+    // Decompose as yaw (about camera y), then pitch (about x), then roll (about z)
+    return {
+        rx: Math.asin(Math.max(-1, Math.min(1, -rotation[1][2]))) * toDegrees,
+        ry: Math.atan2(rotation[0][2], rotation[2][2]) * toDegrees,
+        rz: Math.atan2(rotation[1][0], rotation[1][1]) * toDegrees,
+        translation: { x: params[3], y: params[4], z: params[5] },
+        // The model origin is the nose tip, so this is where the solved nose lands in the frame
+        center: {
+            x: camera.focal * params[3] / params[5] + camera.cx,
+            y: camera.focal * params[4] / params[5] + camera.cy
+        }
+    };
+}
+
+// Solve a small dense linear system by Gaussian elimination with partial pivoting
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+    
+    for (let column = 0; column < n; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < n; row++) {
+            if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) pivot = row;
+        }
+        if (Math.abs(a[pivot][column]) < 1e-12) return null;
+        [a[column], a[pivot]] = [a[pivot], a[column]];
+        
+        for (let row = column + 1; row < n; row++) {
+            const factor = a[row][column] / a[column][column];
+            for (let k = column; k <= n; k++) {
+                a[row][k] -= factor * a[column][k];
+            }
+        }
+    }
+    
+    const solution = Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * solution[k];
+        }
+        solution[row] = sum / a[row][row];
+    }
+    return solution;
+}
+
+// Sum of squared values
+function sumOfSquares(values) {
+    return values.reduce((sum, value) => sum + value * value, 0);
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+// Interpolation - Smooth, display-rate motion between tracking samples
+//
+// Tracking results arrive at the detector's rate, which can be far below the
+// display's. An interpolator keeps the last two samples and, on every rendered
+// frame, works out the value in between: rendering runs one sample interval
+// behind the newest sample, moved forward by the prediction horizon. With no
+// horizon the avatar glides exactly from one sample to the next; with a horizon
+// it extrapolates along the latest motion to hide some of the detector's latency,
+// but never more than the horizon past the newest sample.
+//
+// Samples can be numbers, arrays or plain objects of numbers (like a body keypoint
+// array or a head pose). Anything that isn't a number is taken from the newest sample.
+
+// Samples further apart than this (seconds) are a jump, not motion, and aren't blended
+const MAX_SAMPLE_GAP = 0.5;
+
+// Create an interpolator for one value
+export function createInterpolator() {
+    let previous = null;
+    let latest = null;
+    
+    return {
+        // Add a sample taken at a time in seconds
+        push(value, time) {
+            previous = latest;
+            latest = { value, time };
+        },
+        
+        // The value to show at a time in seconds; extrapolate false keeps it between the two samples
+        sample(time, horizon = 0, extrapolate = true) {
+            if (!latest) return null;
+            
+            const interval = previous ? latest.time - previous.time : 0;
+            if (!previous || interval <= 0 || interval > MAX_SAMPLE_GAP) return latest.value;
+            
+            // Render one interval behind the newest sample, moved forward by the horizon
+            const ahead = extrapolate ? Math.max(0, horizon) : 0;
+            const amount = Math.min((time - latest.time + ahead) / interval, 1 + ahead / interval);
+            return interpolateValue(previous.value, latest.value, Math.max(0, amount));
+        },
+        
+        // The newest sample, as it was pushed
+        getLatest() {
+            return latest ? latest.value : null;
+        },
+        
+        // Forget both samples
+        reset() {
+            previous = null;
+            latest = null;
+        }
+    };
+}
+
+// Blend from one value towards another; amounts above 1 extrapolate
+export function interpolateValue(from, to, amount) {
+    if (typeof to === 'number') {
+        return typeof from === 'number' ? from + (to - from) * amount : to;
+    }
+    
+    if (Array.isArray(to)) {
+        return to.map((value, i) => interpolateValue(Array.isArray(from) ? from[i] : undefined, value, amount));
+    }
+    
+    if (to && typeof to === 'object') {
+        if (!from || typeof from !== 'object') return to;
+        
+        const result = {};
+        Object.keys(to).forEach(key => {
+            result[key] = interpolateValue(from[key], to[key], amount);
+        });
+        return result;
+    }
+    
+    return to;
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+// Lip Sync - Mouth shapes from the microphone, for when the camera can't see the mouth
+//
+// The microphone's spectrum is analysed on the device, a frame at a time: its
+// loudness and how the energy splits between four bands. Voicing and hums sit in
+// the low band, an open "ah" raises the first formant band, a wide "ee" the second,
+// and hissing consonants (s, f, sh) the high band. Those features are scored
+// against a small set of visemes, and the mouth shape is the weighted mix of the
+// visemes' shapes:
+//
+//   open    0 closed .. 1 wide open (the same scale as mouthOpen)
+//   width  -1 rounded .. 0 neutral .. 1 stretched wide
+//
+// Nothing is recorded or sent anywhere; only the current shape is kept.
+
+// Visemes with their display names and mouth shapes
+export const VISEMES = {
+    rest: { label: 'Rest', open: 0, width: 0 },
+    MBP: { label: 'M, B, P', open: 0, width: -0.1 },
+    FF: { label: 'F, V, S', open: 0.15, width: 0.4 },
+    EE: { label: 'Ee', open: 0.35, width: 0.8 },
+    AA: { label: 'Ah', open: 1, width: 0.2 },
+    OO: { label: 'Oo', open: 0.5, width: -0.8 }
+};
+
+// Frequency bands (Hz) the spectrum is split into
+const BANDS = {
+    low: [80, 400],
+    firstFormant: [400, 1000],
+    secondFormant: [1000, 2500],
+    high: [3500, 8000]
+};
+
+// Average band level (dB per bin, as the analyser reports it) of silence and of loud speech
+const SILENCE_DB = -75;
+const LOUD_DB = -45;
+
+// How quickly the mouth opens and closes after the sound (seconds)
+const ATTACK_TIME = 0.04;
+const RELEASE_TIME = 0.12;
+
+// Create an analyser for the microphone
+export function createLipSyncAnalyser() {
+    let stream = null;
+    let context = null;
+    let analyser = null;
+    let spectrum = null;
+    let lastTime = null;
+    const shape = { viseme: 'rest', open: 0, width: 0, level: 0 };
+    
+    return {
+        // Ask for the microphone and start listening
+        async start() {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('Microphone access is not supported in this browser');
+            }
+            
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true },
+                video: false
+            });
+            
+            context = new AudioContext();
+            analyser = context.createAnalyser();
+            analyser.fftSize = 1024;
+            analyser.smoothingTimeConstant = 0.3;
+            context.createMediaStreamSource(stream).connect(analyser);
+            spectrum = new Float32Array(analyser.frequencyBinCount);
+            
+            // Started from a click, so the context is allowed to run
+            if (context.state === 'suspended') {
+                await context.resume();
+            }
+        },
+        
+        // The mouth shape at a time in seconds ({ viseme, open, width, level })
+        sample(time) {
+            if (!analyser) return shape;
+            
+            analyser.getFloatFrequencyData(spectrum);
+            const features = measureSpectrum(spectrum, context.sampleRate / analyser.fftSize);
+            const weights = classifyViseme(features);
+            const target = mixVisemes(weights);
+            
+            // Open quickly with the sound and close a little more slowly, so speech doesn't flutter
+            const deltaTime = lastTime === null ? 0 : Math.max(0, time - lastTime);
+            lastTime = time;
+            const ease = (from, to) => {
+                const timeConstant = to > from ? ATTACK_TIME : RELEASE_TIME;
+                return from + (to - from) * (1 - Math.exp(-deltaTime / timeConstant));
+            };
+            
+            shape.open = ease(shape.open, target.open);
+            shape.width = ease(shape.width, target.width);
+            shape.level = features.loudness;
+            shape.viseme = Object.keys(weights).reduce((best, name) => weights[name] > weights[best] ? name : best);
+            return shape;
+        },
+        
+        // Stop listening and release the microphone
+        stop() {
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+            if (context) {
+                context.close();
+            }
+            stream = null;
+            context = null;
+            analyser = null;
+        }
+    };
+}
+
+// Loudness (0 silent .. 1 loud) and each band's share of the energy, from a spectrum in dB
+export function measureSpectrum(spectrum, binWidth) {
+    const power = {};
+    let total = 0;
+    let bins = 0;
+    
+    Object.entries(BANDS).forEach(([band, [from, to]]) => {
+        power[band] = 0;
+        const first = Math.max(1, Math.round(from / binWidth));
+        const last = Math.min(spectrum.length - 1, Math.round(to / binWidth));
+        for (let i = first; i <= last; i++) {
+            power[band] += Math.pow(10, spectrum[i] / 10);
+            bins++;
+        }
+        total += power[band];
+    });
+    
+    const level = bins > 0 && total > 0 ? 10 * Math.log10(total / bins) : -Infinity;
+    const shares = {};
+    Object.keys(BANDS).forEach(band => {
+        shares[band] = total > 0 ? power[band] / total : 0;
+    });
+    
+    return {
+        loudness: Math.max(0, Math.min(1, (level - SILENCE_DB) / (LOUD_DB - SILENCE_DB))),
+        shares
+    };
+}
+
+// Score each viseme against the features; the weights add up to 1
+export function classifyViseme({ loudness, shares }) {
+    const scores = {
+        rest: 1 - loudness,
+        MBP: shares.low * (1 - loudness) * loudness * 2,
+        FF: shares.high * 1.5 * loudness,
+        EE: shares.secondFormant * loudness,
+        AA: shares.firstFormant * loudness,
+        OO: shares.low * loudness
+    };
+    
+    // Squaring sharpens the choice between close scores
+    const total = Object.values(scores).reduce((sum, score) => sum + score * score, 0);
+    const weights = {};
+    Object.entries(scores).forEach(([name, score]) => {
+        weights[name] = total > 0 ? score * score / total : (name === 'rest' ? 1 : 0);
+    });
+    return weights;
+}
+
+// Mouth shape of a weighted mix of visemes
+function mixVisemes(weights) {
+    const shape = { open: 0, width: 0 };
+    Object.entries(weights).forEach(([name, weight]) => {
+        shape.open += VISEMES[name].open * weight;
+        shape.width += VISEMES[name].width * weight;
+    });
+    return shape;
+}
\ No newline at end of file
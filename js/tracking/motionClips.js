@@ -0,0 +1,373 @@
+// Motion Clips - Keyframed body and head animation for when nobody is tracked
+//
+// Clips are written as JSON, so new ones can be authored and loaded without code:
+//
+//   {
+//     "name": "nod", "label": "Nodding", "duration": 2, "loop": true,
+//     "keyframes": [
+//       { "time": 0, "face": { "rx": 0 } },
+//       { "time": 0.5, "face": { "rx": 12 }, "body": { "nose": [0, -56] } },
+//       { "time": 1, "face": { "rx": 0 }, "body": { "nose": [0, -61] }, "ease": "linear" }
+//     ]
+//   }
+//
+// Body joints (JOINT_NAMES) are [x, y] offsets from the middle of the shoulders in
+// avatar pixels, y down, for the avatar's 170px shoulder span; "left" joints are on
+// the left of the screen. Face values are the avatar's head pose: x, y and z as the
+// head is moved and scaled, rx, ry, rz in degrees. Anything a keyframe leaves out
+// stays where the keyframe before put it, starting from the rest pose. Each keyframe
+// moves towards the next one easing in and out ("smooth", the default) or at a steady
+// speed ("linear"). Times are in seconds; a looping clip moves from its last keyframe
+// back to its first over the rest of its duration, a clip that doesn't loop holds
+// its last keyframe.
+//
+// A clip player plays a clip by name and cross-fades whenever the clip changes. The
+// "mix" plays the calmer built-in clips in turn. Clips loaded by the user are kept in
+// localStorage alongside the built-in ones.
+
+// Names of the 17 body keypoints in clips, in keypoint order
+export const JOINT_NAMES = [
+    'nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar',
+    'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist',
+    'leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
+];
+
+// Relaxed standing pose as offsets from the mid-shoulder point, for a 170px shoulder span
+export const REST_BODY_OFFSETS = [
+    [0, -61], [-18, -73], [18, -73], [-36, -61], [36, -61],   // nose, eyes, ears
+    [-85, 0], [85, 0],                                         // shoulders
+    [-103, 85], [103, 85], [-115, 146], [115, 146],            // elbows, wrists
+    [-49, 121], [49, 121], [-55, 206], [55, 206], [-61, 291], [61, 291] // hips, knees, ankles
+];
+
+// A frontal, centred head
+export const REST_FACE = { x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 };
+
+// Name of the playlist of built-in clips
+export const MIX_CLIP = 'mix';
+
+// Clips that come with the app
+const BUILT_IN_CLIPS = [
+    {
+        name: 'breathing', label: 'Breathing', duration: 4, loop: true,
+        keyframes: [
+            { time: 0, face: { z: 0, rx: 0 } },
+            {
+                time: 2,
+                body: {
+                    nose: [0, -64], leftEye: [-18, -76], rightEye: [18, -76], leftEar: [-36, -64], rightEar: [36, -64],
+                    leftShoulder: [-86, -4], rightShoulder: [86, -4], leftElbow: [-104, 82], rightElbow: [104, 82],
+                    leftWrist: [-117, 143], rightWrist: [117, 143]
+                },
+                face: { z: 0.02, rx: -2 }
+            }
+        ]
+    },
+    {
+        name: 'lookAround', label: 'Looking around', duration: 8, loop: true,
+        keyframes: [
+            { time: 0, face: { x: 0, rx: 0, ry: 0 } },
+            { time: 1.2, body: { nose: [6, -61] }, face: { x: 6, rx: 3, ry: 25 } },
+            { time: 2.6 },
+            { time: 4, body: { nose: [-6, -61] }, face: { x: -6, rx: -2, ry: -25 } },
+            { time: 5.6 },
+            { time: 6.8, body: { nose: [0, -61] }, face: { x: 0, rx: 0, ry: 0 } }
+        ]
+    },
+    {
+        name: 'thinking', label: 'Thinking', duration: 6, loop: true,
+        keyframes: [
+            { time: 0, body: { rightElbow: [125, 65], rightWrist: [95, -5] }, face: { rx: -6, ry: -10, rz: 6 } },
+            { time: 3, body: { rightWrist: [92, -9] }, face: { rx: -9, ry: -14, rz: 8 } }
+        ]
+    },
+    {
+        name: 'nod', label: 'Nodding', duration: 2, loop: true,
+        keyframes: [
+            { time: 0, face: { y: 0, rx: 0 } },
+            { time: 0.5, body: { nose: [0, -56] }, face: { y: 2, rx: 12 } },
+            { time: 1, body: { nose: [0, -61] }, face: { y: 0, rx: 0 } },
+            { time: 1.5, body: { nose: [0, -57] }, face: { y: 2, rx: 10 } }
+        ]
+    },
+    {
+        name: 'wave', label: 'Waving', duration: 2, loop: true,
+        keyframes: [
+            { time: 0, body: { rightElbow: [140, -30], rightWrist: [175, -95] }, face: { ry: 5, rz: -4 } },
+            { time: 0.5, body: { rightWrist: [125, -100] } },
+            { time: 1, body: { rightWrist: [175, -95] } },
+            { time: 1.5, body: { rightWrist: [125, -100] } }
+        ]
+    }
+];
+
+// Clips the mix plays in turn, and about how long each plays for (rounded up to whole loops, seconds)
+const MIX_PLAYLIST = ['breathing', 'lookAround', 'breathing', 'thinking', 'breathing', 'nod'];
+const MIX_CLIP_TIME = 8;
+
+// How long a change of clip cross-fades for (seconds)
+const BLEND_TIME = 0.6;
+
+// Where clips loaded by the user are kept
+const STORAGE_KEY = 'avatarTracker.motionClips';
+
+// Local variables
+const builtInClips = new Map(BUILT_IN_CLIPS.map(clip => [clip.name, normalizeClip(clip)]));
+
+// All clips as { name, label, custom }, built-in ones first
+export function getMotionClips() {
+    const custom = readStorage();
+    return [
+        ...[...builtInClips.values()].map(clip => ({ name: clip.name, label: clip.label, custom: false })),
+        ...Object.keys(custom).sort().map(name => ({ name, label: custom[name].label || name, custom: true }))
+    ];
+}
+
+// A clip by name, ready to sample; null if there is no such clip
+export function getMotionClip(name) {
+    if (builtInClips.has(name)) return builtInClips.get(name);
+    
+    const stored = readStorage()[name];
+    if (!stored) return null;
+    
+    try {
+        return normalizeClip(stored);
+    } catch (error) {
+        console.warn(`Stored motion clip "${name}" is not valid:`, error);
+        return null;
+    }
+}
+
+// Parse and check a clip from JSON text; throws with a message for the user if it isn't valid
+export function parseMotionClip(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The clip file is not valid JSON.');
+    }
+    return normalizeClip(data);
+}
+
+// Keep a clip loaded by the user, replacing one of theirs with the same name
+export function saveMotionClip(clip) {
+    if (builtInClips.has(clip.name) || clip.name === MIX_CLIP) {
+        throw new Error(`"${clip.name}" is the name of a built-in clip; give the clip another name.`);
+    }
+    
+    const stored = readStorage();
+    stored[clip.name] = clip.source;
+    writeStorage(stored);
+}
+
+// Remove a clip loaded by the user
+export function deleteMotionClip(name) {
+    const stored = readStorage();
+    delete stored[name];
+    writeStorage(stored);
+}
+
+// Create a player that plays clips by name (or the mix) and cross-fades between them
+export function createClipPlayer() {
+    let playingName = null;
+    let current = null;   // { clip, start, until }
+    let previous = null;  // the clip being faded out, { clip, start }
+    let fadeStart = 0;
+    let mixIndex = 0;
+    let lastTime = null;
+    
+    // Switch to a clip, fading out of the one playing
+    const startClip = (clip, time, until = Infinity) => {
+        previous = current;
+        fadeStart = time;
+        current = { clip, start: time, until };
+    };
+    
+    // Start the next clip of the mix, playing it for whole loops
+    const startMixClip = (time) => {
+        const clip = builtInClips.get(MIX_PLAYLIST[mixIndex % MIX_PLAYLIST.length]);
+        const length = clip.loop ? Math.ceil(MIX_CLIP_TIME / clip.duration) * clip.duration : clip.duration;
+        mixIndex++;
+        startClip(clip, time, time + length);
+    };
+    
+    // Play a clip by name from a time in seconds; unknown names play the mix
+    const play = (name, time) => {
+        if (name === playingName) return;
+        
+        playingName = name;
+        const clip = name === MIX_CLIP ? null : getMotionClip(name);
+        if (clip) {
+            startClip(clip, time);
+        } else {
+            mixIndex = 0;
+            startMixClip(time);
+        }
+    };
+    
+    return {
+        play,
+        
+        // The pose at a time in seconds: { body: 17 [x, y] offsets, face }
+        sample(time) {
+            // A clock that went back (a file being rendered from its start) starts again without fading
+            if (!current || (lastTime !== null && time < lastTime)) {
+                const name = playingName || MIX_CLIP;
+                playingName = null;
+                current = null;
+                play(name, time);
+            }
+            lastTime = time;
+            
+            while (time >= current.until) {
+                startMixClip(current.until);
+            }
+            
+            const pose = sampleClip(current.clip, time - current.start);
+            if (!previous || time - fadeStart >= BLEND_TIME) {
+                previous = null;
+                return pose;
+            }
+            
+            const weight = smooth((time - fadeStart) / BLEND_TIME);
+            return mixPoses(sampleClip(previous.clip, time - previous.start), pose, weight);
+        }
+    };
+}
+
+// The pose of a clip a number of seconds after it started
+export function sampleClip(clip, time) {
+    const { keyframes, duration } = clip;
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    let t = clip.loop ? ((time % duration) + duration) % duration : Math.min(Math.max(0, time), duration);
+    
+    // Before the first keyframe or after the last, a loop is on its way back to the start
+    if (t < first.time || t >= last.time) {
+        if (!clip.loop || keyframes.length === 1) {
+            return copyPose(t < first.time ? first : last);
+        }
+        
+        const span = duration - last.time + first.time;
+        const elapsed = t >= last.time ? t - last.time : t + duration - last.time;
+        return mixPoses(last, first, ease(elapsed / span, last.ease));
+    }
+    
+    let index = 0;
+    while (keyframes[index + 1].time <= t) index++;
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+    return mixPoses(from, to, ease((t - from.time) / (to.time - from.time), from.ease));
+}
+
+// Check a clip and work out every keyframe's full pose; throws if it isn't valid
+function normalizeClip(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('A motion clip must be a JSON object.');
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new Error('The clip needs a "name".');
+    }
+    if (!(data.duration > 0)) {
+        throw new Error('The clip needs a "duration" in seconds, above 0.');
+    }
+    if (!Array.isArray(data.keyframes) || data.keyframes.length === 0) {
+        throw new Error('The clip needs at least one keyframe in "keyframes".');
+    }
+    
+    const sorted = [...data.keyframes].sort((a, b) => (a && a.time) - (b && b.time));
+    let body = REST_BODY_OFFSETS.map(offset => [...offset]);
+    let face = { ...REST_FACE };
+    
+    const keyframes = sorted.map(keyframe => {
+        if (!keyframe || typeof keyframe.time !== 'number' || keyframe.time < 0 || keyframe.time > data.duration) {
+            throw new Error(`Every keyframe needs a "time" from 0 to the clip's duration (${data.duration} s).`);
+        }
+        
+        body = body.map(offset => [...offset]);
+        Object.entries(keyframe.body || {}).forEach(([joint, offset]) => {
+            const index = JOINT_NAMES.indexOf(joint);
+            if (index === -1) {
+                throw new Error(`Unknown joint "${joint}" at ${keyframe.time} s; joints are ${JOINT_NAMES.join(', ')}.`);
+            }
+            if (!Array.isArray(offset) || offset.length !== 2 || !offset.every(Number.isFinite)) {
+                throw new Error(`Joint "${joint}" at ${keyframe.time} s must be [x, y].`);
+            }
+            body[index] = [...offset];
+        });
+        
+        face = { ...face };
+        Object.entries(keyframe.face || {}).forEach(([key, value]) => {
+            if (!(key in REST_FACE)) {
+                throw new Error(`Unknown face value "${key}" at ${keyframe.time} s; use ${Object.keys(REST_FACE).join(', ')}.`);
+            }
+            if (!Number.isFinite(value)) {
+                throw new Error(`Face value "${key}" at ${keyframe.time} s must be a number.`);
+            }
+            face[key] = value;
+        });
+        
+        return { time: keyframe.time, ease: keyframe.ease === 'linear' ? 'linear' : 'smooth', body, face };
+    });
+    
+    return {
+        name: data.name.trim(),
+        label: typeof data.label === 'string' && data.label.trim() ? data.label.trim() : data.name.trim(),
+        duration: data.duration,
+        loop: data.loop !== false,
+        keyframes,
+        source: data
+    };
+}
+
+// Blend two poses, 0 all of the first .. 1 all of the second
+function mixPoses(from, to, weight) {
+    const face = {};
+    Object.keys(REST_FACE).forEach(key => {
+        face[key] = from.face[key] + (to.face[key] - from.face[key]) * weight;
+    });
+    
+    return {
+        body: from.body.map(([x, y], i) => [x + (to.body[i][0] - x) * weight, y + (to.body[i][1] - y) * weight]),
+        face
+    };
+}
+
+// A pose that can be changed without changing the clip
+function copyPose(keyframe) {
+    return { body: keyframe.body.map(offset => [...offset]), face: { ...keyframe.face } };
+}
+
+// Progress through a keyframe's move, 0..1, eased as the keyframe asks
+function ease(amount, type) {
+    const clamped = Math.min(1, Math.max(0, amount));
+    return type === 'linear' ? clamped : smooth(clamped);
+}
+
+// Ease in and out
+function smooth(amount) {
+    return amount * amount * (3 - 2 * amount);
+}
+
+// Read the user's clips (their JSON by name), tolerating missing or damaged storage
+function readStorage() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && typeof stored.clips === 'object' && stored.clips) {
+            return stored.clips;
+        }
+    } catch (error) {
+        console.warn('Could not read motion clips:', error);
+    }
+    return {};
+}
+
+// Write the user's clips back; storage can be full or disabled (e.g. private browsing)
+function writeStorage(clips) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ clips }));
+    } catch (error) {
+        console.warn('Could not save motion clips:', error);
+        throw new Error('Motion clips could not be saved in this browser');
+    }
+}
\ No newline at end of file
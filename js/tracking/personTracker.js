@@ -0,0 +1,243 @@
+// Person Tracker - Pairs faces with bodies and keeps stable person IDs across frames
+//
+// Hands are given to the body whose wrist (or elbow) is nearest, on that side.
+// Detections are matched to the people seen in earlier frames by how close their
+// centres are, so a person keeps the same ID (and avatar) while they move around.
+// A person who is briefly missed keeps their ID for a few frames before it is freed.
+
+// Keypoints below this confidence are ignored when locating a person
+const MIN_SCORE = 0.3;
+
+// Create a tracker; distances are in frame pixels
+export function createPersonTracker(options = {}) {
+    const maxMissedFrames = options.maxMissedFrames || 15;
+    const maxMatchDistance = options.maxMatchDistance || 150;
+    
+    let tracks = [];
+    let nextId = 1;
+    
+    return {
+        // Match this frame's bodies, faces and hands to people; returns [{ id, body, face, hands }] sorted by ID
+        update(bodies, faces, hands = []) {
+            const detections = pairFacesWithBodies(bodies, faces);
+            pairHandsWithBodies(detections, hands);
+            const matched = new Set();
+            
+            // Closest pairs first, so two people crossing paths don't swap IDs early
+            const candidates = [];
+            detections.forEach((detection, detectionIndex) => {
+                tracks.forEach((track, trackIndex) => {
+                    if (!detection.center || !track.center) return;
+                    
+                    const distance = Math.hypot(detection.center.x - track.center.x, detection.center.y - track.center.y);
+                    if (distance <= maxMatchDistance) {
+                        candidates.push({ detectionIndex, trackIndex, distance });
+                    }
+                });
+            });
+            candidates.sort((a, b) => a.distance - b.distance);
+            
+            candidates.forEach(({ detectionIndex, trackIndex }) => {
+                const detection = detections[detectionIndex];
+                if (detection.track || matched.has(trackIndex)) return;
+                
+                detection.track = tracks[trackIndex];
+                matched.add(trackIndex);
+            });
+            
+            // Detections without a position (pose-only faces) take the oldest free track
+            detections.forEach(detection => {
+                if (detection.track || detection.center) return;
+                
+                const trackIndex = tracks.findIndex((track, index) => !matched.has(index));
+                if (trackIndex !== -1) {
+                    detection.track = tracks[trackIndex];
+                    matched.add(trackIndex);
+                }
+            });
+            
+            // Everyone else is a new person
+            detections.forEach(detection => {
+                if (!detection.track) {
+                    detection.track = { id: nextId++, center: null, missed: 0 };
+                    tracks.push(detection.track);
+                    matched.add(tracks.length - 1);
+                }
+                
+                detection.track.missed = 0;
+                if (detection.center) {
+                    detection.track.center = detection.center;
+                }
+            });
+            
+            // Forget people who have been gone too long
+            tracks.forEach((track, index) => {
+                if (!matched.has(index)) track.missed++;
+            });
+            tracks = tracks.filter(track => track.missed <= maxMissedFrames);
+            
+            return detections
+                .map(detection => ({
+                    id: detection.track.id,
+                    body: detection.body,
+                    face: detection.face,
+                    hands: detection.hands || { left: null, right: null }
+                }))
+                .sort((a, b) => a.id - b.id);
+        },
+        
+        // IDs of everyone currently tracked, including people missed for a few frames
+        getTrackIds() {
+            return tracks.map(track => track.id).sort((a, b) => a - b);
+        },
+        
+        // Forget everyone
+        reset() {
+            tracks = [];
+            nextId = 1;
+        }
+    };
+}
+
+// Build one detection per person from separate body and face results
+function pairFacesWithBodies(bodies, faces) {
+    const detections = bodies.map(body => ({ body, face: null, center: getBodyCenter(body) }));
+    const unpairedFaces = [];
+    
+    // Faces with landmarks pair with the body whose head is nearest
+    const candidates = [];
+    faces.forEach((face, faceIndex) => {
+        const faceCenter = getFaceCenter(face);
+        if (!faceCenter) {
+            unpairedFaces.push(face);
+            return;
+        }
+        
+        detections.forEach((detection, detectionIndex) => {
+            const head = getBodyHead(detection.body);
+            if (!head) return;
+            
+            const distance = Math.hypot(faceCenter.x - head.x, faceCenter.y - head.y);
+            if (distance <= getShoulderWidth(detection.body)) {
+                candidates.push({ faceIndex, detectionIndex, distance });
+            }
+        });
+    });
+    candidates.sort((a, b) => a.distance - b.distance);
+    
+    const pairedFaces = new Set();
+    candidates.forEach(({ faceIndex, detectionIndex }) => {
+        if (pairedFaces.has(faceIndex) || detections[detectionIndex].face) return;
+        
+        detections[detectionIndex].face = faces[faceIndex];
+        pairedFaces.add(faceIndex);
+    });
+    
+    faces.forEach((face, faceIndex) => {
+        if (!pairedFaces.has(faceIndex) && getFaceCenter(face)) {
+            unpairedFaces.push(face);
+        }
+    });
+    
+    // Remaining faces go to bodies without a face in order, otherwise they are a person of their own
+    unpairedFaces.forEach(face => {
+        const faceCenter = getFaceCenter(face);
+        const detection = faceCenter ? null : detections.find(candidate => !candidate.face);
+        if (detection) {
+            detection.face = face;
+        } else {
+            detections.push({ body: null, face, center: faceCenter });
+        }
+    });
+    
+    return detections;
+}
+
+// Give each hand to the nearest body wrist, falling back to the elbow when the wrist is unsure
+function pairHandsWithBodies(detections, hands) {
+    const candidates = [];
+    hands.forEach((hand, handIndex) => {
+        const handWrist = hand.keypoints && hand.keypoints[0];
+        if (!handWrist) return;
+        
+        detections.forEach((detection, detectionIndex) => {
+            [['left', 9, 7], ['right', 10, 8]].forEach(([side, wristIndex, elbowIndex]) => {
+                const joint = getPoint(detection.body, wristIndex) || getPoint(detection.body, elbowIndex);
+                if (!joint) return;
+                
+                const distance = Math.hypot(handWrist.x - joint.x, handWrist.y - joint.y);
+                if (distance <= getShoulderWidth(detection.body)) {
+                    candidates.push({ handIndex, detectionIndex, side, distance });
+                }
+            });
+        });
+    });
+    candidates.sort((a, b) => a.distance - b.distance);
+    
+    const pairedHands = new Set();
+    candidates.forEach(({ handIndex, detectionIndex, side }) => {
+        const detection = detections[detectionIndex];
+        detection.hands = detection.hands || { left: null, right: null };
+        if (pairedHands.has(handIndex) || detection.hands[side]) return;
+        
+        detection.hands[side] = hands[handIndex];
+        pairedHands.add(handIndex);
+    });
+}
+
+// Get a confident keypoint or null
+function getPoint(body, index) {
+    const point = body && body[index];
+    return point && (point.score === undefined || point.score >= MIN_SCORE) ? point : null;
+}
+
+// Centre of a body: mid-shoulders, else the head, else the mean of its keypoints
+function getBodyCenter(body) {
+    const leftShoulder = getPoint(body, 5);
+    const rightShoulder = getPoint(body, 6);
+    if (leftShoulder && rightShoulder) {
+        return { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 };
+    }
+    
+    const head = getBodyHead(body);
+    if (head) return head;
+    
+    const points = (body || []).filter((point, index) => getPoint(body, index));
+    if (points.length === 0) return null;
+    
+    return {
+        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+        y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+    };
+}
+
+// Head position of a body: the nose, else between the eyes
+function getBodyHead(body) {
+    const nose = getPoint(body, 0);
+    if (nose) return nose;
+    
+    const leftEye = getPoint(body, 1);
+    const rightEye = getPoint(body, 2);
+    return leftEye && rightEye ? { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 } : null;
+}
+
+// Shoulder width of a body, with a floor so small or partial bodies can still pair
+function getShoulderWidth(body) {
+    const leftShoulder = getPoint(body, 5);
+    const rightShoulder = getPoint(body, 6);
+    const width = leftShoulder && rightShoulder ? Math.abs(rightShoulder.x - leftShoulder.x) : 0;
+    return Math.max(width, 100);
+}
+
+// Centre of a face from its landmarks (nose tip), or null for pose-only faces
+function getFaceCenter(face) {
+    if (!face || !face.keypoints || face.keypoints.length === 0) return null;
+    
+    const noseTip = face.keypoints[4];
+    if (noseTip) return { x: noseTip.x, y: noseTip.y };
+    
+    return {
+        x: face.keypoints.reduce((sum, point) => sum + point.x, 0) / face.keypoints.length,
+        y: face.keypoints.reduce((sum, point) => sum + point.y, 0) / face.keypoints.length
+    };
+}
\ No newline at end of file
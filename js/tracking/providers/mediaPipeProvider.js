@@ -0,0 +1,203 @@
+// MediaPipe Provider - BlazePose body tracking, Face Mesh face tracking and Hands finger tracking
+//
+// BlazePose only finds one person, so when more than one person is requested the
+// body model switches to MoveNet MultiPose, which uses the same keypoint names.
+// Hand tracking is optional: without the Hands script the avatar keeps resting hands.
+// Where the browser allows it the detectors run in a Web Worker (see workerInference.js),
+// and estimate() resolves to null until the worker has a new result (unless asked to
+// wait for the frame's own result); otherwise they run on the main thread, one after another.
+import { isWorkerInferenceSupported, createWorkerInference } from './workerInference.js';
+
+// Mapping between BlazePose landmark names and our COCO-17 indices
+const keypointMapping = {
+    'nose': 0,
+    'left_eye': 1, 'right_eye': 2,
+    'left_ear': 3, 'right_ear': 4,
+    'left_shoulder': 5, 'right_shoulder': 6,
+    'left_elbow': 7, 'right_elbow': 8,
+    'left_wrist': 9, 'right_wrist': 10,
+    'left_hip': 11, 'right_hip': 12,
+    'left_knee': 13, 'right_knee': 14,
+    'left_ankle': 15, 'right_ankle': 16
+};
+
+// Fallback mapping based on BlazePose's 33 keypoint indices
+const indexMapping = {
+    0: 0,  // nose
+    2: 1, 4: 2,  // eyes
+    7: 3, 8: 4,  // ears
+    11: 5, 12: 6, // shoulders
+    13: 7, 14: 8, // elbows
+    15: 9, 16: 10, // wrists
+    23: 11, 24: 12, // hips
+    25: 13, 26: 14, // knees
+    27: 15, 28: 16  // ankles
+};
+
+// Create a provider backed by the MediaPipe detectors
+export function createMediaPipeProvider(options = {}) {
+    const maxPeople = Math.max(1, options.maxPeople || 1);
+    let workerInference = null;
+    let poseDetector = null;
+    let faceDetector = null;
+    let handDetector = null;
+    
+    return {
+        name: 'mediapipe',
+        requiresVideo: true,
+        
+        // Load the models, in a worker if possible and on the main thread otherwise
+        async init() {
+            if (options.useWorker && isWorkerInferenceSupported()) {
+                try {
+                    workerInference = createWorkerInference({ maxPeople });
+                    await workerInference.init();
+                    return;
+                } catch (error) {
+                    console.warn('Inference worker unavailable, running detectors on the main thread:', error);
+                    workerInference.dispose();
+                    workerInference = null;
+                }
+            }
+            
+            await initMainThreadDetectors();
+        },
+        
+        // Whether inference runs in a worker
+        get inWorker() {
+            return !!workerInference;
+        },
+        
+        // Run the detectors on a video frame; with a worker, hand over the frame and return its newest result
+        async estimate(frame, options = {}) {
+            if (workerInference && options.wait) {
+                const result = await workerInference.run(frame);
+                return formatResults(result.poses, result.faces, result.hands, maxPeople);
+            }
+            
+            if (workerInference) {
+                await workerInference.submit(frame);
+                const result = workerInference.takeResult();
+                return result ? formatResults(result.poses, result.faces, result.hands, maxPeople) : null;
+            }
+            
+            const poseResults = await poseDetector.estimatePoses(frame, {
+                maxPoses: maxPeople,
+                flipHorizontal: true // Important to flip for mirror-like behavior
+            });
+            
+            const faceResults = await faceDetector.estimateFaces(frame, {
+                flipHorizontal: true
+            });
+            
+            const handResults = handDetector ? await handDetector.estimateHands(frame, {
+                flipHorizontal: true
+            }) : [];
+            
+            return formatResults(poseResults, faceResults, handResults, maxPeople);
+        },
+        
+        // Release the worker or detectors
+        dispose() {
+            if (workerInference) workerInference.dispose();
+            if (poseDetector && poseDetector.dispose) poseDetector.dispose();
+            if (faceDetector && faceDetector.dispose) faceDetector.dispose();
+            if (handDetector && handDetector.dispose) handDetector.dispose();
+            workerInference = null;
+            poseDetector = null;
+            faceDetector = null;
+            handDetector = null;
+        }
+    };
+    
+    // Load the MediaPipe Pose and Face Mesh models on the main thread
+    async function initMainThreadDetectors() {
+        if (!window.poseDetection) {
+            throw new Error('MediaPipe Pose not available. Make sure to include the necessary script.');
+        }
+        
+        if (maxPeople > 1) {
+            poseDetector = await window.poseDetection.createDetector(
+                window.poseDetection.SupportedModels.MoveNet,
+                {
+                    modelType: window.poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+                    maxPoses: maxPeople
+                }
+            );
+        } else {
+            poseDetector = await window.poseDetection.createDetector(
+                window.poseDetection.SupportedModels.BlazePose,
+                { runtime: 'mediapipe', modelType: 'lite' }
+            );
+        }
+        
+        if (!window.faceLandmarksDetection) {
+            throw new Error('MediaPipe Face Mesh not available. Make sure to include the necessary script.');
+        }
+        
+        // Refined landmarks include the irises, which gaze is measured from
+        faceDetector = await window.faceLandmarksDetection.createDetector(
+            window.faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+            { runtime: 'mediapipe', maxFaces: maxPeople, refineLandmarks: true }
+        );
+        
+        if (window.handPoseDetection) {
+            handDetector = await window.handPoseDetection.createDetector(
+                window.handPoseDetection.SupportedModels.MediaPipeHands,
+                {
+                    runtime: 'mediapipe',
+                    modelType: 'lite',
+                    maxHands: maxPeople * 2,
+                    solutionPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240'
+                }
+            );
+        } else {
+            console.warn('MediaPipe Hands not available, fingers will not be tracked.');
+        }
+    }
+}
+
+// Turn raw detector output into the provider result layout
+function formatResults(poseResults, faceResults, handResults, maxPeople) {
+    return {
+        bodies: (poseResults || []).slice(0, maxPeople).map(mapToCocoKeypoints),
+        faces: (faceResults || []).slice(0, maxPeople).map(face => ({ keypoints: face.keypoints })),
+        hands: (handResults || []).map(hand => ({
+            keypoints: hand.keypoints,
+            handedness: hand.handedness
+        }))
+    };
+}
+
+// Map a BlazePose result (33 keypoints) to our 17 keypoint layout
+function mapToCocoKeypoints(pose) {
+    const keypoints = Array(17).fill(null);
+    if (!pose.keypoints) return keypoints;
+    
+    // MediaPipe provides an array of keypoints with name properties
+    pose.keypoints.forEach(keypoint => {
+        if (keypoint.name && keypointMapping.hasOwnProperty(keypoint.name)) {
+            keypoints[keypointMapping[keypoint.name]] = {
+                x: keypoint.x,
+                y: keypoint.y,
+                score: keypoint.score || 0.5
+            };
+        }
+    });
+    
+    // Handle if indices are used instead of names in some MediaPipe versions
+    if (!keypoints[0] && pose.keypoints.length >= 33) {
+        Object.entries(indexMapping).forEach(([mpIndex, ourIndex]) => {
+            const keypoint = pose.keypoints[parseInt(mpIndex)];
+            if (keypoint) {
+                keypoints[ourIndex] = {
+                    x: keypoint.x,
+                    y: keypoint.y,
+                    score: keypoint.score || 0.5
+                };
+            }
+        });
+    }
+    
+    return keypoints;
+}
\ No newline at end of file
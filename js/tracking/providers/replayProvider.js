@@ -0,0 +1,185 @@
+// Replay Provider - Plays back previously captured motion from a JSON Lines file
+//
+// Motion file format (as written by "Record Motion"), one JSON object per line:
+//
+//   {"type": "header", "format": "avatar-mocap", "version": 1, "width": 640, "height": 480, ...}
+//   {"t": 0, "body": [{"x": 320, "y": 190, "score": 0.9}, ...], "face": {"x": 0, "y": 0, "z": 0, "rx": 0, "ry": 0, "rz": 0}, "mouthOpenness": 0.2}
+//   {"t": 33, ...}
+//
+// The header is optional; its width and height are the canvas size the take was
+// recorded at, used to re-centre the body when the current canvas differs.
+// Frame lines need a numeric "t" in milliseconds since the start of the take.
+// "body" holds 17 COCO keypoints (entries may be null) in canvas pixels, already
+// normalized to avatar scale, or null when no body was detected. "face" is the
+// head pose (x/y offsets, z depth, rx pitch, ry yaw, rz roll in degrees) or null.
+// "mouthOpenness" (0 to 1) is optional, as is "expressions" (eye, brow and mouth
+// values as measured by expressions.js). Lines of any other shape are ignored.
+import { elements } from '../../main.js';
+
+// Longest gap between two estimates that still counts as playback time
+const MAX_FRAME_STEP = 250;
+
+// Create a provider that replays a motion file
+export function createReplayProvider(options = {}) {
+    let header = null;
+    let frames = [];
+    let duration = 0;
+    let playbackTime = 0;
+    let lastTick = null;
+    let playing = true;
+    let loop = true;
+    let speed = 1;
+    
+    return {
+        name: 'replay',
+        requiresVideo: false,
+        prefiltered: true,
+        
+        // Read and parse the motion file
+        async init() {
+            if (!options.file) {
+                throw new Error('No motion file selected for replay.');
+            }
+            
+            ({ header, frames } = parseMotionFile(await options.file.text()));
+            if (frames.length === 0) {
+                throw new Error('The motion file does not contain any frames.');
+            }
+            
+            duration = frames[frames.length - 1].t;
+            playbackTime = 0;
+            lastTick = null;
+        },
+        
+        // Return the frame that matches the current playback time
+        async estimate() {
+            advanceClock();
+            const frame = findFrameAt(frames, playbackTime);
+            
+            return {
+                bodies: frame.body ? [recenterBody(frame.body)] : [],
+                faces: frame.face ? [{
+                    pose: { ...frame.face },
+                    mouthOpenness: typeof frame.mouthOpenness === 'number' ? frame.mouthOpenness : undefined,
+                    expressions: frame.expressions || null
+                }] : []
+            };
+        },
+        
+        // Drop the loaded frames
+        dispose() {
+            header = null;
+            frames = [];
+            duration = 0;
+        },
+        
+        // Playback controls
+        play() {
+            if (!loop && playbackTime >= duration) playbackTime = 0;
+            playing = true;
+            lastTick = null;
+        },
+        
+        pause() {
+            playing = false;
+        },
+        
+        seek(time) {
+            playbackTime = Math.max(0, Math.min(duration, time));
+            lastTick = null;
+        },
+        
+        setLoop(value) {
+            loop = value;
+        },
+        
+        setSpeed(value) {
+            speed = value;
+        },
+        
+        getPlaybackState() {
+            return { time: playbackTime, duration, playing, loop, speed };
+        },
+        
+        // All frames of the loaded take, e.g. for export
+        getFrames() {
+            return frames;
+        }
+    };
+    
+    // Move the playback clock forward by the (scaled) time since the last estimate
+    function advanceClock() {
+        const now = performance.now();
+        
+        if (playing && lastTick !== null) {
+            playbackTime += Math.min(now - lastTick, MAX_FRAME_STEP) * speed;
+            
+            if (playbackTime > duration) {
+                if (loop && duration > 0) {
+                    playbackTime %= duration;
+                } else {
+                    playbackTime = duration;
+                    playing = false;
+                }
+            }
+        }
+        
+        lastTick = now;
+    }
+    
+    // Shift body keypoints when the take was recorded on a differently sized canvas
+    function recenterBody(body) {
+        const offsetX = header && header.width ? (elements.canvas.width - header.width) / 2 : 0;
+        const offsetY = header && header.height ? (elements.canvas.height - header.height) / 2 : 0;
+        
+        return body.map(point => point ? { ...point, x: point.x + offsetX, y: point.y + offsetY } : null);
+    }
+}
+
+// Parse JSON Lines text into a header and frames sorted by time
+export function parseMotionFile(text) {
+    let header = null;
+    const frames = [];
+    
+    text.split('\n').forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        
+        let record;
+        try {
+            record = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${index + 1} of the motion file.`);
+        }
+        
+        if (typeof record.t === 'number') {
+            frames.push(record);
+        } else if (record.type === 'header' && !header) {
+            header = record;
+        }
+    });
+    
+    // Make the first frame start at zero
+    frames.sort((a, b) => a.t - b.t);
+    const startTime = frames.length > 0 ? frames[0].t : 0;
+    frames.forEach(frame => { frame.t -= startTime; });
+    
+    return { header, frames };
+}
+
+// Find the last frame at or before the given time (binary search)
+function findFrameAt(frames, time) {
+    let low = 0;
+    let high = frames.length - 1;
+    
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (frames[mid].t <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    
+    return frames[low];
+}
\ No newline at end of file
@@ -0,0 +1,47 @@
+// Simulation Provider - Plays the chosen motion clip as if someone were in front of the camera, no camera required
+import { elements, appState } from '../../main.js';
+import { createClipPlayer } from '../motionClips.js';
+
+// Spacing between simulated people, in canvas pixels
+const PERSON_SPACING = 220;
+
+// Confidence of simulated keypoints
+const SIMULATED_SCORE = 0.9;
+
+// Create a provider that poses one simulated person per avatar from the idle clip
+export function createSimulationProvider(options = {}) {
+    const people = Math.max(1, options.maxPeople || 1);
+    const player = createClipPlayer();
+    
+    return {
+        name: 'simulation',
+        requiresVideo: false,
+        
+        // Nothing to load
+        async init() {},
+        
+        // Pose every simulated person from the clip at the current time
+        async estimate() {
+            const time = performance.now() / 1000;
+            player.play(appState.config.idleClip, time);
+            const pose = player.sample(time);
+            const offsets = Array.from({ length: people }, (_, i) => (i - (people - 1) / 2) * PERSON_SPACING);
+            
+            return {
+                bodies: offsets.map(offset => placeClipBody(pose.body, offset)),
+                faces: offsets.map(() => ({ pose: { ...pose.face } }))
+            };
+        },
+        
+        // Nothing to release
+        dispose() {}
+    };
+}
+
+// Stand a clip's body offsets in the middle of the frame, moved across by offsetX
+function placeClipBody(body, offsetX) {
+    const centerX = elements.canvas.width / 2 + offsetX;
+    const centerY = elements.canvas.height / 2;
+    
+    return body.map(([x, y]) => ({ x: centerX + x, y: centerY + y, score: SIMULATED_SCORE }));
+}
\ No newline at end of file
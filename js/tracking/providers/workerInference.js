@@ -0,0 +1,147 @@
+// Worker Inference - Sends video frames to the inference worker and collects its results
+//
+// Only one frame is in the worker at a time. While it is busy, new frames are
+// dropped rather than queued, so results never fall behind the camera and the
+// main thread only ever waits for an ImageBitmap copy of the frame. Offline
+// processing, where no frame may be dropped, waits for each frame's own result instead.
+
+// How often to check whether the worker has finished a frame before sending one that must not be dropped (ms)
+const IDLE_POLL_INTERVAL = 5;
+
+// Whether this browser can run the detectors in a worker
+export function isWorkerInferenceSupported() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function';
+}
+
+// Create a client for a new inference worker
+export function createWorkerInference(options = {}) {
+    let worker = null;
+    let busy = false;
+    let nextFrameId = 1;
+    let latestResult = null;
+    let latestError = null;
+    let waiting = null;
+    
+    // Keep the newest result (or error) until the provider asks for it, unless a caller is waiting for it
+    const handleMessage = (e) => {
+        const message = e.data;
+        if (waiting && message.id === waiting.id && (message.type === 'result' || message.type === 'error')) {
+            const { resolve, reject } = waiting;
+            busy = false;
+            waiting = null;
+            if (message.type === 'result') {
+                resolve(message);
+            } else {
+                reject(new Error(message.message));
+            }
+        } else if (message.type === 'result') {
+            busy = false;
+            latestResult = message;
+        } else if (message.type === 'error') {
+            busy = false;
+            latestError = new Error(message.message);
+        }
+    };
+    
+    return {
+        // Start the worker and wait for its models to load
+        async init() {
+            worker = new Worker(new URL('../workers/inferenceWorker.js', import.meta.url));
+            
+            const ready = await new Promise((resolve, reject) => {
+                worker.onmessage = (e) => {
+                    if (e.data.type === 'ready') resolve(e.data);
+                    if (e.data.type === 'error') reject(new Error(e.data.message));
+                };
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    reject(new Error(e.message || 'Inference worker failed to start'));
+                };
+                worker.postMessage({ type: 'init', maxPeople: options.maxPeople });
+            });
+            
+            if (!ready.hands) {
+                console.warn('MediaPipe Hands not available in the worker, fingers will not be tracked.');
+            }
+            
+            worker.onmessage = handleMessage;
+            worker.onerror = (e) => {
+                e.preventDefault();
+                busy = false;
+                latestError = new Error(e.message || 'Inference worker error');
+                if (waiting) {
+                    waiting.reject(latestError);
+                    waiting = null;
+                    latestError = null;
+                }
+            };
+        },
+        
+        // Send a frame to the worker, or drop it if the worker is still busy; returns whether it was sent
+        async submit(frame) {
+            if (!worker || busy) return false;
+            
+            busy = true;
+            try {
+                const bitmap = await createImageBitmap(frame);
+                worker.postMessage({ type: 'frame', id: nextFrameId++, bitmap }, [bitmap]);
+                return true;
+            } catch (error) {
+                busy = false;
+                throw error;
+            }
+        },
+        
+        // Send a frame and wait for its own result ({ poses, faces, hands })
+        async run(frame) {
+            // A frame sent earlier may still be in the worker; its result is no longer wanted
+            while (busy) {
+                await new Promise(resolve => setTimeout(resolve, IDLE_POLL_INTERVAL));
+            }
+            latestResult = null;
+            latestError = null;
+            
+            const id = nextFrameId;
+            const result = new Promise((resolve, reject) => {
+                waiting = { id, resolve, reject };
+            });
+            try {
+                if (!await this.submit(frame)) throw new Error('Inference worker is not running');
+            } catch (error) {
+                waiting = null;
+                throw error;
+            }
+            return result;
+        },
+        
+        // The newest result since the last call ({ poses, faces, hands }), or null if there is none yet
+        takeResult() {
+            if (latestError) {
+                const error = latestError;
+                latestError = null;
+                throw error;
+            }
+            
+            const result = latestResult;
+            latestResult = null;
+            return result;
+        },
+        
+        // Stop the worker
+        dispose() {
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+            busy = false;
+            latestResult = null;
+            latestError = null;
+            if (waiting) {
+                waiting.reject(new Error('Inference worker stopped'));
+                waiting = null;
+            }
+        }
+    };
+}
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Tracker Providers - Registry of interchangeable tracking backends
+//
+// Every provider is a plain object with the same interface:
+//   name            - identifier used in the settings panel
+//   requiresVideo   - whether estimate() needs a live video frame
+//   init()          - load models or data; rejects if the backend is unavailable
+//   estimate(frame, options) - resolves to { bodies, faces } for the given frame, or null
+//                     when there is no new result yet (e.g. inference still busy in a
+//                     worker); with options { wait: true } it always resolves to the
+//                     result for this frame, for offline processing
+//   dispose()       - release models, files and timers
+//   prefiltered     - optional; results are already normalized and smoothed,
+//                     so they are applied to the avatar as-is
+//   inWorker        - optional; true when inference runs in a Web Worker
+//
+// bodies holds one entry per detected person: an array of 17 COCO keypoints
+// { x, y, score } in frame pixels. faces holds one entry per detected face: either
+// { keypoints } with face mesh landmarks, or { pose: { x, y, z, rx, ry, rz },
+// mouthOpenness, expressions } when the backend already knows the head pose
+// (expressions is optional and shaped like the output of expressions.js). Both are empty
+// when nothing is detected. hands is optional and holds one entry per detected
+// hand: { keypoints, handedness } with the 21 MediaPipe Hands landmarks in frame
+// pixels. Faces and hands are paired with bodies by the tracking manager.
+//
+// Factories receive options such as { maxPeople } (the most people to detect) and
+// { useWorker } (run inference off the main thread where supported) along with
+// provider-specific ones like the replay { file }.
+import { createMediaPipeProvider } from './providers/mediaPipeProvider.js';
+import { createSimulationProvider } from './providers/simulationProvider.js';
+import { createReplayProvider } from './providers/replayProvider.js';
+
+const providerFactories = {
+    mediapipe: createMediaPipeProvider,
+    simulation: createSimulationProvider,
+    replay: createReplayProvider
+};
+
+// Create an uninitialized provider by name
+export function createTrackerProvider(name, options = {}) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown tracker provider: ${name}`);
+    }
+    return factory(options);
+}
\ No newline at end of file
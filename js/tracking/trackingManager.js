@@ -1,21 +1,106 @@
 // Tracking Manager - Now using MediaPipe for better tracking
 import { elements, appState, updateUIState } from '../main.js';
-import { updateAvatarBody, updateAvatarFace, resetAvatarPosition } from '../avatar/avatarRenderer.js';
+import { 
+    updateAvatarBody, updateAvatarFace, resetAvatarPosition, 
+    updateAvatarHands, syncAvatarInstances, getAvatarForPerson, getAvatars, setAvatarAnchor, layoutAvatars,
+    updateAvatarEmotes
+} from '../avatar/avatarRenderer.js';
 import { updateDisplay } from '../utils/ui.js';
+import { recordMocapFrame, stopMocapRecording } from '../utils/recording.js';
+import { showMotionPlayback, hideMotionPlayback } from '../utils/motionPlayback.js';
+import { createTrackerProvider } from './trackerProviders.js';
+import { createFilterBank } from './filters.js';
+import { createPersonTracker } from './personTracker.js';
+import { measureHand, wrapAngle, FINGER_CHAINS } from './handPose.js';
+import { createHeadPoseEstimator } from './headPose.js';
+import { measureExpressions } from './expressions.js';
+import { applyExpressionBaseline, applyGazeRange } from './calibration.js';
+import {
+    createTrackingStateMachine, measureDetectionQuality, isConfident, getFallbackBodyPose, getFallbackFacePose,
+    getEaseAmount, blendPoint, blendFacePose, FALLBACK_JOINT_SCORE
+} from './trackingState.js';
+import { createInterpolator } from './interpolation.js';
+import { createGestureRecognizer } from './gestures.js';
+import { createLipSyncAnalyser } from './lipSync.js';
+import { createClipPlayer } from './motionClips.js';
 
 // Tracking state
-let poseDetection = null;
-let faceMesh = null;
+let activeProvider = null;
 let animationFrameId = null;
 let lastFacePosition = { x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 };
 let lastBodyPosition = [];
+let lastExpressions = null;
 let trackingActive = false;
+let bodyDetected = false;
+let faceDetected = false;
+
+// Distance from the camera, in millimetres, at which the avatar's head is drawn at its normal size
+const NEUTRAL_FACE_DISTANCE = 650;
+
+// The avatar's approximate shoulder width in pixels
+const AVATAR_SHOULDER_WIDTH = 170;
+
+// The primary person's calibrated baseline (see calibration.js), and a sampler collecting a new one
+let calibration = null;
+let calibrationSampler = null;
+
+// Tracked people by ID; the lowest ID is the primary person that drives recording and status
+const personTracker = createPersonTracker();
+const trackedPeople = new Map();
+
+// Tracking state and the pose on show for each avatar (see trackingState.js)
+const avatarStates = new Map();
+
+// Media time (seconds) of the video frame being rendered offline; null while tracking runs in real time
+let frameTime = null;
+
+// Microphone lip sync for the primary avatar's mouth (see lipSync.js), while switched on
+let lipSync = null;
+
+// The motion clip avatars fall back to when the idle loss behaviour is chosen, and its pose this frame
+const idleClips = createClipPlayer();
+let idlePose = null;
+
+// Gestures are recognized for the primary person only, so one presenter can run the session
+const gestureRecognizer = createGestureRecognizer();
+let gesturePersonId = null;
+
+// Announces tracking state changes as 'statechange' events with detail { personId, state, previous, primary },
+// and recognized gestures (see gestures.js) as 'gesture' events with detail { gesture, personId }
+export const trackingEvents = new EventTarget();
+
+// Start listening to the microphone for lip sync
+export async function startLipSync() {
+    if (lipSync) return;
+    
+    const analyser = createLipSyncAnalyser();
+    await analyser.start();
+    lipSync = analyser;
+}
+
+// Stop lip sync and release the microphone
+export function stopLipSync() {
+    if (lipSync) {
+        lipSync.stop();
+        lipSync = null;
+    }
+}
+
+// The clock tracking runs on: the wall clock, or the video's own time while rendering a file offline
+function getTrackingTime() {
+    return frameTime === null ? performance.now() / 1000 : frameTime;
+}
 
 // Set up the tracking system
 export async function setupTrackingSystem() {
     try {
-        // Load MediaPipe models
-        await loadModels();
+        elements.trackerSelect.value = appState.config.trackerProvider;
+        elements.trackerSelect.addEventListener('change', handleTrackerSelectChange);
+        elements.replayFileInput.addEventListener('change', handleReplayFileChange);
+        elements.maxPeopleSelect.value = appState.config.maxPeople;
+        elements.maxPeopleSelect.addEventListener('change', handleMaxPeopleChange);
+        
+        await activateProvider(appState.config.trackerProvider);
         return true;
     } catch (error) {
         console.error('Error setting up tracking system:', error);
@@ -23,45 +108,165 @@ export async function setupTrackingSystem() {
     }
 }
 
-// Load MediaPipe models
-async function loadModels() {
+// Switch to a tracker provider, falling back to simulation if it cannot start
+export async function activateProvider(name, options = {}) {
+    const provider = createTrackerProvider(name, {
+        maxPeople: appState.config.maxPeople,
+        useWorker: appState.config.inferenceWorker,
+        ...options
+    });
+    
     try {
-        elements.debugInfo.textContent = 'Status: Loading MediaPipe models...';
-        
-        // Load the MediaPipe Pose model
-        if (!window.poseDetection) {
-            throw new Error('MediaPipe Pose not available. Make sure to include the necessary script.');
-        }
-        
-        poseDetection = await window.poseDetection.createDetector(
-            window.poseDetection.SupportedModels.BlazePose,
-            { runtime: 'mediapipe', modelType: 'lite' }
-        );
-        
-        // Load the MediaPipe Face Mesh model
-        if (!window.faceLandmarksDetection) {
-            throw new Error('MediaPipe Face Mesh not available. Make sure to include the necessary script.');
-        }
-        
-        faceMesh = await window.faceLandmarksDetection.createDetector(
-            window.faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
-            { runtime: 'mediapipe' }
-        );
-        
-        elements.debugInfo.textContent = 'Status: MediaPipe models loaded successfully';
-        elements.loadingScreen.style.display = 'none';
-        return true;
+        elements.debugInfo.textContent = `Status: Loading ${name} tracker...`;
+        await provider.init();
     } catch (error) {
-        console.error('Error loading MediaPipe models:', error);
-        
-        // Provide better user feedback and fallback to mock mode
-        elements.debugInfo.textContent = `Error loading models: ${error.message}. Using fallback demo mode.`;
+        console.error(`Error initializing ${name} tracker:`, error);
+        provider.dispose();
         
-        console.log("Falling back to simulation mode due to error:", error);
+        if (name === 'simulation') throw error;
         
-        // Hide loading screen to let user interact with the fallback
-        elements.loadingScreen.style.display = 'none';
-        return true; // Return true so the app can continue in "demo mode"
+        // Switch to simulation openly so the user knows the avatar is not tracking them
+        elements.debugInfo.textContent = `Error loading ${name} tracker: ${error.message}. Switched to simulation.`;
+        return activateProvider('simulation');
+    }
+    
+    if (activeProvider) {
+        activeProvider.dispose();
+    }
+    
+    activeProvider = provider;
+    appState.config.trackerProvider = name;
+    elements.trackerSelect.value = name;
+    resetPeople();
+    
+    // Providers with a timeline (replay) get the playback bar
+    if (provider.getPlaybackState) {
+        showMotionPlayback(provider);
+    } else {
+        hideMotionPlayback();
+    }
+    
+    elements.debugInfo.textContent = `Status: ${name} tracker ready${provider.inWorker ? ' (running in a worker)' : ''}`;
+    return true;
+}
+
+// Get the provider currently driving the avatar
+export function getActiveProvider() {
+    return activeProvider;
+}
+
+// Measure the primary person against a calibrated baseline, or the built-in averages when null
+export function setCalibration(baseline) {
+    calibration = baseline;
+}
+
+// Feed the primary person's raw measurements to a calibration sampler every frame; null stops it
+export function setCalibrationSampler(sampler) {
+    calibrationSampler = sampler;
+}
+
+// Forget everyone tracked so a new source doesn't blend with the old one
+function resetPeople() {
+    personTracker.reset();
+    trackedPeople.clear();
+    avatarStates.clear();
+    lastBodyPosition = [];
+    gestureRecognizer.reset();
+    gesturePersonId = null;
+    syncAvatarInstances([]);
+}
+
+// Create the tracking state for an avatar; it starts out lost until someone is seen
+function createAvatarState() {
+    return {
+        machine: createTrackingStateMachine(),
+        body: null,
+        face: null,
+        // Samples of the pose on show, rendered in between at the display's rate
+        bodyMotion: createInterpolator(),
+        faceMotion: createInterpolator(),
+        expressionMotion: createInterpolator(),
+        lastTime: null,
+        deltaTime: 0,
+        bodyShown: false,
+        faceShown: false
+    };
+}
+
+// Create the state for a newly tracked person
+function createPersonState(id) {
+    return {
+        id,
+        lastBodyPosition: [],
+        lastFacePosition: { x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 },
+        mouthOpenness: undefined,
+        expressions: null,
+        lastHandAngles: { left: null, right: null },
+        // Where the shoulders were, to place joints when the shoulders themselves are missed
+        bodyFrame: null,
+        headPoseEstimator: createHeadPoseEstimator(),
+        // This frame's raw measurements, before calibration and filtering
+        measurements: {},
+        // This frame's smoothed joints that were actually seen, and measured hands, for gestures
+        trackedBody: null,
+        handPose: null,
+        faceDistance: null,
+        bodyDetected: false,
+        faceDetected: false,
+        // One filter bank per channel; scales bring each channel to comparable units
+        filterBanks: {
+            body: createFilterBank(appState.config.filters.body, 10),
+            headPosition: createFilterBank(appState.config.filters.headPosition, { x: 1, y: 1, z: 0.01 }),
+            headRotation: createFilterBank(appState.config.filters.headRotation, 1),
+            mouth: createFilterBank(appState.config.filters.mouth, 0.05),
+            eyes: createFilterBank(appState.config.filters.eyes, 0.05),
+            hands: createFilterBank(appState.config.filters.hands, 1)
+        }
+    };
+}
+
+// Whether the active provider needs a camera or video file
+export function activeProviderRequiresVideo() {
+    return !activeProvider || activeProvider.requiresVideo;
+}
+
+// Handle tracker selection from the settings panel
+function handleTrackerSelectChange(e) {
+    const name = e.target.value;
+    
+    if (name === 'replay') {
+        // Replay needs a file first; restore the current selection until one is chosen
+        elements.trackerSelect.value = appState.config.trackerProvider;
+        elements.replayFileInput.click();
+        return;
+    }
+    
+    activateProvider(name);
+}
+
+// Handle a change to the most people to track
+async function handleMaxPeopleChange(e) {
+    appState.config.maxPeople = parseInt(e.target.value, 10);
+    
+    // Replay files hold one person and need the file again, so they keep running as they are
+    if (activeProvider && activeProvider.name !== 'replay') {
+        await activateProvider(activeProvider.name);
+    }
+}
+
+// Handle motion file selection for the replay provider
+async function handleReplayFileChange(e) {
+    const file = e.target.files && e.target.files[0];
+    
+    // Allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+    
+    await activateProvider('replay', { file });
+    
+    // Replay needs no camera, so start straight away
+    if (!trackingActive && activeProvider.name === 'replay') {
+        startTracking();
     }
 }
 
@@ -90,6 +295,12 @@ export function stopTracking() {
     trackingActive = false;
     appState.isTracking = false;
     
+    // Save any motion capture take in progress
+    stopMocapRecording();
+    
+    // Forget the tracked people
+    resetPeople();
+    
     // Cancel animation frame
     if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
@@ -105,6 +316,36 @@ export function stopTracking() {
     elements.debugInfo.textContent = 'Status: Tracking Stopped';
 }
 
+// Prepare to track a loaded video file frame by frame on its own clock; realtime tracking must be stopped
+export function beginFrameTracking() {
+    resetPeople();
+    setupCanvas();
+    frameTime = 0;
+}
+
+// Track the video frame on show at its media time in seconds and pose the avatars for it,
+// waiting for the detectors however long they take so that no frame is dropped
+export async function trackVideoFrame(time) {
+    frameTime = time;
+    elements.ctx.drawImage(elements.video, 0, 0, elements.canvas.width, elements.canvas.height);
+    
+    const updated = await processTracking({ wait: true });
+    renderAvatars(time);
+    updateDisplay();
+    
+    if (updated) {
+        appState.lastBodyPosition = lastBodyPosition;
+        appState.lastFacePosition = lastFacePosition;
+    }
+}
+
+// Go back to the wall clock after a file has been tracked, leaving the avatars at rest
+export function endFrameTracking() {
+    frameTime = null;
+    resetPeople();
+    resetAvatarPosition();
+}
+
 // Setup canvas size based on video dimensions
 function setupCanvas() {
     elements.canvas.width = elements.video.videoWidth || 640;
@@ -114,11 +355,8 @@ function setupCanvas() {
     const avatarSVG = document.getElementById('avatarSVG');
     if (avatarSVG) {
         avatarSVG.setAttribute('viewBox', `0 0 ${elements.canvas.width} ${elements.canvas.height}`);
-        // Initialize avatar position
-        const avatarGroup = document.getElementById('avatarGroup');
-        if (avatarGroup) {
-            avatarGroup.setAttribute('transform', `translate(${elements.canvas.width/2}, ${elements.canvas.height/2})`);
-        }
+        // Initialize avatar positions
+        layoutAvatars();
     }
 }
 
@@ -127,24 +365,45 @@ async function trackingLoop() {
     if (!trackingActive) return;
     
     try {
-        // Ensure the video is playing and ready
-        if (elements.video.readyState === elements.video.HAVE_ENOUGH_DATA) {
-            // Draw video to canvas for processing and output
-            elements.ctx.drawImage(elements.video, 0, 0, elements.canvas.width, elements.canvas.height);
+        const videoReady = elements.video.readyState === elements.video.HAVE_ENOUGH_DATA;
+        
+        // Ensure the video is playing and ready, unless the provider works without one
+        if (videoReady || !activeProviderRequiresVideo()) {
+            if (videoReady) {
+                // Draw video to canvas for processing and output
+                elements.ctx.drawImage(elements.video, 0, 0, elements.canvas.width, elements.canvas.height);
+            } else {
+                elements.ctx.clearRect(0, 0, elements.canvas.width, elements.canvas.height);
+            }
+            
+            // Process body and face tracking; false while a worker has no new result
+            const updated = await processTracking();
             
-            // Process body and face tracking
-            await processTracking();
+            // Pose the avatars for this display frame, whether or not there was a new result
+            renderAvatars(getTrackingTime());
             
             // Update display based on selected mode
             updateDisplay();
             
-            // Save the latest positions to app state for other modules to use
-            appState.lastBodyPosition = lastBodyPosition;
-            appState.lastFacePosition = lastFacePosition;
+            if (updated) {
+                // Save the latest positions to app state for other modules to use
+                appState.lastBodyPosition = lastBodyPosition;
+                appState.lastFacePosition = lastFacePosition;
+                
+                // Capture the frame if a motion take is being recorded
+                recordMocapFrame(
+                    bodyDetected ? lastBodyPosition : null, 
+                    faceDetected ? lastFacePosition : null, 
+                    faceDetected ? lastExpressions : null
+                );
+            }
             
-            // Update debug info with FPS
+            // Update debug info with FPS and detection state
             const fps = Math.round(1000 / (Date.now() - (window.lastFrameTime || Date.now())));
-            elements.debugInfo.textContent = `Status: Tracking Active | FPS: ${fps}`;
+            const missing = [!bodyDetected && 'body', !faceDetected && 'face'].filter(Boolean);
+            elements.debugInfo.textContent = `Status: Tracking Active (${activeProvider.name}) | FPS: ${fps}` +
+                (trackedPeople.size > 1 ? ` | People: ${trackedPeople.size}` : '') +
+                (missing.length > 0 ? ` | No ${missing.join(' or ')} detected` : '');
             window.lastFrameTime = Date.now();
         }
         
@@ -158,194 +417,378 @@ async function trackingLoop() {
     }
 }
 
-// Process tracking using MediaPipe
-async function processTracking() {
+// Process tracking using the active provider, passing on estimate options; returns whether there was a new result
+async function processTracking(options = {}) {
+    if (!activeProvider) return false;
+    
+    const now = getTrackingTime();
+    
+    // The idle clip runs on the tracking clock, so it keeps its timing in rendered files too
+    idleClips.play(appState.config.idleClip, now);
+    idlePose = idleClips.sample(now);
+    
     try {
-        // Check if we have MediaPipe models loaded
-        if (poseDetection && faceMesh) {
-            try {
-                // Run MediaPipe Pose detection
-                const poseResults = await poseDetection.estimatePoses(elements.video, {
-                    flipHorizontal: true // Important to flip for mirror-like behavior
-                });
-                
-                // Process pose results if available
-                if (poseResults && poseResults.length > 0) {
-                    const pose = poseResults[0]; // Take the first detected person
-                    await processMediaPipePose(pose);
-                } else {
-                    // Fallback to simulation if no poses detected
-                    lastBodyPosition = simulateBodyPose();
-                    updateAvatarBody(lastBodyPosition);
-                }
-                
-                // Run MediaPipe Face Mesh detection
-                const faceResults = await faceMesh.estimateFaces(elements.video, {
-                    flipHorizontal: true // Important to flip for mirror-like behavior
-                });
-                
-                // Process face results if available
-                if (faceResults && faceResults.length > 0) {
-                    const face = faceResults[0]; // Take the first detected face
-                    await processMediaPipeFace(face);
-                } else {
-                    // Fallback to simulation if no faces detected
-                    lastFacePosition = simulateFaceDetection();
-                    updateAvatarFace(lastFacePosition);
-                }
-            } catch (detectionError) {
-                console.warn('MediaPipe detection error:', detectionError);
-                // Fallback to simulation
-                lastBodyPosition = simulateBodyPose();
-                lastFacePosition = simulateFaceDetection();
-                updateAvatarBody(lastBodyPosition);
-                updateAvatarFace(lastFacePosition);
+        const result = await activeProvider.estimate(elements.video, options);
+        
+        // The avatar keeps its pose until the provider has something new
+        if (!result) return false;
+        
+        // Pair faces with bodies and give everyone a stable ID and avatar
+        const detections = personTracker.update(result.bodies || [], result.faces || [], result.hands || []);
+        syncTrackedPeople();
+        
+        trackedPeople.forEach(person => {
+            person.bodyDetected = false;
+            person.faceDetected = false;
+            person.measurements = {};
+            person.trackedBody = null;
+            person.handPose = null;
+        });
+        
+        // Work out each avatar's state before posing it, so recovery can blend in
+        updateTrackingStates(detections, now);
+        
+        // Calibration belongs to whoever sits in front of the camera, the primary person
+        const primaryId = personTracker.getTrackIds()[0];
+        
+        for (const detection of detections) {
+            const person = trackedPeople.get(detection.id);
+            const avatar = getAvatarForPerson(detection.id);
+            const baseline = detection.id === primaryId ? calibration : null;
+            person.bodyDetected = !!detection.body;
+            person.faceDetected = !!detection.face;
+            
+            if (activeProvider.prefiltered) {
+                applyPrefilteredResult(detection, person, avatar);
+                continue;
+            }
+            
+            if (detection.body) {
+                await processMediaPipePose(detection.body, person, avatar, baseline);
+            }
+            
+            if (detection.face) {
+                await processMediaPipeFace(detection.face, person, avatar, baseline);
             }
-        } else {
-            // Use simulation if MediaPipe isn't available
-            lastBodyPosition = simulateBodyPose();
-            lastFacePosition = simulateFaceDetection();
-            updateAvatarBody(lastBodyPosition);
-            updateAvatarFace(lastFacePosition);
+            
+            await processMediaPipeHands(detection.hands, person, avatar);
         }
     } catch (error) {
-        console.error('Error in tracking processing:', error);
-        // Fallback to simulation
-        lastBodyPosition = simulateBodyPose();
-        lastFacePosition = simulateFaceDetection();
-        updateAvatarBody(lastBodyPosition);
-        updateAvatarFace(lastFacePosition);
+        console.warn(`Tracker provider "${activeProvider.name}" failed to estimate:`, error);
+        trackedPeople.forEach(person => {
+            person.bodyDetected = false;
+            person.faceDetected = false;
+        });
+        updateTrackingStates([], now);
     }
+    
+    // Whatever wasn't seen follows the degraded or lost behaviour
+    applyLossBehaviors();
+    updatePrimaryPerson();
+    return true;
 }
 
-// Process MediaPipe Pose results and map to our format
-async function processMediaPipePose(pose) {
-    try {
-        // MediaPipe BlazePose provides 33 keypoints
-        // We need to map these correctly to match our avatar's expectations
+// Advance every avatar's tracking state with what was detected for it this frame
+function updateTrackingStates(detections, now) {
+    const settings = appState.config.trackingLoss;
+    const avatars = getAvatars();
+    
+    avatarStates.forEach((avatarState, avatar) => {
+        if (!avatars.includes(avatar)) avatarStates.delete(avatar);
+    });
+    
+    avatars.forEach((avatar, index) => {
+        let avatarState = avatarStates.get(avatar);
+        if (!avatarState) {
+            avatarState = createAvatarState();
+            avatarStates.set(avatar, avatarState);
+            announceTrackingState(avatar, index === 0, avatarState.machine.getState(), null);
+        }
         
-        // Create keypoints array with the same structure as expected by updateAvatarBody
-        const keypoints = Array(17).fill(null);
+        avatarState.deltaTime = avatarState.lastTime === null ? 0 : now - avatarState.lastTime;
+        avatarState.lastTime = now;
+        avatarState.bodyShown = false;
+        avatarState.faceShown = false;
         
-        if (pose.keypoints) {
-            // MediaPipe provides an array of keypoints with name properties
-            // We need to map them correctly to our expected indices
-            
-            // Define a mapping between MediaPipe landmark names and our indices
-            const keypointMapping = {
-                'nose': 0,
-                'left_eye': 1, 'right_eye': 2,
-                'left_ear': 3, 'right_ear': 4,
-                'left_shoulder': 5, 'right_shoulder': 6,
-                'left_elbow': 7, 'right_elbow': 8,
-                'left_wrist': 9, 'right_wrist': 10,
-                'left_hip': 11, 'right_hip': 12,
-                'left_knee': 13, 'right_knee': 14,
-                'left_ankle': 15, 'right_ankle': 16
-            };
-            
-            // Iterate through all pose keypoints
-            pose.keypoints.forEach(keypoint => {
-                if (keypoint.name && keypointMapping.hasOwnProperty(keypoint.name)) {
-                    const index = keypointMapping[keypoint.name];
-                    keypoints[index] = { 
-                        x: keypoint.x, 
-                        y: keypoint.y, 
-                        score: keypoint.score || 0.5
-                    };
-                }
-            });
-            
-            // Handle if indices are used instead of names in some MediaPipe versions
-            if (!keypoints[0] && pose.keypoints.length >= 33) {
-                // Fallback mapping based on BlazePose's 33 keypoints
-                // These indices might need adjustment based on actual MediaPipe implementation
-                const indexMapping = {
-                    0: 0,  // nose
-                    2: 1, 4: 2,  // eyes
-                    7: 3, 8: 4,  // ears
-                    11: 5, 12: 6, // shoulders
-                    13: 7, 14: 8, // elbows
-                    15: 9, 16: 10, // wrists
-                    23: 11, 24: 12, // hips
-                    25: 13, 26: 14, // knees
-                    27: 15, 28: 16  // ankles
-                };
-                
-                // Apply the index-based mapping
-                Object.entries(indexMapping).forEach(([mpIndex, ourIndex]) => {
-                    const mpIdx = parseInt(mpIndex);
-                    if (pose.keypoints[mpIdx]) {
-                        keypoints[ourIndex] = {
-                            x: pose.keypoints[mpIdx].x,
-                            y: pose.keypoints[mpIdx].y,
-                            score: pose.keypoints[mpIdx].score || 0.5
-                        };
-                    }
-                });
+        const detection = avatar.personId === null ? null : detections.find(candidate => candidate.id === avatar.personId);
+        const previous = avatarState.machine.update(measureDetectionQuality(detection), now, settings);
+        if (previous) {
+            announceTrackingState(avatar, index === 0, avatarState.machine.getState(), previous);
+        }
+        avatarState.recovery = avatarState.machine.getRecoveryProgress(now, settings);
+    });
+}
+
+// Tell listeners that an avatar's tracking state changed
+function announceTrackingState(avatar, primary, state, previous) {
+    trackingEvents.dispatchEvent(new CustomEvent('statechange', {
+        detail: { personId: avatar.personId, state, previous, primary }
+    }));
+}
+
+// Tracking state of the primary avatar
+export function getTrackingState() {
+    const avatarState = avatarStates.get(getAvatars()[0]);
+    return avatarState ? avatarState.machine.getState() : 'lost';
+}
+
+// Show a tracked body on an avatar, blending in from the pose on show while recovering
+function presentBody(avatar, pose) {
+    const avatarState = avatarStates.get(avatar);
+    if (!avatarState) return;
+    
+    avatarState.body = avatarState.recovery < 1 && avatarState.body ?
+        pose.map((point, i) => blendPoint(avatarState.body[i], point, avatarState.recovery)) : pose;
+    avatarState.bodyShown = true;
+    avatarState.bodyMotion.push(avatarState.body, avatarState.lastTime);
+}
+
+// Show a tracked head pose and expressions on an avatar, blending in while recovering
+function presentFace(avatar, facePose, expressions) {
+    const avatarState = avatarStates.get(avatar);
+    if (!avatarState) return;
+    
+    avatarState.face = avatarState.recovery < 1 && avatarState.face ?
+        blendFacePose(avatarState.face, facePose, avatarState.recovery) : facePose;
+    avatarState.faceShown = true;
+    avatarState.faceMotion.push(avatarState.face, avatarState.lastTime);
+    avatarState.expressionMotion.push(expressions, avatarState.lastTime);
+}
+
+// Move the parts of each avatar that weren't seen towards their loss behaviour's pose
+function applyLossBehaviors() {
+    const settings = appState.config.trackingLoss;
+    const centerX = elements.canvas.width / 2;
+    const centerY = elements.canvas.height / 2;
+    
+    avatarStates.forEach((avatarState, avatar) => {
+        const behavior = avatarState.machine.getState() === 'lost' ? settings.lost : settings.degraded;
+        const amount = getEaseAmount(avatarState.deltaTime, settings.easeTime);
+        
+        if (!avatarState.bodyShown) {
+            const target = getFallbackBodyPose(behavior, centerX, centerY, idlePose);
+            if (target) {
+                avatarState.body = target.map((point, i) => blendPoint(avatarState.body && avatarState.body[i], point, amount));
+                avatarState.bodyMotion.push(avatarState.body, avatarState.lastTime);
             }
         }
         
-        // Fill in any missing keypoints with simulation for smoother animation
-        const simulatedPose = simulateBodyPose();
-        for (let i = 0; i < keypoints.length; i++) {
-            if (!keypoints[i] && simulatedPose[i]) {
-                keypoints[i] = simulatedPose[i];
+        // Faces keep blinking and talking idly whatever the behaviour
+        if (!avatarState.faceShown) {
+            const target = getFallbackFacePose(behavior, idlePose);
+            if (target) {
+                avatarState.face = blendFacePose(avatarState.face, target, amount);
             }
+            avatarState.faceMotion.push(avatarState.face || getFallbackFacePose('rest'), avatarState.lastTime);
+            avatarState.expressionMotion.push(null, avatarState.lastTime);
+        }
+    });
+}
+
+// Pose every avatar for a display frame, in between (and a little ahead of) its tracking samples
+function renderAvatars(time) {
+    const settings = appState.config.motionInterpolation;
+    // Rendering a file offline, every frame has its own sample, so there is nothing to interpolate
+    const sample = (motion, horizon, extrapolate) => settings.enabled && frameTime === null ?
+        motion.sample(time, horizon, extrapolate) : motion.getLatest();
+    
+    const primaryAvatar = getAvatars()[0];
+    
+    avatarStates.forEach((avatarState, avatar) => {
+        const body = sample(avatarState.bodyMotion, settings.predictionHorizon, true);
+        if (body) {
+            updateAvatarBody(body, avatar);
+        }
+        
+        // Predicting expressions would overshoot blinks, so they are only interpolated; null means idle
+        const face = sample(avatarState.faceMotion, settings.predictionHorizon, true);
+        if (face) {
+            const expressions = sample(avatarState.expressionMotion, 0, false);
+            updateAvatarFace(face, avatar, avatar === primaryAvatar ? applyLipSync(expressions, time) : expressions);
+        }
+    });
+    
+    updateAvatarEmotes(time);
+}
+
+// Keep person state and avatars in line with the people the tracker knows about
+function syncTrackedPeople() {
+    const ids = personTracker.getTrackIds();
+    
+    trackedPeople.forEach((person, id) => {
+        if (!ids.includes(id)) trackedPeople.delete(id);
+    });
+    ids.forEach(id => {
+        if (!trackedPeople.has(id)) trackedPeople.set(id, createPersonState(id));
+    });
+    
+    syncAvatarInstances(ids);
+}
+
+// Mirror the primary person into the single-person state used by recording and the display
+function updatePrimaryPerson() {
+    const primary = trackedPeople.get(personTracker.getTrackIds()[0]);
+    
+    bodyDetected = !!primary && primary.bodyDetected;
+    faceDetected = !!primary && primary.faceDetected;
+    
+    if (primary && calibrationSampler) {
+        calibrationSampler.addSample(primary.measurements);
+    }
+    
+    recognizeGestures(primary);
+    
+    if (primary) {
+        lastBodyPosition = primary.lastBodyPosition;
+        lastFacePosition = primary.lastFacePosition;
+        lastExpressions = primary.expressions;
+        if (primary.mouthOpenness !== undefined) {
+            appState.mouthOpenness = primary.mouthOpenness;
+        }
+    }
+}
+
+// Mix the microphone's mouth shape into measured expressions by the user's weighting;
+// when the camera doesn't measure the mouth, the microphone drives it alone
+function applyLipSync(expressions, time) {
+    // The microphone has nothing to do with a video file being rendered
+    if (!lipSync || frameTime !== null) return expressions;
+    
+    const audio = lipSync.sample(time);
+    const visual = expressions && expressions.mouthOpen !== undefined ? expressions.mouthOpen : null;
+    const weight = visual === null ? 1 : appState.config.lipSync.weight;
+    
+    return {
+        ...expressions,
+        mouthOpen: (visual || 0) * (1 - weight) + audio.open * weight,
+        mouthWidth: audio.width * weight
+    };
+}
+
+// Look for gestures by the primary person and announce them
+function recognizeGestures(primary) {
+    const settings = appState.config.gestures;
+    const personId = primary ? primary.id : null;
+    
+    // Gestures in progress don't carry over to someone else
+    if (personId !== gesturePersonId) {
+        gestureRecognizer.reset();
+        gesturePersonId = personId;
+    }
+    if (!primary || !settings.enabled) return;
+    
+    const fired = gestureRecognizer.update(primary.trackedBody, primary.handPose, getTrackingTime(), settings);
+    fired.forEach(gesture => {
+        trackingEvents.dispatchEvent(new CustomEvent('gesture', { detail: { gesture, personId } }));
+    });
+}
+
+// Apply a result that is already normalized and smoothed (e.g. a replayed take)
+function applyPrefilteredResult(detection, person, avatar) {
+    if (detection.body) {
+        person.lastBodyPosition = detection.body;
+        person.trackedBody = detection.body;
+        presentBody(avatar, person.lastBodyPosition);
+    }
+    
+    if (detection.face && detection.face.pose) {
+        person.lastFacePosition = detection.face.pose;
+        if (detection.face.mouthOpenness !== undefined) {
+            person.mouthOpenness = detection.face.mouthOpenness;
         }
+        person.expressions = getFaceExpressions(detection.face.expressions, person.mouthOpenness);
+        presentFace(avatar, person.lastFacePosition, person.expressions);
+    }
+}
+
+// Normalize, smooth and apply a 17 keypoint body pose to a person's avatar
+async function processMediaPipePose(keypoints, person, avatar, baseline = null) {
+    try {
+        const now = getTrackingTime();
+        const centerX = elements.canvas.width / 2;
+        const centerY = elements.canvas.height / 2;
         
         // Enhanced normalization to better match avatar scale and proportions
         // This is crucial for making the avatar movements match the body tracking
-        if (keypoints[5] && keypoints[6]) {  // If shoulders are detected
-            const centerX = elements.canvas.width / 2;
-            const centerY = elements.canvas.height / 2;
+        if (isConfident(keypoints[5]) && isConfident(keypoints[6])) {  // If shoulders are detected
+            // Stand the avatar where the person is in the frame (used when several people are tracked)
+            const midShoulderX = (keypoints[5].x + keypoints[6].x) / 2;
+            const midShoulderY = (keypoints[5].y + keypoints[6].y) / 2;
+            setAvatarAnchor(avatar, person.filterBanks.body.filter('anchor', midShoulderX, now));
             
             // Calculate shoulder width to scale movements proportionally
             const shoulderWidth = Math.abs(keypoints[6].x - keypoints[5].x);
-            const scaleFactor = 170 / shoulderWidth; // 170 is the avatar's approximate shoulder width
-            
-            // Apply better scaling to the keypoints
-            keypoints.forEach(point => {
-                if (point) {
-                    // Center the coordinates relative to the midpoint between shoulders
-                    const midShoulderX = (keypoints[5].x + keypoints[6].x) / 2;
-                    const midShoulderY = (keypoints[5].y + keypoints[6].y) / 2;
-                    
-                    // Apply scaled offsets
-                    point.x = ((point.x - midShoulderX) * scaleFactor) + centerX;
-                    point.y = ((point.y - midShoulderY) * scaleFactor) + centerY;
-                }
-            });
+            person.measurements.shoulderSpan = shoulderWidth;
+            const scaleFactor = AVATAR_SHOULDER_WIDTH / getReferenceShoulderWidth(shoulderWidth, person, baseline);
+            person.bodyFrame = { midShoulderX, midShoulderY, scaleFactor };
         }
         
-        // Apply smoothing with improved sensitivity for natural movement
-        const adaptiveSmoothing = Math.min(0.9, appState.config.smoothingLevel * 1.2);
-        const smoothedPose = applySmoothing(keypoints, lastBodyPosition, adaptiveSmoothing);
-        lastBodyPosition = smoothedPose;
+        // Without the shoulders this frame, place the other joints relative to where they last were
+        if (!person.bodyFrame) return;
+        const { midShoulderX, midShoulderY, scaleFactor } = person.bodyFrame;
+        
+        // Center the coordinates on the shoulders and apply scaled offsets
+        const normalized = keypoints.map(point => point ? {
+            x: ((point.x - midShoulderX) * scaleFactor) + centerX,
+            y: ((point.y - midShoulderY) * scaleFactor) + centerY,
+            score: point.score
+        } : null);
+        
+        // Joints that weren't seen with confidence follow the degraded behaviour one by one
+        const resolved = resolveMissingJoints(normalized, avatar, centerX, centerY);
+        
+        // Filter each keypoint coordinate with the body channel's filter
+        const smoothedPose = resolved.map((point, i) => {
+            if (!point) return null;
+            
+            return {
+                x: person.filterBanks.body.filter(`${i}.x`, point.x, now),
+                y: person.filterBanks.body.filter(`${i}.y`, point.y, now),
+                score: point.score
+            };
+        });
+        person.lastBodyPosition = smoothedPose;
+        person.trackedBody = smoothedPose.map((point, i) => isConfident(normalized[i]) ? point : null);
         
         // Update avatar body based on detected pose
-        updateAvatarBody(smoothedPose);
+        presentBody(avatar, smoothedPose);
         
     } catch (error) {
-        console.error('Error processing MediaPipe pose:', error);
-        // Fallback to simulation with gradual transition
-        const bodyPose = simulateBodyPose();
-        // Blend with last position for smoother fallback
-        if (lastBodyPosition && lastBodyPosition.length > 0) {
-            for (let i = 0; i < bodyPose.length; i++) {
-                if (bodyPose[i] && lastBodyPosition[i]) {
-                    bodyPose[i].x = bodyPose[i].x * 0.3 + lastBodyPosition[i].x * 0.7;
-                    bodyPose[i].y = bodyPose[i].y * 0.3 + lastBodyPosition[i].y * 0.7;
-                }
-            }
-        }
-        lastBodyPosition = bodyPose;
-        updateAvatarBody(bodyPose);
+        console.error('Error processing body pose:', error);
     }
 }
 
-async function processMediaPipeFace(face) {
+// Fill in low-confidence joints by holding, resting or idling them, from what the avatar last showed
+function resolveMissingJoints(keypoints, avatar, centerX, centerY) {
+    const avatarState = avatarStates.get(avatar);
+    const settings = appState.config.trackingLoss;
+    const target = getFallbackBodyPose(settings.degraded, centerX, centerY, idlePose);
+    const amount = getEaseAmount(avatarState ? avatarState.deltaTime : 0, settings.easeTime);
+    
+    return keypoints.map((point, i) => {
+        if (isConfident(point)) return point;
+        
+        const shown = avatarState && avatarState.body && avatarState.body[i];
+        if (target) return blendPoint(shown, target[i], amount);
+        return shown ? { ...shown, score: Math.max(shown.score || 0, FALLBACK_JOINT_SCORE) } : point;
+    });
+}
+
+// Shoulder width that maps to the avatar's; with a baseline, shrugs and turns show instead of being scaled away
+function getReferenceShoulderWidth(shoulderWidth, person, baseline) {
+    if (!baseline || !baseline.shoulderSpan) return shoulderWidth;
+    
+    // Follow the person's distance from the camera, which the face fit measures independently of the shoulders
+    const distanceRatio = person.faceDistance ? baseline.faceDistance / person.faceDistance : 1;
+    return baseline.shoulderSpan * distanceRatio;
+}
+
+// Work out the head pose and mouth openness of a face and apply them to a person's avatar
+async function processMediaPipeFace(face, person, avatar, baseline = null) {
     try {
+        let mouthOpenness;
+        let expressions = null;
+        
         // Initialize face data structure
         let faceData = {
             x: 0,
@@ -357,192 +800,146 @@ async function processMediaPipeFace(face) {
         };
         
         if (face.keypoints) {
-            // MediaPipe Face Mesh has 468 landmarks
-            // We need specific points for accurate face tracking
-            
-            // First, identify key facial landmarks by name or index
-            // The most reliable method is to use the standard indices from MediaPipe
+            // MediaPipe Face Mesh has 468 landmarks, plus 10 iris landmarks with refineLandmarks
             const keypoints = face.keypoints;
             
-            // Map key face points (MediaPipe Face Mesh standard indices)
-            const noseTip = findKeypoint(keypoints, 'noseTip', 4);
-            const foreHead = findKeypoint(keypoints, 'foreheadCenter', 151);
-            const leftEye = findKeypoint(keypoints, 'leftEye', 159);
-            const rightEye = findKeypoint(keypoints, 'rightEye', 386);
-            const leftCheek = findKeypoint(keypoints, 'leftCheek', 187);
-            const rightCheek = findKeypoint(keypoints, 'rightCheek', 411);
-            const leftMouth = findKeypoint(keypoints, 'leftMouth', 61);
-            const rightMouth = findKeypoint(keypoints, 'rightMouth', 291);
-            const topMouth = findKeypoint(keypoints, 'topMouth', 0);
-            const bottomMouth = findKeypoint(keypoints, 'bottomMouth', 17);
-            
             // Get video dimensions
             const videoWidth = elements.video.videoWidth || elements.video.width || elements.canvas.width;
             const videoHeight = elements.video.videoHeight || elements.video.height || elements.canvas.height;
             const centerX = videoWidth / 2;
             const centerY = videoHeight / 2;
             
-            // Calculate face center for more stable positioning
-            const faceCenterX = noseTip ? noseTip.x : (leftEye && rightEye ? (leftEye.x + rightEye.x) / 2 : centerX);
-            const faceCenterY = noseTip ? noseTip.y : (leftEye && rightEye ? (leftEye.y + rightEye.y) / 2 : centerY);
-            
-            // Improved calculation of normalized position
-            // Use a proportional scale factor for more natural movement
-            const faceMovementScale = 2.5; // Amplify face movement for more visible animation
-            faceData.x = ((faceCenterX - centerX) / centerX) * 20 * faceMovementScale;
-            faceData.y = ((faceCenterY - centerY) / centerY) * 15 * faceMovementScale;
-            
-            // Better depth calculation using eye distance for scale
-            if (leftEye && rightEye) {
-                const eyeDistance = Math.sqrt(
-                    Math.pow(rightEye.x - leftEye.x, 2) + 
-                    Math.pow(rightEye.y - leftEye.y, 2)
-                );
-                const normalizedEyeDistance = eyeDistance / videoWidth;
-                // Calibrated conversion from eye distance to depth
-                faceData.z = (normalizedEyeDistance - 0.09) * 3;
-            }
-            
-            // Improved rotation calculations
-            if (leftEye && rightEye) {
-                // Roll (tilting head side to side) - angle between eyes
-                const eyeDeltaX = rightEye.x - leftEye.x;
-                const eyeDeltaY = rightEye.y - leftEye.y;
-                faceData.rz = Math.atan2(eyeDeltaY, eyeDeltaX) * (180 / Math.PI);
+            // Fit the 3D face model to the mesh for rotation and distance
+            const headPose = person.headPoseEstimator.estimate(keypoints, videoWidth, videoHeight);
+            if (headPose) {
+                // Position follows where the nose sits in the frame
+                const faceMovementScale = 2.5; // Amplify face movement for more visible animation
+                faceData.x = ((headPose.center.x - centerX) / centerX) * 20 * faceMovementScale;
+                faceData.y = ((headPose.center.y - centerY) / centerY) * 15 * faceMovementScale;
+                faceData.rx = headPose.rx;
+                faceData.ry = headPose.ry;
+                faceData.rz = headPose.rz;
                 
-                // Yaw (turning left/right) - based on eye width compared to normal
-                const standardEyeDistance = videoWidth * 0.12; // Expected distance when facing forward
-                const currentEyeDistance = Math.abs(eyeDeltaX);
-                const eyeDistanceRatio = currentEyeDistance / standardEyeDistance;
-                // Calculate yaw angle with more natural limits
-                faceData.ry = (1 - eyeDistanceRatio) * 45 * Math.sign(centerX - faceCenterX);
+                person.faceDistance = headPose.translation.z;
+                person.measurements.faceDistance = headPose.translation.z;
+                person.measurements.headPose = { ...faceData };
                 
-                // Pitch (nodding up/down) - using nose and forehead positions
-                if (noseTip && foreHead) {
-                    const noseToForeheadVector = {
-                        x: foreHead.x - noseTip.x,
-                        y: foreHead.y - noseTip.y
-                    };
-                    const verticalAngle = Math.atan2(noseToForeheadVector.y, noseToForeheadVector.x) * (180 / Math.PI);
-                    // Map to a reasonable pitch range
-                    faceData.rx = -verticalAngle * 1.5;
-                }
+                // Leaning in makes the head bigger, compared with the calibrated or a comfortable webcam distance
+                const neutralDistance = baseline ? baseline.faceDistance : NEUTRAL_FACE_DISTANCE;
+                faceData.z = (neutralDistance / headPose.translation.z - 1) * 0.3;
                 
-                // Alternative pitch calculation using mouth position
-                if (!foreHead && topMouth && bottomMouth) {
-                    const mouthHeight = Math.abs(topMouth.y - bottomMouth.y);
-                    const normalMouthHeight = videoHeight * 0.03;
-                    const mouthRatio = mouthHeight / normalMouthHeight;
-                    faceData.rx = (1 - mouthRatio) * 30;
+                // A calibrated neutral head is centred and upright
+                if (baseline) {
+                    faceData.x -= baseline.headOffset.x;
+                    faceData.y -= baseline.headOffset.y;
+                    faceData.rx = wrapAngle(faceData.rx - baseline.headRotation.rx);
+                    faceData.ry = wrapAngle(faceData.ry - baseline.headRotation.ry);
+                    faceData.rz = wrapAngle(faceData.rz - baseline.headRotation.rz);
                 }
+            } else {
+                // Keep the last pose rather than snapping to a frontal one
+                faceData = { ...person.lastFacePosition };
             }
             
-            // Add mouth tracking for talking animation
-            if (leftMouth && rightMouth && topMouth && bottomMouth) {
-                // Calculate mouth openness
-                const mouthWidth = Math.abs(rightMouth.x - leftMouth.x);
-                const mouthHeight = Math.abs(bottomMouth.y - topMouth.y);
-                const mouthRatio = mouthHeight / mouthWidth;
-                
-                // Store mouth openness in appState for avatar animation
-                appState.mouthOpenness = Math.min(1, Math.max(0, mouthRatio * 3));
+            // Measure eyes, brows and mouth, relative to the person's neutral face when calibrated
+            expressions = measureExpressions(keypoints);
+            person.measurements.expressions = expressions;
+            expressions = applyExpressionBaseline(expressions, baseline && baseline.expressions);
+            expressions = applyGazeRange(expressions, baseline && baseline.gazeRange);
+            if (expressions) {
+                mouthOpenness = expressions.mouthOpen;
             }
             
-            // Limit values to reasonable ranges with smoother transitions
+            // Keep the head on the avatar's shoulders; rotations come from the model fit and need no limits
             faceData.x = Math.max(-40, Math.min(40, faceData.x));
             faceData.y = Math.max(-40, Math.min(40, faceData.y));
             faceData.z = Math.max(-0.3, Math.min(0.3, faceData.z));
-            faceData.rx = Math.max(-30, Math.min(30, faceData.rx));
-            faceData.ry = Math.max(-40, Math.min(40, faceData.ry));
-            faceData.rz = Math.max(-20, Math.min(20, faceData.rz));
-        } else {
-            // Fallback to simulation
-            faceData = simulateFaceDetection();
+        } else if (face.pose) {
+            // Provider already supplies a head pose
+            faceData = { ...face.pose };
+            mouthOpenness = face.mouthOpenness;
+            expressions = face.expressions || null;
         }
         
-        // Apply smoothing with enhanced responsiveness based on movement magnitude
+        // Filter head position, head rotation and mouth with their own channel settings
+        const now = getTrackingTime();
         const smoothedFace = {
-            x: applyAdaptiveSmoothing(faceData.x, lastFacePosition.x, appState.config.smoothingLevel),
-            y: applyAdaptiveSmoothing(faceData.y, lastFacePosition.y, appState.config.smoothingLevel),
-            z: applyAdaptiveSmoothing(faceData.z, lastFacePosition.z, appState.config.smoothingLevel + 0.1), // Extra smoothing for depth
-            rx: applyAdaptiveSmoothing(faceData.rx, lastFacePosition.rx, appState.config.smoothingLevel),
-            ry: applyAdaptiveSmoothing(faceData.ry, lastFacePosition.ry, appState.config.smoothingLevel),
-            rz: applyAdaptiveSmoothing(faceData.rz, lastFacePosition.rz, appState.config.smoothingLevel)
+            x: person.filterBanks.headPosition.filter('x', faceData.x, now),
+            y: person.filterBanks.headPosition.filter('y', faceData.y, now),
+            z: person.filterBanks.headPosition.filter('z', faceData.z, now),
+            rx: person.filterBanks.headRotation.filter('rx', faceData.rx, now),
+            ry: person.filterBanks.headRotation.filter('ry', faceData.ry, now),
+            rz: person.filterBanks.headRotation.filter('rz', faceData.rz, now)
         };
         
-        lastFacePosition = smoothedFace;
+        // Store mouth openness with the person for avatar animation
+        if (mouthOpenness !== undefined) {
+            person.mouthOpenness = person.filterBanks.mouth.filter('openness', mouthOpenness, now);
+        }
+        
+        // Eyes, gaze and brows share one channel, the rest of the mouth the mouth channel
+        if (expressions) {
+            const smoothed = {};
+            Object.entries(expressions).forEach(([name, value]) => {
+                const bank = /Eye|Brow|Gaze/.test(name) ? person.filterBanks.eyes : person.filterBanks.mouth;
+                smoothed[name] = name === 'mouthOpen' ? person.mouthOpenness : bank.filter(name, value, now);
+            });
+            expressions = smoothed;
+        }
+        
+        person.lastFacePosition = smoothedFace;
+        person.expressions = getFaceExpressions(expressions, person.mouthOpenness);
         
         // Update avatar face based on detected landmarks
-        updateAvatarFace(smoothedFace);
+        presentFace(avatar, smoothedFace, person.expressions);
     } catch (error) {
-        console.error('Error processing MediaPipe face:', error);
-        // Fallback to simulation with transition blending
-        const faceData = simulateFaceDetection();
-        // Blend with last position for smoother fallback
-        if (lastFacePosition) {
-            faceData.x = faceData.x * 0.3 + lastFacePosition.x * 0.7;
-            faceData.y = faceData.y * 0.3 + lastFacePosition.y * 0.7;
-            faceData.z = faceData.z * 0.3 + lastFacePosition.z * 0.7;
-            faceData.rx = faceData.rx * 0.3 + lastFacePosition.rx * 0.7;
-            faceData.ry = faceData.ry * 0.3 + lastFacePosition.ry * 0.7;
-            faceData.rz = faceData.rz * 0.3 + lastFacePosition.rz * 0.7;
-        }
-        lastFacePosition = faceData;
-        updateAvatarFace(faceData);
-    }
-}
-
-// Helper function to find keypoint by name or index with fallback
-function findKeypoint(keypoints, name, fallbackIndex) {
-    // Try to find by name first (for newer MediaPipe versions)
-    const namedKeypoint = keypoints.find(kp => kp.name === name);
-    if (namedKeypoint) return namedKeypoint;
-    
-    // Fallback to index (for older MediaPipe versions)
-    return keypoints[fallbackIndex] || null;
-}
-
-// Improved adaptive smoothing based on movement speed
-function applyAdaptiveSmoothing(newValue, oldValue, baseSmoothingFactor) {
-    if (oldValue === undefined) return newValue;
-    
-    // Calculate movement magnitude
-    const movement = Math.abs(newValue - oldValue);
-    
-    // Adjust smoothing factor - less smoothing for faster movements
-    // This makes the avatar more responsive during quick movements
-    let adaptiveFactor = baseSmoothingFactor;
-    if (movement > 10) {
-        adaptiveFactor = Math.max(0.1, baseSmoothingFactor - 0.3);
-    } else if (movement > 5) {
-        adaptiveFactor = Math.max(0.2, baseSmoothingFactor - 0.15);
+        console.error('Error processing face:', error);
     }
-    
-    // Apply smoothing with the adaptive factor
-    return oldValue * adaptiveFactor + newValue * (1 - adaptiveFactor);
 }
 
-// Apply smoothing to movement
-function applySmoothing(newValue, oldValue, smoothingFactor) {
-    if (oldValue === undefined) return newValue;
-    
-    // If newValue is an array (like body keypoints)
-    if (Array.isArray(newValue)) {
-        if (!Array.isArray(oldValue) || oldValue.length === 0) return newValue;
+// Measure, smooth and apply both hands; hands that aren't seen are relaxed by the avatar
+async function processMediaPipeHands(hands, person, avatar) {
+    try {
+        const now = getTrackingTime();
+        const handPose = { left: null, right: null };
         
-        return newValue.map((point, i) => {
-            if (i >= oldValue.length || !oldValue[i]) return point;
+        ['left', 'right'].forEach(side => {
+            const measured = hands[side] ? measureHand(hands[side]) : null;
+            if (!measured) {
+                person.lastHandAngles[side] = null;
+                return;
+            }
             
-            return {
-                x: oldValue[i].x * smoothingFactor + point.x * (1 - smoothingFactor),
-                y: oldValue[i].y * smoothingFactor + point.y * (1 - smoothingFactor),
-                score: point ? point.score : (oldValue[i].score || 0.5)
-            };
+            const bank = person.filterBanks.hands;
+            
+            // Unwrap the hand angle around the last one so the filter never sees a 360 degree jump
+            const lastAngle = person.lastHandAngles[side];
+            const angle = lastAngle === null ? measured.angle : lastAngle + wrapAngle(measured.angle - lastAngle);
+            person.lastHandAngles[side] = bank.filter(`${side}.angle`, angle, now);
+            
+            // Length ratios are filtered as percentages so they share the angles' parameter ranges
+            const fingers = {};
+            Object.keys(FINGER_CHAINS).forEach(finger => {
+                fingers[finger] = measured.fingers[finger].map((segment, i) => ({
+                    angle: bank.filter(`${side}.${finger}${i}.angle`, segment.angle, now),
+                    length: bank.filter(`${side}.${finger}${i}.length`, segment.length * 100, now) / 100
+                }));
+            });
+            
+            handPose[side] = { angle: person.lastHandAngles[side], flipped: measured.flipped, fingers };
         });
+        
+        person.handPose = handPose;
+        updateAvatarHands(handPose, avatar);
+    } catch (error) {
+        console.error('Error processing hands:', error);
     }
-    
-    // Otherwise just smooth the single value
-    return oldValue * smoothingFactor + newValue * (1 - smoothingFactor);
+}
+
+// Expressions for the avatar; providers that only know mouth openness still drive the mouth
+function getFaceExpressions(expressions, mouthOpenness) {
+    if (expressions) return expressions;
+    return mouthOpenness !== undefined ? { mouthOpen: mouthOpenness } : null;
 }
 
 // Draw skeleton lines for debug view
@@ -589,101 +986,4 @@ export function drawSkeletonLines(ctx, keypoints) {
             }
         }
     });
-}
-
-// Simulation functions below - used as fallback if MediaPipe fails
-
-// Simulate body pose detection (fallback)
-function simulateBodyPose() {
-    // Enhanced simulation for more realistic body movement
-    const keypoints = [];
-    const canvas = elements.canvas;
-    
-    // Base positions (center of the frame)
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    
-    // Time-based offsets for natural movement
-    const time = Date.now() / 1000;
-    const breathingOffset = Math.sin(time / 2) * 5; // Breathing movement
-    const swayOffset = Math.sin(time / 3) * 10;     // Subtle swaying
-    
-    // Head keypoints
-    keypoints[0] = { x: centerX + swayOffset, y: centerY - 100 + breathingOffset, score: 0.9 };  // Nose
-    keypoints[1] = { x: centerX - 15 + swayOffset, y: centerY - 110 + breathingOffset, score: 0.9 }; // Left eye
-    keypoints[2] = { x: centerX + 15 + swayOffset, y: centerY - 110 + breathingOffset, score: 0.9 }; // Right eye
-    keypoints[3] = { x: centerX - 30 + swayOffset, y: centerY - 100 + breathingOffset, score: 0.8 }; // Left ear
-    keypoints[4] = { x: centerX + 30 + swayOffset, y: centerY - 100 + breathingOffset, score: 0.8 }; // Right ear
-    
-    // Shoulder keypoints with more pronounced movement
-    keypoints[5] = { x: centerX - 70 + swayOffset * 0.5, y: centerY - 50 + breathingOffset, score: 0.9 }; // Left shoulder
-    keypoints[6] = { x: centerX + 70 + swayOffset * 0.5, y: centerY - 50 + breathingOffset, score: 0.9 }; // Right shoulder
-    
-    // Arm keypoints with natural movement
-    const leftArmAngle = Math.sin(time / 1.5) * 20;
-    const rightArmAngle = Math.sin(time / 1.5 + Math.PI) * 20;
-    
-    // Left arm
-    keypoints[7] = { // Left elbow - moves with a slight delay from the shoulder
-        x: centerX - 85 + Math.sin(time / 1.5 - 0.2) * 15,
-        y: centerY + 20 + Math.cos(time / 2) * 5,
-        score: 0.8
-    };
-    
-    keypoints[9] = { // Left wrist - more movement at the end of the arm
-        x: centerX - 95 + Math.sin(time / 1.2) * 25,
-        y: centerY + 70 + Math.cos(time / 1.8) * 10,
-        score: 0.7
-    };
-    
-    // Right arm
-    keypoints[8] = { // Right elbow
-        x: centerX + 85 + Math.sin(time / 1.5 - 0.2) * 15,
-        y: centerY + 20 + Math.cos(time / 2) * 5,
-        score: 0.8
-    };
-    
-    keypoints[10] = { // Right wrist
-        x: centerX + 95 + Math.sin(time / 1.2) * 25,
-        y: centerY + 70 + Math.cos(time / 1.8) * 10,
-        score: 0.7
-    };
-    
-    // Lower body keypoints
-    keypoints[11] = { x: centerX - 40 + swayOffset * 0.2, y: centerY + 50, score: 0.8 }; // Left hip
-    keypoints[12] = { x: centerX + 40 + swayOffset * 0.2, y: centerY + 50, score: 0.8 }; // Right hip
-    keypoints[13] = { x: centerX - 45, y: centerY + 120, score: 0.7 }; // Left knee
-    keypoints[14] = { x: centerX + 45, y: centerY + 120, score: 0.7 }; // Right knee
-    keypoints[15] = { x: centerX - 50, y: centerY + 190, score: 0.6 }; // Left ankle
-    keypoints[16] = { x: centerX + 50, y: centerY + 190, score: 0.6 }; // Right ankle
-    
-    return keypoints;
-}
-
-// Simulate face detection (fallback)
-function simulateFaceDetection() {
-    const time = Date.now() / 1000;
-    
-    // Base movement for natural head motion
-    const baseMovement = {
-        x: Math.sin(time / 1.5) * 15,                         // Side-to-side movement
-        y: Math.cos(time / 2) * 10,                           // Up-down movement
-        z: (Math.sin(time / 3) * 0.1) + 0.1,                  // Forward-backward (scale)
-        rx: Math.sin(time / 2.5) * 10,                        // Nod (looking up and down)
-        ry: Math.sin(time / 2) * 15,                          // Turn (looking left and right)
-        rz: Math.sin(time / 4) * 5                            // Tilt (head tilt left and right)
-    };
-    
-    // Add occasional head movements for more realism
-    if (Math.sin(time / 10) > 0.9) {
-        // Quick glance to the side
-        baseMovement.ry += Math.sin(time * 5) * 20;
-    }
-    
-    if (Math.sin(time / 15) > 0.9) {
-        // Occasional nod
-        baseMovement.rx += Math.sin(time * 6) * 15;
-    }
-    
-    return baseMovement;
 }
\ No newline at end of file
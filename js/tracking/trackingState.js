@@ -0,0 +1,139 @@
+// Tracking State - Whether an avatar is tracked, and what it shows while it isn't
+//
+// Each avatar moves through four states:
+//
+//   tracking     the whole upper body and the face are seen with confidence
+//   degraded     something is seen, but some joints or the face are missing
+//   lost         nothing has been seen for a short while (lostDelay)
+//   recovering   detection has come back after being lost; the avatar blends from
+//                what it was showing to the tracked pose over recoveryTime
+//
+// While degraded, each missing joint (and a missing face) follows the degraded
+// behaviour; once lost, the whole avatar follows the lost behaviour. A behaviour
+// is one of LOSS_BEHAVIORS: hold the last pose, ease back to a rest pose, or ease
+// into the chosen motion clip (see motionClips.js). Times are in seconds.
+import { REST_BODY_OFFSETS, REST_FACE } from './motionClips.js';
+
+// Tracking states in the order they are usually passed through
+export const TRACKING_STATES = {
+    tracking: 'Tracking',
+    degraded: 'Partly tracked',
+    lost: 'Tracking lost',
+    recovering: 'Recovering'
+};
+
+// What missing parts of the avatar do
+export const LOSS_BEHAVIORS = {
+    hold: 'Hold last pose',
+    rest: 'Ease to rest pose',
+    idle: 'Play idle clip'
+};
+
+// Keypoints below this confidence count as missing
+export const MIN_JOINT_SCORE = 0.3;
+
+// Confidence given to joints filled in by a loss behaviour, so the avatar draws them
+export const FALLBACK_JOINT_SCORE = 0.5;
+
+// Joints the avatar's upper body is drawn from: nose, shoulders, elbows and wrists
+const CORE_JOINTS = [0, 5, 6, 7, 8, 9, 10];
+
+// Create a state machine for one avatar
+export function createTrackingStateMachine() {
+    let state = 'lost';
+    let lastSeen = null;
+    let recoveryStart = 0;
+    
+    return {
+        // Advance with this frame's detection quality ({ body: 0..1 of core joints seen, face });
+        // returns the previous state if the state changed, otherwise null
+        update(quality, now, settings) {
+            const previous = state;
+            const seen = quality.body > 0 || quality.face;
+            
+            if (seen) {
+                lastSeen = now;
+                if (state === 'lost') {
+                    state = 'recovering';
+                    recoveryStart = now;
+                } else if (state !== 'recovering' || now - recoveryStart >= settings.recoveryTime) {
+                    state = quality.body >= 1 && quality.face ? 'tracking' : 'degraded';
+                }
+            } else if (state !== 'lost' && (lastSeen === null || now - lastSeen >= settings.lostDelay)) {
+                state = 'lost';
+            }
+            
+            return state !== previous ? previous : null;
+        },
+        
+        // Current state name
+        getState() {
+            return state;
+        },
+        
+        // How far through recovery the avatar is, 0..1 (1 when not recovering)
+        getRecoveryProgress(now, settings) {
+            if (state !== 'recovering' || settings.recoveryTime <= 0) return 1;
+            return Math.min(1, (now - recoveryStart) / settings.recoveryTime);
+        }
+    };
+}
+
+// Rate how much of a detection was seen: the fraction of core joints with confidence, and whether there is a face
+export function measureDetectionQuality(detection) {
+    if (!detection) return { body: 0, face: false };
+    
+    const body = detection.body ?
+        CORE_JOINTS.filter(index => isConfident(detection.body[index])).length / CORE_JOINTS.length : 0;
+    return { body, face: !!detection.face };
+}
+
+// Whether a keypoint is present with enough confidence
+export function isConfident(point) {
+    return !!point && (point.score === undefined || point.score >= MIN_JOINT_SCORE);
+}
+
+// Body pose a loss behaviour moves towards, in avatar-normalized coordinates; null to hold.
+// The idle behaviour follows a motion clip's pose ({ body, face }, see motionClips.js).
+export function getFallbackBodyPose(behavior, centerX, centerY, idlePose = null) {
+    const offsets = behavior === 'rest' ? REST_BODY_OFFSETS : behavior === 'idle' && idlePose ? idlePose.body : null;
+    if (!offsets) return null;
+    
+    return offsets.map(([x, y]) => ({ x: centerX + x, y: centerY + y, score: FALLBACK_JOINT_SCORE }));
+}
+
+// Head pose a loss behaviour moves towards; null to hold
+export function getFallbackFacePose(behavior, idlePose = null) {
+    if (behavior === 'rest') return { ...REST_FACE };
+    if (behavior === 'idle' && idlePose) return { ...idlePose.face };
+    return null;
+}
+
+// Fraction of the way to move towards a target this frame, for an ease with the given time constant
+export function getEaseAmount(deltaTime, easeTime) {
+    return easeTime > 0 ? 1 - Math.exp(-Math.max(0, deltaTime) / easeTime) : 1;
+}
+
+// Move a keypoint towards a target; a missing keypoint jumps straight there
+export function blendPoint(from, to, amount) {
+    if (!to) return from;
+    if (!from) return { ...to };
+    
+    return {
+        ...to,
+        x: from.x + (to.x - from.x) * amount,
+        y: from.y + (to.y - from.y) * amount
+    };
+}
+
+// Move a head pose towards a target
+export function blendFacePose(from, to, amount) {
+    if (!from) return { ...to };
+    
+    const result = {};
+    Object.keys(REST_FACE).forEach(key => {
+        const start = from[key] || 0;
+        result[key] = start + ((to[key] || 0) - start) * amount;
+    });
+    return result;
+}
\ No newline at end of file
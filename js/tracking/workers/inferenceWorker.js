@@ -0,0 +1,104 @@
+// Inference Worker - Runs the body, face and hand detectors off the main thread
+//
+// A classic (non-module) worker, so the TensorFlow.js bundles can be loaded with
+// importScripts(). The MediaPipe solution runtime needs the page's DOM, so the
+// detectors here use the TensorFlow.js runtime, which renders to an OffscreenCanvas.
+//
+// Messages in:
+//   { type: 'init', maxPeople }   load the libraries and models
+//   { type: 'frame', id, bitmap } run every detector on an ImageBitmap (transferred)
+// Messages out:
+//   { type: 'ready', hands }      models loaded; hands is false without the hands model
+//   { type: 'result', id, poses, faces, hands }
+//   { type: 'error', id, message } id is null when init failed
+
+// Library bundles, the same versions the page loads
+const TFJS_SCRIPT = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.4.0/dist/tf.min.js';
+const POSE_SCRIPT = 'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.0.0/dist/pose-detection.min.js';
+const FACE_SCRIPT = 'https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection@1.0.2/dist/face-landmarks-detection.min.js';
+const HANDS_SCRIPT = 'https://cdn.jsdelivr.net/npm/@tensorflow-models/hand-pose-detection@2.0.1/dist/hand-pose-detection.min.js';
+
+// Detectors, created on init
+let maxPeople = 1;
+let poseDetector = null;
+let faceDetector = null;
+let handDetector = null;
+
+// Handle messages from the page
+self.onmessage = async (e) => {
+    const message = e.data;
+    
+    if (message.type === 'init') {
+        try {
+            await loadDetectors(message.maxPeople);
+            self.postMessage({ type: 'ready', hands: !!handDetector });
+        } catch (error) {
+            self.postMessage({ type: 'error', id: null, message: error.message });
+        }
+    } else if (message.type === 'frame') {
+        try {
+            self.postMessage({ type: 'result', id: message.id, ...await runDetectors(message.bitmap) });
+        } catch (error) {
+            self.postMessage({ type: 'error', id: message.id, message: error.message });
+        } finally {
+            message.bitmap.close();
+        }
+    }
+};
+
+// Load the libraries and create the detectors
+async function loadDetectors(requestedPeople) {
+    maxPeople = Math.max(1, requestedPeople || 1);
+    importScripts(TFJS_SCRIPT, POSE_SCRIPT, FACE_SCRIPT);
+    
+    // WebGL on an OffscreenCanvas where the browser allows it, otherwise the (slow) CPU backend
+    if (!await self.tf.setBackend('webgl')) {
+        await self.tf.setBackend('cpu');
+    }
+    await self.tf.ready();
+    
+    if (maxPeople > 1) {
+        poseDetector = await self.poseDetection.createDetector(
+            self.poseDetection.SupportedModels.MoveNet,
+            { modelType: self.poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING, maxPoses: maxPeople }
+        );
+    } else {
+        poseDetector = await self.poseDetection.createDetector(
+            self.poseDetection.SupportedModels.BlazePose,
+            { runtime: 'tfjs', modelType: 'lite' }
+        );
+    }
+    
+    // Refined landmarks include the irises, which gaze is measured from
+    faceDetector = await self.faceLandmarksDetection.createDetector(
+        self.faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+        { runtime: 'tfjs', maxFaces: maxPeople, refineLandmarks: true }
+    );
+    
+    // Hands are optional, as on the main thread
+    try {
+        importScripts(HANDS_SCRIPT);
+        handDetector = await self.handPoseDetection.createDetector(
+            self.handPoseDetection.SupportedModels.MediaPipeHands,
+            { runtime: 'tfjs', modelType: 'lite', maxHands: maxPeople * 2 }
+        );
+    } catch (error) {
+        console.warn('Hand tracking not available in the inference worker:', error);
+        handDetector = null;
+    }
+}
+
+// Run all detectors on one frame at once and keep only what the page needs
+async function runDetectors(bitmap) {
+    const [poses, faces, hands] = await Promise.all([
+        poseDetector.estimatePoses(bitmap, { maxPoses: maxPeople, flipHorizontal: true }),
+        faceDetector.estimateFaces(bitmap, { flipHorizontal: true }),
+        handDetector ? handDetector.estimateHands(bitmap, { flipHorizontal: true }) : []
+    ]);
+    
+    return {
+        poses: (poses || []).map(pose => ({ keypoints: pose.keypoints })),
+        faces: (faces || []).map(face => ({ keypoints: face.keypoints })),
+        hands: (hands || []).map(hand => ({ keypoints: hand.keypoints, handedness: hand.handedness }))
+    };
+}
\ No newline at end of file
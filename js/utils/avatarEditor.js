@@ -0,0 +1,275 @@
+// Avatar Editor Module - Panel for designing an avatar, previewed live on the avatars
+//
+// The controls are built from the lists in avatarDesigner.js. Every change redraws the
+// avatars from the design being edited; closing the panel puts back the avatar in use.
+// Saving keeps the design as a preset, which is an avatar like any loaded one, and starts
+// using it. Presets are exported as avatar bundles with their design in them, so an
+// exported file can be imported here again or loaded with "Load Avatar".
+import { elements, appState } from '../main.js';
+import { setAvatarDefinition, showAvatarDefinition } from '../avatar/avatarRenderer.js';
+import {
+    getAvatarDefinitions, getAvatarDefinition, createAvatarDefinition, parseAvatarDefinition, saveAvatarDefinition,
+    deleteAvatarDefinition, DEFAULT_AVATAR
+} from '../avatar/avatarDefinitions.js';
+import {
+    createDesignBundle, normalizeDesign, PROPORTIONS, COLOR_PARTS, EYE_STYLES, MOUTH_STYLES, ACCESSORIES
+} from '../avatar/avatarDesigner.js';
+import { refreshAvatarList, confirmAvatarReplace } from './ui.js';
+import { downloadBlob } from './recording.js';
+
+// Step of the proportion sliders
+const PROPORTION_STEP = 0.05;
+
+// Set up the editor panel, its controls and presets
+export function setupAvatarEditor() {
+    createDesignControls();
+    
+    elements.editorButton.addEventListener('click', () => showEditorPanel(elements.avatarEditor.style.display !== 'block'));
+    elements.editorClose.addEventListener('click', () => showEditorPanel(false));
+    elements.editorPreset.addEventListener('change', (e) => openPreset(e.target.value));
+    [elements.editorProportions, elements.editorColors, elements.editorEyes, elements.editorMouth, elements.editorAccessories]
+        .forEach(control => control.addEventListener('input', previewDesign));
+    elements.editorSave.addEventListener('click', saveDesign);
+    elements.editorDelete.addEventListener('click', deleteSelectedPreset);
+    elements.editorExport.addEventListener('click', exportDesign);
+    elements.editorImport.addEventListener('click', () => elements.editorFileInput.click());
+    elements.editorFileInput.addEventListener('change', handleImportFileChange);
+}
+
+// Show or hide the editor; it opens on the avatar in use if that is a preset, and closing it
+// puts back the avatar in use in place of any unsaved design
+function showEditorPanel(visible) {
+    elements.avatarEditor.style.display = visible ? 'block' : 'none';
+    
+    if (visible) {
+        const current = getDesign(appState.config.avatar) ? appState.config.avatar : DEFAULT_AVATAR;
+        refreshPresetList(current);
+        openPreset(current);
+    } else {
+        setAvatarDefinition(appState.config.avatar);
+    }
+}
+
+// Build the sliders, colour pickers, style selectors and accessory checkboxes
+function createDesignControls() {
+    Object.entries(PROPORTIONS).forEach(([key, range]) => {
+        const input = createControlRow(elements.editorProportions, range.label, 'input');
+        input.type = 'range';
+        input.min = range.min;
+        input.max = range.max;
+        input.step = PROPORTION_STEP;
+        input.dataset.proportion = key;
+    });
+    
+    Object.entries(COLOR_PARTS).forEach(([key, label]) => {
+        const input = createControlRow(elements.editorColors, label, 'input');
+        input.type = 'color';
+        input.dataset.color = key;
+    });
+    
+    fillStyleSelect(elements.editorEyes, EYE_STYLES);
+    fillStyleSelect(elements.editorMouth, MOUTH_STYLES);
+    
+    Object.entries(ACCESSORIES).forEach(([key, accessory]) => {
+        const row = document.createElement('div');
+        row.className = 'editor-row';
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.accessory = key;
+        label.append(checkbox, ` ${accessory.label}`);
+        row.appendChild(label);
+        elements.editorAccessories.appendChild(row);
+    });
+}
+
+// Add a labelled row to a group of controls and return its control
+function createControlRow(container, text, tagName) {
+    const row = document.createElement('div');
+    row.className = 'editor-row';
+    const label = document.createElement('label');
+    label.textContent = text;
+    const control = document.createElement(tagName);
+    row.append(label, control);
+    container.appendChild(row);
+    return control;
+}
+
+// Fill a selector with the styles in a list
+function fillStyleSelect(select, styles) {
+    Object.entries(styles).forEach(([key, style]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = style.label;
+        select.appendChild(option);
+    });
+}
+
+// The design of an avatar, or null if it wasn't made in the editor
+function getDesign(name) {
+    const definition = getAvatarDefinition(name);
+    return definition && definition.source.design ? normalizeDesign(definition.source.design) : null;
+}
+
+// Fill the preset selector with every avatar made in the editor, the default design first
+function refreshPresetList(selected) {
+    elements.editorPreset.innerHTML = '';
+    
+    getAvatarDefinitions().filter(avatar => getDesign(avatar.name)).forEach(avatar => {
+        const option = document.createElement('option');
+        option.value = avatar.name;
+        option.textContent = avatar.label;
+        option.dataset.custom = avatar.custom ? 'true' : '';
+        elements.editorPreset.appendChild(option);
+    });
+    
+    elements.editorPreset.value = selected;
+}
+
+// Put a preset's design in the controls and preview it
+function openPreset(name) {
+    const design = getDesign(name);
+    if (!design) return;
+    
+    setDesignControls(design);
+    
+    // Saving a built-in design needs a new name
+    const option = elements.editorPreset.selectedOptions[0];
+    elements.editorName.value = option && option.dataset.custom ? name : '';
+    elements.editorDelete.disabled = !option || !option.dataset.custom;
+    previewDesign();
+}
+
+// Set every control from a design
+function setDesignControls(design) {
+    elements.editorProportions.querySelectorAll('input').forEach(input => {
+        input.value = design.proportions[input.dataset.proportion];
+    });
+    elements.editorColors.querySelectorAll('input').forEach(input => {
+        input.value = design.colors[input.dataset.color];
+    });
+    elements.editorEyes.value = design.eyes;
+    elements.editorMouth.value = design.mouth;
+    elements.editorAccessories.querySelectorAll('input').forEach(input => {
+        input.checked = design.accessories.includes(input.dataset.accessory);
+    });
+}
+
+// The design in the controls
+function readDesignControls() {
+    const design = { proportions: {}, colors: {}, eyes: elements.editorEyes.value, mouth: elements.editorMouth.value, accessories: [] };
+    
+    elements.editorProportions.querySelectorAll('input').forEach(input => {
+        design.proportions[input.dataset.proportion] = parseFloat(input.value);
+    });
+    elements.editorColors.querySelectorAll('input').forEach(input => {
+        design.colors[input.dataset.color] = input.value;
+    });
+    elements.editorAccessories.querySelectorAll('input').forEach(input => {
+        if (input.checked) design.accessories.push(input.dataset.accessory);
+    });
+    
+    return normalizeDesign(design);
+}
+
+// Draw the avatars from the design in the controls
+function previewDesign() {
+    try {
+        showAvatarDefinition(createAvatarDefinition(createDesignBundle(readDesignControls())));
+    } catch (error) {
+        console.error('Error previewing avatar design:', error);
+        elements.debugInfo.textContent = `Error previewing avatar design: ${error.message}`;
+    }
+}
+
+// Keep the design in the controls as a preset under the name given, and start using it
+function saveDesign() {
+    const name = elements.editorName.value.trim();
+    if (!name) {
+        elements.debugInfo.textContent = 'Error saving preset: Give the preset a name.';
+        elements.editorName.focus();
+        return;
+    }
+    
+    // The preset being edited is saved over without asking
+    if (elements.editorPreset.value !== name && !confirmAvatarReplace(name)) return;
+    
+    try {
+        savePreset(readDesignControls(), name);
+    } catch (error) {
+        console.error('Error saving preset:', error);
+        elements.debugInfo.textContent = `Error saving preset: ${error.message}`;
+        return;
+    }
+    
+    elements.debugInfo.textContent = `Status: Saved avatar preset "${name}"`;
+}
+
+// Keep a design as a preset, start using it and select it in both avatar lists
+function savePreset(design, name, label = name) {
+    saveAvatarDefinition(createAvatarDefinition(createDesignBundle(design, name, label)));
+    appState.config.avatar = name;
+    setAvatarDefinition(name);
+    refreshAvatarList();
+    refreshPresetList(name);
+    openPreset(name);
+}
+
+// Remove the selected preset after confirmation
+function deleteSelectedPreset() {
+    const name = elements.editorPreset.value;
+    if (!window.confirm(`Remove the avatar preset "${name}"?`)) return;
+    
+    try {
+        deleteAvatarDefinition(name);
+    } catch (error) {
+        console.error('Error removing preset:', error);
+        elements.debugInfo.textContent = `Error removing preset: ${error.message}`;
+        return;
+    }
+    
+    // The avatar list goes back to the default if the preset was in use
+    refreshAvatarList();
+    refreshPresetList(DEFAULT_AVATAR);
+    openPreset(DEFAULT_AVATAR);
+    elements.debugInfo.textContent = `Status: Removed avatar preset "${name}"`;
+}
+
+// Download the design in the controls as an avatar bundle
+function exportDesign() {
+    const name = elements.editorName.value.trim() || 'avatar-design';
+    
+    try {
+        const bundle = createDesignBundle(readDesignControls(), name, name);
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `${name}.json`);
+    } catch (error) {
+        console.error('Error exporting avatar design:', error);
+        elements.debugInfo.textContent = `Error exporting avatar design: ${error.message}`;
+    }
+}
+
+// Keep the design in an exported file as a preset and start using it
+async function handleImportFileChange(e) {
+    const file = e.target.files && e.target.files[0];
+    
+    // Allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+        const avatar = parseAvatarDefinition(await file.text(), file.name);
+        if (!avatar.source.design) {
+            throw new Error('The file has no avatar editor design in it; load it with "Load Avatar" instead.');
+        }
+        if (!confirmAvatarReplace(avatar.name)) return;
+        
+        // The preset is drawn again from its design rather than from the file's markup
+        savePreset(avatar.source.design, avatar.name, avatar.label);
+        elements.debugInfo.textContent = `Status: Imported avatar preset "${avatar.label}"`;
+    } catch (error) {
+        console.error('Error importing avatar design:', error);
+        elements.debugInfo.textContent = `Error importing avatar design: ${error.message}`;
+    }
+}
\ No newline at end of file
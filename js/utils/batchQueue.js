@@ -0,0 +1,276 @@
+// Batch Queue Module - Renders many video files one after another, each with its own settings
+//
+// Files dropped together (or onto the queue panel), or picked several at a time,
+// are queued here. Each item has its own background, avatar size and full-body
+// setting, taken from the "all items" row when it is added; the row can also be
+// applied to every waiting item at once. Running the queue renders the waiting
+// items in order with videoRender.js, each to its own download, and puts the
+// app's own settings back afterwards. Cancelling a render stops the queue; the
+// items after it stay queued.
+import { elements, appState } from '../main.js';
+import { renderVideoFile, getRenderProblem } from './videoRender.js';
+import { checkVideoFile } from './videoProcessing.js';
+
+// Display names for item states
+const ITEM_STATES = {
+    queued: 'Queued',
+    rendering: 'Rendering...',
+    done: 'Done',
+    cancelled: 'Cancelled',
+    failed: 'Failed'
+};
+
+// Local variables
+const queue = [];
+let nextItemId = 1;
+let queueRunning = false;
+
+// Set up the queue panel and its controls
+export function setupBatchQueue() {
+    elements.queueButton.addEventListener('click', () => showQueuePanel(elements.batchQueue.style.display !== 'block'));
+    elements.queueClose.addEventListener('click', () => showQueuePanel(false));
+    elements.queueAddFiles.addEventListener('click', () => elements.queueFileInput.click());
+    elements.queueFileInput.addEventListener('change', (e) => {
+        const files = e.target.files ? [...e.target.files] : [];
+        
+        // Allow picking the same files again
+        e.target.value = '';
+        enqueueVideoFiles(files);
+    });
+    elements.queueApplyAll.addEventListener('click', applySettingsToAll);
+    elements.queueClearFinished.addEventListener('click', clearFinishedItems);
+    elements.queueStart.addEventListener('click', runQueue);
+    
+    // New items start with the app's current settings
+    fillBackgroundSelect(elements.queueAllBackground);
+    setSettingsControls(elements.queueAllBackground, elements.queueAllScale, elements.queueAllFullBody, getCurrentSettings());
+    
+    renderQueueList();
+}
+
+// Add video files to the queue and show it; files that can't be processed are reported and skipped
+export function enqueueVideoFiles(files) {
+    const defaults = readSettingsControls(elements.queueAllBackground, elements.queueAllScale, elements.queueAllFullBody);
+    const rejected = [];
+    
+    files.forEach(file => {
+        const problem = checkVideoFile(file);
+        if (problem) {
+            rejected.push(`${file.name}: ${problem}`);
+            return;
+        }
+        
+        queue.push({ id: nextItemId++, file, state: 'queued', message: '', settings: { ...defaults } });
+    });
+    
+    if (rejected.length > 0) {
+        elements.debugInfo.textContent = `Error: Skipped ${rejected.join(' ')}`;
+    }
+    
+    renderQueueList();
+    showQueuePanel(true);
+}
+
+// Whether an element is inside the queue panel, so files dropped on it are queued
+export function isInQueuePanel(node) {
+    return elements.batchQueue.style.display === 'block' && elements.batchQueue.contains(node);
+}
+
+// Render every waiting item in order, then put the app's settings back
+async function runQueue() {
+    if (queueRunning) return;
+    
+    const problem = getRenderProblem();
+    if (problem) {
+        elements.debugInfo.textContent = `Error: ${problem}`;
+        return;
+    }
+    
+    queueRunning = true;
+    const savedSettings = getCurrentSettings();
+    renderQueueList();
+    
+    try {
+        let item;
+        while ((item = queue.find(candidate => candidate.state === 'queued'))) {
+            item.state = 'rendering';
+            item.message = '';
+            renderQueueList();
+            
+            applySettings(item.settings);
+            const result = await renderVideoFile(item.file);
+            item.state = result.outcome;
+            item.message = result.outcome === 'cancelled' ? '' : result.message;
+            renderQueueList();
+            
+            if (result.outcome === 'cancelled') {
+                elements.debugInfo.textContent = 'Status: Queue stopped';
+                break;
+            }
+        }
+    } finally {
+        applySettings(savedSettings);
+        queueRunning = false;
+        renderQueueList();
+    }
+    
+    const counts = countStates();
+    if (!counts.queued) {
+        elements.debugInfo.textContent = `Status: Queue finished (${counts.done || 0} done, ${counts.failed || 0} failed)`;
+    }
+}
+
+// Rebuild the list of queued items
+function renderQueueList() {
+    elements.queueItems.innerHTML = '';
+    
+    if (queue.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'queue-empty';
+        empty.textContent = 'Drop video files here or add them to render each one to its own file.';
+        elements.queueItems.appendChild(empty);
+    }
+    
+    queue.forEach(item => {
+        const row = document.createElement('div');
+        row.className = `queue-item queue-${item.state}`;
+        const editable = item.state === 'queued' && !queueRunning;
+        
+        const name = document.createElement('span');
+        name.className = 'queue-name';
+        name.textContent = item.file.name;
+        name.title = item.file.name;
+        row.appendChild(name);
+        
+        const status = document.createElement('span');
+        status.className = 'queue-status';
+        status.textContent = ITEM_STATES[item.state] + (item.message ? `: ${item.message}` : '');
+        row.appendChild(status);
+        
+        // Per-item settings, editable until the item is rendered
+        const background = document.createElement('select');
+        fillBackgroundSelect(background);
+        const scale = document.createElement('input');
+        scale.type = 'number';
+        scale.min = elements.avatarScale.min;
+        scale.max = elements.avatarScale.max;
+        scale.step = elements.avatarScale.step;
+        scale.title = 'Avatar size';
+        const fullBodyLabel = document.createElement('label');
+        fullBodyLabel.className = 'checkbox-label';
+        const fullBody = document.createElement('input');
+        fullBody.type = 'checkbox';
+        fullBodyLabel.append(fullBody, ' Full body');
+        
+        setSettingsControls(background, scale, fullBody, item.settings);
+        [background, scale, fullBody].forEach(control => {
+            control.disabled = !editable;
+            control.addEventListener('change', () => {
+                item.settings = readSettingsControls(background, scale, fullBody);
+            });
+        });
+        
+        const remove = document.createElement('button');
+        remove.textContent = 'Remove';
+        remove.disabled = item.state === 'rendering';
+        remove.addEventListener('click', () => {
+            queue.splice(queue.indexOf(item), 1);
+            renderQueueList();
+        });
+        
+        const controls = document.createElement('div');
+        controls.className = 'queue-settings';
+        controls.append(background, scale, fullBodyLabel, remove);
+        row.appendChild(controls);
+        
+        elements.queueItems.appendChild(row);
+    });
+    
+    const counts = countStates();
+    elements.queueStart.disabled = queueRunning || !counts.queued;
+    elements.queueStart.textContent = queueRunning ? 'Running...' : `Start Queue (${counts.queued || 0})`;
+    elements.queueApplyAll.disabled = queueRunning;
+    elements.queueClearFinished.disabled = queueRunning;
+}
+
+// Give every waiting item the settings of the "all items" row
+function applySettingsToAll() {
+    const settings = readSettingsControls(elements.queueAllBackground, elements.queueAllScale, elements.queueAllFullBody);
+    queue.forEach(item => {
+        if (item.state === 'queued') item.settings = { ...settings };
+    });
+    renderQueueList();
+}
+
+// Remove items that have been rendered, cancelled or failed
+function clearFinishedItems() {
+    for (let i = queue.length - 1; i >= 0; i--) {
+        if (queue[i].state !== 'queued') queue.splice(i, 1);
+    }
+    renderQueueList();
+}
+
+// How many items are in each state
+function countStates() {
+    return queue.reduce((counts, item) => {
+        counts[item.state] = (counts[item.state] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+// The app's current background and avatar settings
+function getCurrentSettings() {
+    return {
+        background: appState.config.backgroundType,
+        avatarScale: appState.config.avatarScale,
+        fullBody: appState.config.fullBody
+    };
+}
+
+// Apply background and avatar settings through the settings panel, so the panel shows them too
+function applySettings(settings) {
+    if (elements.bgSelect.value !== settings.background) {
+        elements.bgSelect.value = settings.background;
+        elements.bgSelect.dispatchEvent(new Event('change'));
+    }
+    elements.avatarScale.value = settings.avatarScale;
+    elements.avatarScale.dispatchEvent(new Event('input'));
+    elements.fullBody.checked = settings.fullBody;
+    elements.fullBody.dispatchEvent(new Event('change'));
+}
+
+// Offer the same backgrounds as the settings panel
+function fillBackgroundSelect(select) {
+    select.innerHTML = '';
+    [...elements.bgSelect.options].forEach(background => {
+        const option = document.createElement('option');
+        option.value = background.value;
+        option.textContent = background.textContent;
+        select.appendChild(option);
+    });
+}
+
+// Show settings in a background select, size input and full-body checkbox
+function setSettingsControls(background, scale, fullBody, settings) {
+    background.value = settings.background;
+    scale.value = settings.avatarScale;
+    fullBody.checked = settings.fullBody;
+}
+
+// Read settings back from a background select, size input and full-body checkbox
+function readSettingsControls(background, scale, fullBody) {
+    const min = parseFloat(elements.avatarScale.min);
+    const max = parseFloat(elements.avatarScale.max);
+    const size = parseFloat(scale.value);
+    
+    return {
+        background: background.value,
+        avatarScale: isNaN(size) ? appState.config.avatarScale : Math.min(max, Math.max(min, size)),
+        fullBody: fullBody.checked
+    };
+}
+
+// Show or hide the queue panel
+function showQueuePanel(visible) {
+    elements.batchQueue.style.display = visible ? 'block' : 'none';
+}
\ No newline at end of file
@@ -0,0 +1,277 @@
+// BVH Export Module - Converts tracked motion frames into a BVH skeleton animation
+//
+// Frames use the motion file layout ({ t, body, face }) with body keypoints in
+// the COCO-17 order produced by processMediaPipePose():
+// 0 nose, 1/2 eyes, 3/4 ears, 5/6 shoulders, 7/8 elbows, 9/10 wrists,
+// 11/12 hips, 13/14 knees, 15/16 ankles (left/right).
+//
+// Tracking is 2D, so limbs only rotate in the frontal plane (Z rotation). The
+// head additionally takes pitch, yaw and roll from the tracked face pose.
+
+// Body keypoints are normalized to a 170px shoulder span; adult shoulders are ~40cm
+const PIXELS_TO_CM = 40 / 170;
+
+// Keypoints below this confidence are treated as missing
+const MIN_SCORE = 0.3;
+
+// Bone lengths in normalized pixels, used when a bone is never seen in the take
+const DEFAULT_LENGTHS = {
+    spine: 100,
+    neck: 50,
+    shoulderHalfWidth: 85,
+    hipHalfWidth: 40,
+    upperArm: 80,
+    forearm: 80,
+    thigh: 70,
+    shin: 70
+};
+
+// Joints that rotate from one keypoint towards another.
+// rest is the bone direction in the T-pose, in BVH coordinates (Y up, character's left is +X).
+const LIMB_BONES = {
+    LeftArm: { from: 5, to: 7, rest: [1, 0], parent: 'Spine' },
+    LeftForeArm: { from: 7, to: 9, rest: [1, 0], parent: 'LeftArm' },
+    RightArm: { from: 6, to: 8, rest: [-1, 0], parent: 'Spine' },
+    RightForeArm: { from: 8, to: 10, rest: [-1, 0], parent: 'RightArm' },
+    LeftUpLeg: { from: 11, to: 13, rest: [0, -1], parent: 'Hips' },
+    LeftLeg: { from: 13, to: 15, rest: [0, -1], parent: 'LeftUpLeg' },
+    RightUpLeg: { from: 12, to: 14, rest: [0, -1], parent: 'Hips' },
+    RightLeg: { from: 14, to: 16, rest: [0, -1], parent: 'RightUpLeg' }
+};
+
+// Joint order in the MOTION section (must match the HIERARCHY order)
+const JOINT_ORDER = [
+    'Hips', 'Spine', 'Neck', 'Head',
+    'LeftArm', 'LeftForeArm', 'LeftHand',
+    'RightArm', 'RightForeArm', 'RightHand',
+    'LeftUpLeg', 'LeftLeg', 'LeftFoot',
+    'RightUpLeg', 'RightLeg', 'RightFoot'
+];
+
+// Build a BVH file from motion frames sampled at a fixed frame rate
+export function createBVH(frames, fps = 30) {
+    const validFrames = frames.filter(frame => frame.body);
+    if (validFrames.length === 0) {
+        throw new Error('No body frames to export.');
+    }
+    
+    const lengths = measureBoneLengths(validFrames);
+    const sampled = resampleFrames(frames, fps);
+    const origin = findOrigin(validFrames);
+    
+    const history = {};
+    const motionLines = sampled.map(frame => {
+        return computeFrameChannels(frame, lengths, origin, history)
+            .map(value => value.toFixed(4))
+            .join(' ');
+    });
+    
+    return [
+        'HIERARCHY',
+        createHierarchy(lengths),
+        'MOTION',
+        `Frames: ${motionLines.length}`,
+        `Frame Time: ${(1 / fps).toFixed(6)}`,
+        ...motionLines
+    ].join('\n') + '\n';
+}
+
+// Write the joint hierarchy with T-pose offsets in centimetres
+function createHierarchy(lengths) {
+    const l = {};
+    Object.keys(lengths).forEach(key => { l[key] = lengths[key] * PIXELS_TO_CM; });
+    
+    const rotation = 'CHANNELS 3 Zrotation Xrotation Yrotation';
+    const offset = (x, y, z = 0) => `OFFSET ${x.toFixed(4)} ${y.toFixed(4)} ${z.toFixed(4)}`;
+    
+    const arm = (side, sign) => [
+        `JOINT ${side}Arm`, '{', offset(sign * l.shoulderHalfWidth, l.spine), rotation,
+        `JOINT ${side}ForeArm`, '{', offset(sign * l.upperArm, 0), rotation,
+        `JOINT ${side}Hand`, '{', offset(sign * l.forearm, 0), rotation,
+        'End Site', '{', offset(sign * l.forearm * 0.25, 0), '}',
+        '}', '}', '}'
+    ];
+    
+    const leg = (side, sign) => [
+        `JOINT ${side}UpLeg`, '{', offset(sign * l.hipHalfWidth, 0), rotation,
+        `JOINT ${side}Leg`, '{', offset(0, -l.thigh), rotation,
+        `JOINT ${side}Foot`, '{', offset(0, -l.shin), rotation,
+        'End Site', '{', offset(0, 0, l.shin * 0.25), '}',
+        '}', '}', '}'
+    ];
+    
+    const lines = [
+        'ROOT Hips', '{', offset(0, 0), 'CHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation',
+        'JOINT Spine', '{', offset(0, 0), rotation,
+        'JOINT Neck', '{', offset(0, l.spine), rotation,
+        'JOINT Head', '{', offset(0, l.neck), rotation,
+        'End Site', '{', offset(0, l.neck), '}',
+        '}', '}',
+        ...arm('Left', 1),
+        ...arm('Right', -1),
+        '}',
+        ...leg('Left', 1),
+        ...leg('Right', -1),
+        '}'
+    ];
+    
+    return indentHierarchy(lines);
+}
+
+// Indent braces the way DCC tools write BVH
+function indentHierarchy(lines) {
+    let depth = 0;
+    return lines.map(line => {
+        if (line === '}') depth--;
+        const indented = '\t'.repeat(depth) + line;
+        if (line === '{') depth++;
+        return indented;
+    }).join('\n');
+}
+
+// Compute the channel values for one frame, in JOINT_ORDER
+function computeFrameChannels(frame, lengths, origin, history) {
+    const body = frame.body || [];
+    const point = index => toBVHSpace(body[index]);
+    
+    const leftHip = point(11);
+    const rightHip = point(12);
+    const leftShoulder = point(5);
+    const rightShoulder = point(6);
+    const hipMid = midpoint(leftHip, rightHip);
+    const shoulderMid = midpoint(leftShoulder, rightShoulder);
+    const headCenter = midpoint(point(3), point(4)) || point(0);
+    
+    const globalAngles = {};
+    const angle = (name, from, to, rest) => {
+        globalAngles[name] = from && to ? boneAngle(from, to, rest) : (history[name] || 0);
+        history[name] = globalAngles[name];
+    };
+    
+    // Root rotation follows the hip line, the spine follows hips -> shoulders
+    angle('Hips', rightHip, leftHip, [1, 0]);
+    angle('Spine', hipMid, shoulderMid, [0, 1]);
+    angle('Neck', shoulderMid, headCenter, [0, 1]);
+    Object.entries(LIMB_BONES).forEach(([name, bone]) => {
+        angle(name, point(bone.from), point(bone.to), bone.rest);
+    });
+    
+    const local = (name, parent) => globalAngles[name] - (parent ? globalAngles[parent] : 0);
+    
+    // Root position relative to where the take started, standing on the floor
+    let position = history.position || [0, lengths.thigh + lengths.shin, 0];
+    if (hipMid) {
+        position = [
+            (hipMid[0] - origin[0]) * PIXELS_TO_CM,
+            (hipMid[1] - origin[1] + lengths.thigh + lengths.shin) * PIXELS_TO_CM,
+            0
+        ];
+        history.position = position;
+    }
+    
+    // The head uses the tracked face pose; roll is global so remove the neck chain's rotation
+    const face = frame.face;
+    const head = face ? [face.rz - globalAngles.Neck, face.rx, face.ry] : [0, 0, 0];
+    
+    const channels = {
+        Hips: [...position, globalAngles.Hips, 0, 0],
+        Spine: [local('Spine', 'Hips'), 0, 0],
+        Neck: [local('Neck', 'Spine'), 0, 0],
+        Head: head,
+        LeftHand: [0, 0, 0],
+        RightHand: [0, 0, 0],
+        LeftFoot: [0, 0, 0],
+        RightFoot: [0, 0, 0]
+    };
+    Object.entries(LIMB_BONES).forEach(([name, bone]) => {
+        channels[name] = [local(name, bone.parent), 0, 0];
+    });
+    
+    return JOINT_ORDER.reduce((values, name) => values.concat(channels[name]), []);
+}
+
+// Convert a mirrored, y-down keypoint into BVH space (y up, character's left is +X)
+function toBVHSpace(point) {
+    if (!point || (point.score !== undefined && point.score < MIN_SCORE)) return null;
+    return [-point.x, -point.y];
+}
+
+// Midpoint of two points, or null if either is missing
+function midpoint(a, b) {
+    if (!a || !b) return null;
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+}
+
+// Angle in degrees between the rest direction and the bone from -> to
+function boneAngle(from, to, rest) {
+    const current = Math.atan2(to[1] - from[1], to[0] - from[0]);
+    const restAngle = Math.atan2(rest[1], rest[0]);
+    let degrees = (current - restAngle) * (180 / Math.PI);
+    
+    // Keep angles in -180..180 so curves don't jump by 360
+    while (degrees > 180) degrees -= 360;
+    while (degrees < -180) degrees += 360;
+    return degrees;
+}
+
+// Median bone lengths across the take
+function measureBoneLengths(frames) {
+    const samples = {};
+    Object.keys(DEFAULT_LENGTHS).forEach(key => { samples[key] = []; });
+    
+    const add = (key, a, b) => {
+        if (a && b) samples[key].push(Math.hypot(a[0] - b[0], a[1] - b[1]));
+    };
+    
+    frames.forEach(frame => {
+        const point = index => toBVHSpace(frame.body[index]);
+        const hipMid = midpoint(point(11), point(12));
+        const shoulderMid = midpoint(point(5), point(6));
+        const headCenter = midpoint(point(3), point(4)) || point(0);
+        
+        add('spine', hipMid, shoulderMid);
+        add('neck', shoulderMid, headCenter);
+        if (point(5) && point(6)) samples.shoulderHalfWidth.push(Math.abs(point(5)[0] - point(6)[0]) / 2);
+        if (point(11) && point(12)) samples.hipHalfWidth.push(Math.abs(point(11)[0] - point(12)[0]) / 2);
+        add('upperArm', point(5), point(7));
+        add('upperArm', point(6), point(8));
+        add('forearm', point(7), point(9));
+        add('forearm', point(8), point(10));
+        add('thigh', point(11), point(13));
+        add('thigh', point(12), point(14));
+        add('shin', point(13), point(15));
+        add('shin', point(14), point(16));
+    });
+    
+    const lengths = {};
+    Object.keys(DEFAULT_LENGTHS).forEach(key => {
+        const values = samples[key].sort((a, b) => a - b);
+        lengths[key] = values.length > 0 ? values[Math.floor(values.length / 2)] : DEFAULT_LENGTHS[key];
+    });
+    return lengths;
+}
+
+// First detected hip midpoint, used as the origin of root motion
+function findOrigin(frames) {
+    for (const frame of frames) {
+        const hipMid = midpoint(toBVHSpace(frame.body[11]), toBVHSpace(frame.body[12]));
+        if (hipMid) return hipMid;
+    }
+    return [0, 0];
+}
+
+// Sample frames at a fixed rate, holding the latest frame at each step
+function resampleFrames(frames, fps) {
+    const sorted = [...frames].sort((a, b) => a.t - b.t);
+    const start = sorted[0].t;
+    const end = sorted[sorted.length - 1].t;
+    const step = 1000 / fps;
+    
+    const sampled = [];
+    let index = 0;
+    for (let time = start; time <= end; time += step) {
+        while (index < sorted.length - 1 && sorted[index + 1].t <= time) index++;
+        sampled.push(sorted[index]);
+    }
+    return sampled;
+}
\ No newline at end of file
@@ -0,0 +1,301 @@
+// Calibration Wizard Module - Guides the user through capturing a neutral pose and manages profiles
+import { elements, appState } from '../main.js';
+import { setCalibration, setCalibrationSampler, getActiveProvider } from '../tracking/trackingManager.js';
+import {
+    createCalibrationSampler, GAZE_TARGETS, loadCalibrationProfiles, saveCalibrationProfile, deleteCalibrationProfile,
+    getActiveProfileName, setActiveProfileName
+} from '../tracking/calibration.js';
+
+// How long the user gets to settle, then how long the neutral pose is held (ms)
+const COUNTDOWN_DURATION = 3000;
+const CAPTURE_DURATION = 4000;
+
+// How long each gaze target is shown, and how long the eyes get to find it before sampling (ms)
+const GAZE_TARGET_DURATION = 1500;
+const GAZE_SETTLE_TIME = 500;
+
+// Where each gaze target appears on the screen
+const GAZE_TARGET_POSITIONS = {
+    left: { left: '3%', top: '50%' },
+    right: { left: '97%', top: '50%' },
+    up: { left: '50%', top: '4%' },
+    down: { left: '50%', top: '96%' }
+};
+
+// Local variables
+let wizardTimer = null;
+let phaseStart = 0;
+let sampler = null;
+let capturedCalibration = null;
+
+// Set up the profile selector, calibration button and wizard dialog, and apply the saved profile
+export function setupCalibrationWizard() {
+    elements.calibrationProfile.addEventListener('change', handleProfileChange);
+    elements.calibrateButton.addEventListener('click', startCalibration);
+    elements.deleteProfileButton.addEventListener('click', deleteSelectedProfile);
+    elements.calibrationSave.addEventListener('click', saveCapturedProfile);
+    elements.calibrationRetry.addEventListener('click', startCalibration);
+    elements.calibrationCancel.addEventListener('click', closeWizard);
+    
+    refreshProfileList();
+    applyProfile(getActiveProfileName());
+}
+
+// Fill the profile selector from storage and select the active profile
+function refreshProfileList() {
+    const profiles = loadCalibrationProfiles();
+    const active = getActiveProfileName();
+    
+    elements.calibrationProfile.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'None (default proportions)';
+    elements.calibrationProfile.appendChild(none);
+    
+    Object.keys(profiles).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        elements.calibrationProfile.appendChild(option);
+    });
+    
+    elements.calibrationProfile.value = active || '';
+    elements.deleteProfileButton.disabled = !active;
+}
+
+// Use a saved profile for tracking, or the defaults when name is null
+function applyProfile(name) {
+    const profile = name ? loadCalibrationProfiles()[name] : null;
+    setCalibration(profile || null);
+}
+
+// Handle a profile being picked in the selector
+function handleProfileChange(e) {
+    const name = e.target.value || null;
+    
+    applyProfile(name);
+    elements.deleteProfileButton.disabled = !name;
+    elements.debugInfo.textContent = name ? `Status: Using calibration "${name}"` : 'Status: Using default proportions';
+    
+    // The choice still applies for this visit if it can't be remembered
+    try {
+        setActiveProfileName(name);
+    } catch (error) {
+        console.error('Error selecting calibration profile:', error);
+        elements.debugInfo.textContent = `Error remembering profile: ${error.message}`;
+    }
+}
+
+// Delete the selected profile after confirmation
+function deleteSelectedProfile() {
+    const name = elements.calibrationProfile.value;
+    if (!name || !window.confirm(`Delete calibration profile "${name}"?`)) return;
+    
+    try {
+        deleteCalibrationProfile(name);
+    } catch (error) {
+        console.error('Error deleting calibration profile:', error);
+        elements.debugInfo.textContent = `Error deleting profile: ${error.message}`;
+        return;
+    }
+    
+    refreshProfileList();
+    applyProfile(getActiveProfileName());
+    elements.debugInfo.textContent = `Status: Deleted calibration "${name}"`;
+}
+
+// Open the wizard and count down to the capture
+function startCalibration() {
+    const provider = getActiveProvider();
+    if (!appState.isTracking || !provider || provider.prefiltered) {
+        elements.debugInfo.textContent = 'Status: Start the camera before calibrating';
+        return;
+    }
+    
+    stopWizardTimer();
+    capturedCalibration = null;
+    sampler = createCalibrationSampler();
+    
+    elements.calibrationOverlay.style.display = 'block';
+    showReviewControls(false);
+    setProgress(0);
+    
+    phaseStart = performance.now();
+    wizardTimer = setInterval(updateCountdown, 100);
+    updateCountdown();
+}
+
+// Tell the user how to sit until the countdown ends, then start sampling
+function updateCountdown() {
+    if (!appState.isTracking) {
+        abortCalibration('Tracking stopped before calibration finished.');
+        return;
+    }
+    
+    const remaining = COUNTDOWN_DURATION - (performance.now() - phaseStart);
+    if (remaining > 0) {
+        elements.calibrationMessage.textContent = 'Sit the way you usually do, look straight at the screen, ' +
+            `relax your face and let your shoulders drop. Starting in ${Math.ceil(remaining / 1000)}...`;
+        return;
+    }
+    
+    stopWizardTimer();
+    setCalibrationSampler(sampler);
+    phaseStart = performance.now();
+    wizardTimer = setInterval(updateCapture, 100);
+    updateCapture();
+}
+
+// Show capture progress and finish once the pose has been held long enough
+function updateCapture() {
+    if (!appState.isTracking) {
+        abortCalibration('Tracking stopped before calibration finished.');
+        return;
+    }
+    
+    const elapsed = performance.now() - phaseStart;
+    setProgress(elapsed / CAPTURE_DURATION);
+    elements.calibrationMessage.textContent = 'Hold still in your neutral pose...';
+    
+    if (elapsed < CAPTURE_DURATION) return;
+    
+    stopWizardTimer();
+    setCalibrationSampler(null);
+    const neutral = sampler.finish();
+    
+    if (!neutral) {
+        elements.calibrationMessage.textContent = 'Your face wasn\'t visible for long enough. ' +
+            'Check the lighting and that your whole face is in view, then try again.';
+        showReviewControls(true, false);
+        return;
+    }
+    
+    // Gaze can only be calibrated when the tracker sees the irises
+    if (neutral.expressions && neutral.expressions.leftGazeX !== undefined) {
+        phaseStart = performance.now();
+        wizardTimer = setInterval(updateGazeSweep, 100);
+        updateGazeSweep();
+    } else {
+        finishCalibration();
+    }
+}
+
+// Show each gaze target in turn, sampling the eyes once they have had time to find it
+function updateGazeSweep() {
+    if (!appState.isTracking) {
+        abortCalibration('Tracking stopped before calibration finished.');
+        return;
+    }
+    
+    const elapsed = performance.now() - phaseStart;
+    const index = Math.floor(elapsed / GAZE_TARGET_DURATION);
+    setProgress(elapsed / (GAZE_TARGET_DURATION * GAZE_TARGETS.length));
+    
+    if (index >= GAZE_TARGETS.length) {
+        stopWizardTimer();
+        setCalibrationSampler(null);
+        finishCalibration();
+        return;
+    }
+    
+    const target = GAZE_TARGETS[index];
+    elements.calibrationMessage.textContent = 'Keep your head still and follow the dot with your eyes.';
+    showGazeTarget(target);
+    
+    // Samples taken while the eyes are still moving to the dot would shrink the range
+    sampler.setGazeTarget(target);
+    setCalibrationSampler(elapsed - index * GAZE_TARGET_DURATION >= GAZE_SETTLE_TIME ? sampler : null);
+}
+
+// Offer to save what was captured
+function finishCalibration() {
+    capturedCalibration = sampler.finish();
+    
+    const shoulders = capturedCalibration.shoulderSpan ?
+        '' : ' Your shoulders weren\'t in view, so body size will still be estimated each frame.';
+    const gaze = capturedCalibration.gazeRange || !capturedCalibration.expressions ||
+        capturedCalibration.expressions.leftGazeX === undefined ?
+        '' : ' Your eyes couldn\'t be followed to every dot, so gaze uses the default range.';
+    elements.calibrationMessage.textContent = `Neutral pose captured.${shoulders}${gaze} Name this profile to save it.`;
+    elements.calibrationName.value = elements.calibrationProfile.value || suggestProfileName();
+    showReviewControls(true, true);
+    elements.calibrationName.focus();
+}
+
+// Save the captured calibration under the entered name and start using it
+function saveCapturedProfile() {
+    const name = elements.calibrationName.value.trim();
+    if (!capturedCalibration || !name) {
+        elements.calibrationName.focus();
+        return;
+    }
+    
+    try {
+        saveCalibrationProfile(name, capturedCalibration);
+    } catch (error) {
+        console.error('Error saving calibration profile:', error);
+        elements.calibrationMessage.textContent = `Error saving profile: ${error.message}`;
+        return;
+    }
+    
+    setCalibration(capturedCalibration);
+    refreshProfileList();
+    closeWizard();
+    elements.debugInfo.textContent = `Status: Calibration "${name}" saved`;
+}
+
+// End the capture early and explain why
+function abortCalibration(message) {
+    stopWizardTimer();
+    setCalibrationSampler(null);
+    elements.calibrationMessage.textContent = message;
+    showReviewControls(true, false);
+}
+
+// Move the gaze target dot to an edge of the screen; null hides it
+function showGazeTarget(target) {
+    const position = target && GAZE_TARGET_POSITIONS[target];
+    elements.calibrationGazeTarget.style.display = position ? 'block' : 'none';
+    if (position) {
+        elements.calibrationGazeTarget.style.left = position.left;
+        elements.calibrationGazeTarget.style.top = position.top;
+    }
+}
+
+// Close the wizard, discarding anything not saved
+function closeWizard() {
+    stopWizardTimer();
+    setCalibrationSampler(null);
+    sampler = null;
+    capturedCalibration = null;
+    elements.calibrationOverlay.style.display = 'none';
+}
+
+// Stop the countdown, capture or gaze timer
+function stopWizardTimer() {
+    if (wizardTimer) {
+        clearInterval(wizardTimer);
+        wizardTimer = null;
+    }
+    showGazeTarget(null);
+}
+
+// Show the name field and buttons once capturing is over
+function showReviewControls(visible, canSave = false) {
+    elements.calibrationName.style.display = visible && canSave ? 'block' : 'none';
+    elements.calibrationSave.style.display = visible && canSave ? 'inline-block' : 'none';
+    elements.calibrationRetry.style.display = visible ? 'inline-block' : 'none';
+}
+
+// Set the progress bar, 0..1
+function setProgress(fraction) {
+    elements.calibrationProgressBar.style.width = `${Math.min(1, Math.max(0, fraction)) * 100}%`;
+}
+
+// A profile name that isn't taken yet
+function suggestProfileName() {
+    const profiles = loadCalibrationProfiles();
+    let number = 1;
+    while (profiles[`Profile ${number}`]) number++;
+    return `Profile ${number}`;
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+// Compositor Module - Rasterizes the visible layers into a single output canvas
+import { elements, appState } from '../main.js';
+import { drawSkeletonLines } from '../tracking/trackingManager.js';
+
+// Output canvas used for recording and export
+const outputCanvas = document.createElement('canvas');
+const outputCtx = outputCanvas.getContext('2d');
+
+// Local variables
+let compositingActive = false;
+let compositeFrameId = null;
+let frameInProgress = false;
+let cachedBackgroundMarkup = null;
+let cachedBackgroundImage = null;
+
+// Get the canvas that holds the composited output
+export function getOutputCanvas() {
+    return outputCanvas;
+}
+
+// Start compositing every animation frame
+export function startCompositing() {
+    if (compositingActive) return;
+    
+    compositingActive = true;
+    compositeLoop();
+}
+
+// Stop the compositing loop
+export function stopCompositing() {
+    compositingActive = false;
+    
+    if (compositeFrameId) {
+        cancelAnimationFrame(compositeFrameId);
+        compositeFrameId = null;
+    }
+}
+
+// Compositing loop - skips a frame if the previous one is still rasterizing
+function compositeLoop() {
+    if (!compositingActive) return;
+    
+    if (!frameInProgress) {
+        frameInProgress = true;
+        renderCompositeFrame()
+            .catch(error => console.warn('Error compositing frame:', error))
+            .finally(() => { frameInProgress = false; });
+    }
+    
+    compositeFrameId = requestAnimationFrame(compositeLoop);
+}
+
+// Render one composited frame into the output canvas
+export async function renderCompositeFrame() {
+    const width = elements.canvas.width || 640;
+    const height = elements.canvas.height || 480;
+    const avatarSVG = document.getElementById('avatarSVG');
+    if (!avatarSVG) return outputCanvas;
+    
+    // Rasterize the SVG layers before touching the output so the frame is drawn in one go
+    const [backgroundImage, avatarImage] = await Promise.all([
+        rasterizeBackgroundLayer(avatarSVG, width, height),
+        rasterizeAvatarLayer(avatarSVG, width, height)
+    ]);
+    
+    if (outputCanvas.width !== width || outputCanvas.height !== height) {
+        outputCanvas.width = width;
+        outputCanvas.height = height;
+    }
+    
+    // Base gradient, matching the page background behind the SVG
+    const gradient = outputCtx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, '#1a1a2e');
+    gradient.addColorStop(0.5, '#16213e');
+    gradient.addColorStop(1, '#0f3460');
+    outputCtx.fillStyle = gradient;
+    outputCtx.fillRect(0, 0, width, height);
+    
+    // Background layer
+    if (backgroundImage) {
+        outputCtx.drawImage(backgroundImage, 0, 0, width, height);
+    }
+    
+    const debugMode = appState.config.displayMode === 'debug';
+    
+    // Debug view shows the camera frame faintly behind the avatar
+    if (debugMode && elements.video.readyState >= elements.video.HAVE_CURRENT_DATA) {
+        outputCtx.save();
+        outputCtx.globalAlpha = 0.3;
+        outputCtx.drawImage(elements.video, 0, 0, width, height);
+        outputCtx.restore();
+    }
+    
+    // Avatar layer
+    if (avatarImage) {
+        outputCtx.drawImage(avatarImage, 0, 0, width, height);
+    }
+    
+    // Debug skeleton goes on top so it stays visible in the recording
+    if (debugMode && appState.lastBodyPosition && appState.lastBodyPosition.length > 0) {
+        drawSkeletonLines(outputCtx, appState.lastBodyPosition);
+    }
+    
+    return outputCanvas;
+}
+
+// Rasterize only the background elements, reusing the last image while they are unchanged
+async function rasterizeBackgroundLayer(avatarSVG, width, height) {
+    const backgroundElements = avatarSVG.querySelector('#backgroundElements');
+    if (!backgroundElements) return null;
+    
+    const markup = `${width}x${height}|${backgroundElements.innerHTML}`;
+    if (markup === cachedBackgroundMarkup && cachedBackgroundImage) {
+        return cachedBackgroundImage;
+    }
+    
+    const clone = prepareClone(avatarSVG, width, height);
+    clone.querySelectorAll('[id="avatarLayer"]').forEach(node => node.remove());
+    
+    cachedBackgroundImage = await rasterizeSVG(clone);
+    cachedBackgroundMarkup = markup;
+    return cachedBackgroundImage;
+}
+
+// Rasterize the avatar without the background elements
+function rasterizeAvatarLayer(avatarSVG, width, height) {
+    const clone = prepareClone(avatarSVG, width, height);
+    clone.querySelectorAll('[id="backgroundElements"]').forEach(node => node.remove());
+    
+    return rasterizeSVG(clone);
+}
+
+// Clone the SVG with explicit pixel dimensions so it rasterizes at output size
+function prepareClone(avatarSVG, width, height) {
+    const clone = avatarSVG.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    return clone;
+}
+
+// Turn an SVG element into a drawable image
+function rasterizeSVG(svgElement) {
+    return new Promise((resolve, reject) => {
+        const markup = new XMLSerializer().serializeToString(svgElement);
+        const blob = new Blob([markup], { type: 'image/svg+xml;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not rasterize SVG layer'));
+        };
+        
+        image.src = url;
+    });
+}
\ No newline at end of file
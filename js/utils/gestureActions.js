@@ -0,0 +1,122 @@
+// Gesture Actions Module - Runs the action bound to each recognized gesture, for hands-free sessions
+import { elements, appState } from '../main.js';
+import { trackingEvents } from '../tracking/trackingManager.js';
+import { GESTURES } from '../tracking/gestures.js';
+import { EMOTES, playAvatarEmote } from '../avatar/avatarRenderer.js';
+import { toggleRecording, toggleMocapRecording } from './recording.js';
+
+// How long the name of a recognized gesture stays on screen (ms)
+const INDICATOR_DURATION = 1500;
+
+// Actions a gesture can be bound to; every avatar emote is an action too
+const ACTIONS = {
+    none: { label: 'Nothing' },
+    nextBackground: { label: 'Next background', run: () => stepBackground(1) },
+    previousBackground: { label: 'Previous background', run: () => stepBackground(-1) },
+    toggleRecording: { label: 'Start/stop recording', run: toggleRecording },
+    toggleMotionCapture: { label: 'Start/stop motion capture', run: toggleMocapRecording }
+};
+Object.entries(EMOTES).forEach(([name, emote]) => {
+    ACTIONS[`emote:${name}`] = { label: `Emote: ${emote.label}`, run: () => playAvatarEmote(name) };
+});
+
+// Local variables
+let indicatorTimer = null;
+
+// Set up the gesture settings and start listening for gestures
+export function setupGestureActions() {
+    const settings = appState.config.gestures;
+    
+    elements.gesturesEnabled.checked = settings.enabled;
+    elements.gestureHoldTime.value = settings.holdTime;
+    elements.gestureCooldown.value = settings.cooldown;
+    updateTimeLabels();
+    
+    elements.gesturesEnabled.addEventListener('change', (e) => {
+        settings.enabled = e.target.checked;
+    });
+    elements.gestureHoldTime.addEventListener('input', (e) => {
+        settings.holdTime = parseFloat(e.target.value);
+        updateTimeLabels();
+    });
+    elements.gestureCooldown.addEventListener('input', (e) => {
+        settings.cooldown = parseFloat(e.target.value);
+        updateTimeLabels();
+    });
+    
+    buildGestureBindings();
+    trackingEvents.addEventListener('gesture', handleGesture);
+}
+
+// Build an action selector for each gesture
+function buildGestureBindings() {
+    const actions = appState.config.gestures.actions;
+    elements.gestureBindings.innerHTML = '';
+    
+    Object.entries(GESTURES).forEach(([gesture, label]) => {
+        const row = document.createElement('div');
+        row.className = 'gesture-binding';
+        
+        const title = document.createElement('label');
+        title.htmlFor = `gesture-${gesture}`;
+        title.textContent = label;
+        row.appendChild(title);
+        
+        const select = document.createElement('select');
+        select.id = `gesture-${gesture}`;
+        Object.entries(ACTIONS).forEach(([action, definition]) => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = definition.label;
+            select.appendChild(option);
+        });
+        select.value = ACTIONS[actions[gesture]] ? actions[gesture] : 'none';
+        select.addEventListener('change', (e) => {
+            actions[gesture] = e.target.value;
+        });
+        row.appendChild(select);
+        
+        elements.gestureBindings.appendChild(row);
+    });
+}
+
+// Show a recognized gesture and run its action
+function handleGesture(e) {
+    const { gesture } = e.detail;
+    const actionName = appState.config.gestures.actions[gesture];
+    const action = ACTIONS[actionName] || ACTIONS.none;
+    
+    showGesture(action.run ? `${GESTURES[gesture]}: ${action.label}` : GESTURES[gesture]);
+    if (!action.run) return;
+    
+    try {
+        action.run();
+    } catch (error) {
+        console.error(`Error running the action for gesture "${gesture}":`, error);
+        elements.debugInfo.textContent = `Error running gesture action: ${error.message}`;
+    }
+}
+
+// Select the next or previous background
+function stepBackground(step) {
+    const count = elements.bgSelect.options.length;
+    elements.bgSelect.selectedIndex = (elements.bgSelect.selectedIndex + step + count) % count;
+    elements.bgSelect.dispatchEvent(new Event('change'));
+}
+
+// Briefly show what was recognized
+function showGesture(text) {
+    elements.gestureIndicator.textContent = text;
+    elements.gestureIndicator.style.display = 'block';
+    
+    clearTimeout(indicatorTimer);
+    indicatorTimer = setTimeout(() => {
+        elements.gestureIndicator.style.display = 'none';
+    }, INDICATOR_DURATION);
+}
+
+// Show the hold time and cooldown next to their sliders
+function updateTimeLabels() {
+    elements.gestureHoldTimeValue.textContent = `${appState.config.gestures.holdTime.toFixed(1)} s`;
+    elements.gestureCooldownValue.textContent = `${appState.config.gestures.cooldown.toFixed(1)} s`;
+}
\ No newline at end of file
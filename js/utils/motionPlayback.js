@@ -0,0 +1,116 @@
+// Motion Playback Module - Transport controls for replaying motion files
+import { elements } from '../main.js';
+import { saveMotionAsBVH } from './recording.js';
+
+// Local variables
+let playbackProvider = null;
+let playbackFrameId = null;
+let seeking = false;
+
+// Set up the motion file button and playback controls
+export function setupMotionPlayback() {
+    elements.motionFileBtn.addEventListener('click', () => elements.replayFileInput.click());
+    elements.motionPlayPause.addEventListener('click', togglePlayback);
+    elements.motionSeek.addEventListener('input', handleSeekInput);
+    elements.motionSeek.addEventListener('change', () => { seeking = false; });
+    elements.motionLoop.addEventListener('change', handleLoopChange);
+    elements.motionSpeed.addEventListener('change', handleSpeedChange);
+    elements.motionExportBvh.addEventListener('click', exportLoadedMotion);
+}
+
+// Show the playback bar for a provider that supports playback controls
+export function showMotionPlayback(provider) {
+    playbackProvider = provider;
+    
+    // Apply the current control values to the new provider
+    provider.setLoop(elements.motionLoop.checked);
+    provider.setSpeed(parseFloat(elements.motionSpeed.value));
+    
+    elements.motionSeek.max = provider.getPlaybackState().duration;
+    elements.motionPlayback.style.display = 'flex';
+    
+    if (!playbackFrameId) {
+        updatePlaybackControls();
+    }
+}
+
+// Hide the playback bar
+export function hideMotionPlayback() {
+    playbackProvider = null;
+    elements.motionPlayback.style.display = 'none';
+    
+    if (playbackFrameId) {
+        cancelAnimationFrame(playbackFrameId);
+        playbackFrameId = null;
+    }
+}
+
+// Play or pause the replay
+function togglePlayback() {
+    if (!playbackProvider) return;
+    
+    if (playbackProvider.getPlaybackState().playing) {
+        playbackProvider.pause();
+    } else {
+        playbackProvider.play();
+    }
+}
+
+// Seek while the slider is dragged
+function handleSeekInput(e) {
+    if (!playbackProvider) return;
+    
+    seeking = true;
+    playbackProvider.seek(parseFloat(e.target.value));
+}
+
+// Handle loop toggle
+function handleLoopChange(e) {
+    if (playbackProvider) {
+        playbackProvider.setLoop(e.target.checked);
+    }
+}
+
+// Handle playback speed change
+function handleSpeedChange(e) {
+    if (playbackProvider) {
+        playbackProvider.setSpeed(parseFloat(e.target.value));
+    }
+}
+
+// Export the loaded take as BVH
+function exportLoadedMotion() {
+    if (!playbackProvider) return;
+    
+    try {
+        saveMotionAsBVH(playbackProvider.getFrames());
+        elements.debugInfo.textContent = 'Status: BVH exported';
+    } catch (error) {
+        console.error('Error exporting BVH:', error);
+        elements.debugInfo.textContent = `Error exporting BVH: ${error.message}`;
+    }
+}
+
+// Keep the button, slider and time readout in sync with the provider
+function updatePlaybackControls() {
+    if (!playbackProvider) return;
+    
+    const state = playbackProvider.getPlaybackState();
+    elements.motionPlayPause.textContent = state.playing ? 'Pause' : 'Play';
+    elements.motionTime.textContent = `${formatTime(state.time)} / ${formatTime(state.duration)}`;
+    
+    // Don't fight the user while they drag the slider
+    if (!seeking) {
+        elements.motionSeek.value = state.time;
+    }
+    
+    playbackFrameId = requestAnimationFrame(updatePlaybackControls);
+}
+
+// Format milliseconds as m:ss
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
\ No newline at end of file
@@ -1,27 +1,43 @@
 // Recording Module - Handles video recording
 import { elements, appState } from '../main.js';
+import { getOutputCanvas, startCompositing, stopCompositing } from './compositor.js';
+import { createBVH } from './bvhExport.js';
 
 // Local variables
 let mediaRecorder = null;
 let recordedChunks = [];
+let mocapHeader = null;
+let mocapFrames = [];
+let mocapStartTime = 0;
 
 // Set up recording functionality
 export function setupRecording() {
-    // Add event listener for record button
+    // Add event listeners for the video and motion capture record buttons
     elements.recordButton.addEventListener('click', toggleRecording);
+    elements.mocapButton.addEventListener('click', toggleMocapRecording);
+    elements.mocapFormat.addEventListener('change', (e) => {
+        appState.config.recording.motionFormat = e.target.value;
+    });
+    
+    elements.mocapFormat.value = appState.config.recording.motionFormat;
 }
 
 // Toggle recording state
-function toggleRecording() {
+export function toggleRecording() {
     if (!mediaRecorder || mediaRecorder.state === 'inactive') {
         startRecording();
         elements.recordButton.textContent = 'Stop Recording';
-        elements.recordingIndicator.style.display = 'block';
     } else {
         stopRecording();
         elements.recordButton.textContent = 'Start Recording';
-        elements.recordingIndicator.style.display = 'none';
     }
+    updateRecordingIndicator();
+}
+
+// Show the REC indicator while either recorder is running
+function updateRecordingIndicator() {
+    const recording = appState.isRecording || appState.isRecordingMotion;
+    elements.recordingIndicator.style.display = recording ? 'block' : 'none';
 }
 
 // Start recording
@@ -29,8 +45,9 @@ function startRecording() {
     recordedChunks = [];
     
     try {
-        // Create a canvas stream that includes both the video and the SVG overlay
-        const outputStream = elements.canvas.captureStream(appState.config.recording.fps);
+        // Composite the background, avatar and (in debug view) skeleton into the output canvas
+        startCompositing();
+        const outputStream = getOutputCanvas().captureStream(appState.config.recording.fps);
         
         // Set up media recorder with selected options
         const options = {
@@ -60,6 +77,7 @@ function startRecording() {
         appState.isRecording = true;
     } catch (error) {
         console.error('Error starting recording:', error);
+        stopCompositing();
         elements.debugInfo.textContent = `Recording error: ${error.message}`;
         
         // Show error message to user
@@ -94,6 +112,7 @@ function stopRecording() {
     if (mediaRecorder && mediaRecorder.state !== 'inactive') {
         mediaRecorder.stop();
         appState.isRecording = false;
+        stopCompositing();
     }
 }
 
@@ -105,25 +124,126 @@ function saveRecording() {
             type: `video/${appState.config.recording.format}` 
         });
         
-        // Create download link
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        a.download = `avatar-recording-${new Date().toISOString().slice(0,19).replace(/:/g,'-')}.${appState.config.recording.format}`;
-        
-        // Trigger download
-        document.body.appendChild(a);
-        a.click();
-        
-        // Clean up
-        setTimeout(() => {
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
-            elements.debugInfo.textContent = 'Status: Recording saved';
-        }, 100);
+        downloadBlob(blob, `avatar-recording-${getTimestamp()}.${appState.config.recording.format}`);
+        elements.debugInfo.textContent = 'Status: Recording saved';
     } catch (error) {
         console.error('Error saving recording:', error);
         elements.debugInfo.textContent = `Error saving recording: ${error.message}`;
     }
+}
+
+// Toggle motion capture recording
+export function toggleMocapRecording() {
+    if (appState.isRecordingMotion) {
+        stopMocapRecording();
+    } else {
+        startMocapRecording();
+    }
+}
+
+// Start collecting tracked frames
+function startMocapRecording() {
+    // The header line describes the take; replay ignores lines without a "t"
+    mocapFrames = [];
+    mocapHeader = {
+        type: 'header',
+        format: 'avatar-mocap',
+        version: 1,
+        startedAt: new Date().toISOString(),
+        width: elements.canvas.width,
+        height: elements.canvas.height,
+        keypoints: 'coco-17'
+    };
+    mocapStartTime = performance.now();
+    
+    appState.isRecordingMotion = true;
+    elements.mocapButton.textContent = 'Stop Motion Capture';
+    elements.debugInfo.textContent = 'Status: Recording motion...';
+    updateRecordingIndicator();
+}
+
+// Stop motion capture and download the take
+export function stopMocapRecording() {
+    if (!appState.isRecordingMotion) return;
+    
+    appState.isRecordingMotion = false;
+    elements.mocapButton.textContent = 'Record Motion';
+    updateRecordingIndicator();
+    saveMocapRecording();
+}
+
+// Append one tracked frame; body, face, mouth and expressions are null when they were not detected
+export function recordMocapFrame(bodyPose, facePose, expressions = null) {
+    if (!appState.isRecordingMotion) return;
+    
+    mocapFrames.push({
+        t: Math.round(performance.now() - mocapStartTime),
+        body: bodyPose ? bodyPose.map(point => point ?
+            { x: roundValue(point.x), y: roundValue(point.y), score: roundValue(point.score) } : null) : null,
+        face: facePose ? {
+            x: roundValue(facePose.x),
+            y: roundValue(facePose.y),
+            z: roundValue(facePose.z),
+            rx: roundValue(facePose.rx),
+            ry: roundValue(facePose.ry),
+            rz: roundValue(facePose.rz)
+        } : null,
+        mouthOpenness: facePose && appState.mouthOpenness !== undefined ? roundValue(appState.mouthOpenness) : null,
+        expressions: expressions ? Object.fromEntries(
+            Object.entries(expressions).map(([name, value]) => [name, roundValue(value)])) : null
+    });
+}
+
+// Save the motion capture take in the selected format
+function saveMocapRecording() {
+    try {
+        if (appState.config.recording.motionFormat === 'bvh') {
+            saveMotionAsBVH(mocapFrames);
+        } else {
+            const lines = [mocapHeader, ...mocapFrames].map(record => JSON.stringify(record));
+            const blob = new Blob([lines.join('\n') + '\n'], { type: 'application/x-ndjson' });
+            downloadBlob(blob, `avatar-motion-${getTimestamp()}.jsonl`);
+        }
+        elements.debugInfo.textContent = `Status: Motion saved (${mocapFrames.length} frames)`;
+        mocapFrames = [];
+    } catch (error) {
+        console.error('Error saving motion capture:', error);
+        elements.debugInfo.textContent = `Error saving motion capture: ${error.message}`;
+    }
+}
+
+// Convert motion frames to a BVH skeleton animation and download it
+export function saveMotionAsBVH(frames) {
+    const bvh = createBVH(frames, appState.config.recording.fps);
+    const blob = new Blob([bvh], { type: 'text/plain' });
+    downloadBlob(blob, `avatar-motion-${getTimestamp()}.bvh`);
+}
+
+// Trigger a browser download for a blob
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = url;
+    a.download = filename;
+    
+    // Trigger download
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }, 100);
+}
+
+// Timestamp suitable for file names
+function getTimestamp() {
+    return new Date().toISOString().slice(0,19).replace(/:/g,'-');
+}
+
+// Keep files compact without losing useful precision
+function roundValue(value) {
+    return typeof value === 'number' ? Math.round(value * 100) / 100 : value;
 }
\ No newline at end of file
@@ -1,24 +1,143 @@
 // UI Management Module - Handles UI updates and interactions
 import { elements, appState } from '../main.js';
-import { setAvatarScale } from '../avatar/avatarRenderer.js';
-import { drawSkeletonLines } from '../tracking/trackingManager.js';
+import { setAvatarScale, setFullBody, setAvatarDefinition } from '../avatar/avatarRenderer.js';
+import {
+    getAvatarDefinitions, parseAvatarDefinition, saveAvatarDefinition, deleteAvatarDefinition, DEFAULT_AVATAR
+} from '../avatar/avatarDefinitions.js';
+import { drawSkeletonLines, trackingEvents, startLipSync, stopLipSync } from '../tracking/trackingManager.js';
+import { FILTER_TYPES } from '../tracking/filters.js';
+import { TRACKING_STATES, LOSS_BEHAVIORS } from '../tracking/trackingState.js';
+import { getMotionClips, parseMotionClip, saveMotionClip, deleteMotionClip, MIX_CLIP } from '../tracking/motionClips.js';
+
+// Display names for the filter channels
+const FILTER_CHANNELS = {
+    body: 'Body Keypoints',
+    headPosition: 'Head Position',
+    headRotation: 'Head Rotation',
+    mouth: 'Mouth',
+    eyes: 'Eyes & Brows',
+    hands: 'Fingers'
+};
 
 // Initialize UI elements and interactions
 export function initializeUI() {
     // Set up settings panel event listeners
+    elements.avatarSelect.addEventListener('change', handleAvatarChange);
+    elements.loadAvatarButton.addEventListener('click', () => elements.avatarFileInput.click());
+    elements.avatarFileInput.addEventListener('change', handleAvatarFileChange);
+    elements.deleteAvatarButton.addEventListener('click', deleteSelectedAvatar);
     elements.avatarScale.addEventListener('input', handleAvatarScaleChange);
-    elements.smoothingLevel.addEventListener('input', handleSmoothingChange);
+    elements.fullBody.addEventListener('change', handleFullBodyChange);
     elements.displayMode.addEventListener('change', handleDisplayModeChange);
+    elements.interpolateMotion.addEventListener('change', handleInterpolateMotionChange);
+    elements.predictionHorizon.addEventListener('input', handlePredictionHorizonChange);
+    elements.lipSyncEnabled.addEventListener('change', handleLipSyncToggle);
+    elements.lipSyncWeight.addEventListener('input', handleLipSyncWeightChange);
+    elements.idleClipSelect.addEventListener('change', handleIdleClipChange);
+    elements.loadClipButton.addEventListener('click', () => elements.clipFileInput.click());
+    elements.clipFileInput.addEventListener('change', handleClipFileChange);
+    elements.deleteClipButton.addEventListener('click', deleteSelectedClip);
     
     // Initialize UI values from app state
+    refreshAvatarList();
     elements.avatarScale.value = appState.config.avatarScale;
-    elements.smoothingLevel.value = appState.config.smoothingLevel;
+    elements.fullBody.checked = appState.config.fullBody;
+    setFullBody(appState.config.fullBody);
     elements.displayMode.value = appState.config.displayMode;
+    elements.interpolateMotion.checked = appState.config.motionInterpolation.enabled;
+    elements.predictionHorizon.value = Math.round(appState.config.motionInterpolation.predictionHorizon * 1000);
+    updatePredictionHorizonLabel();
+    elements.lipSyncEnabled.checked = false;
+    elements.lipSyncWeight.value = appState.config.lipSync.weight;
+    updateLipSyncWeightLabel();
+    
+    // Build the per-channel filter controls
+    buildFilterSettings();
+    
+    // Tracking loss behaviours, and the indicator showing the primary avatar's tracking state
+    buildLossBehaviorSelect(elements.degradedBehavior, 'degraded');
+    buildLossBehaviorSelect(elements.lostBehavior, 'lost');
+    refreshIdleClipList();
+    trackingEvents.addEventListener('statechange', handleTrackingStateChange);
     
     // Apply initial display mode
     updateDisplayMode();
 }
 
+// Fill the avatar selector with every avatar, and select the one in use
+export function refreshAvatarList() {
+    const avatars = getAvatarDefinitions();
+    elements.avatarSelect.innerHTML = '';
+    
+    avatars.forEach(avatar => {
+        const option = document.createElement('option');
+        option.value = avatar.name;
+        option.textContent = avatar.custom ? `${avatar.label} (loaded)` : avatar.label;
+        elements.avatarSelect.appendChild(option);
+    });
+    
+    // An avatar that has been removed goes back to the default
+    if (!avatars.some(avatar => avatar.name === appState.config.avatar)) {
+        appState.config.avatar = DEFAULT_AVATAR;
+        setAvatarDefinition(DEFAULT_AVATAR);
+    }
+    elements.avatarSelect.value = appState.config.avatar;
+    elements.deleteAvatarButton.disabled = !avatars.some(avatar => avatar.custom && avatar.name === appState.config.avatar);
+}
+
+// Handle an avatar being picked
+function handleAvatarChange(e) {
+    appState.config.avatar = e.target.value;
+    setAvatarDefinition(e.target.value);
+    refreshAvatarList();
+}
+
+// Load an avatar from a JSON bundle or SVG file, keep it and start using it
+async function handleAvatarFileChange(e) {
+    const file = e.target.files && e.target.files[0];
+    
+    // Allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+        const avatar = parseAvatarDefinition(await file.text(), file.name);
+        if (!confirmAvatarReplace(avatar.name)) return;
+        
+        saveAvatarDefinition(avatar);
+        appState.config.avatar = avatar.name;
+        setAvatarDefinition(avatar.name);
+        refreshAvatarList();
+        elements.debugInfo.textContent = `Status: Loaded avatar "${avatar.label}"`;
+    } catch (error) {
+        console.error('Error loading avatar:', error);
+        elements.debugInfo.textContent = `Error loading avatar: ${error.message}`;
+    }
+}
+
+// Ask before replacing an avatar the user loaded or designed with one of the same name; true to go ahead
+export function confirmAvatarReplace(name) {
+    const replacing = getAvatarDefinitions().some(avatar => avatar.custom && avatar.name === name);
+    return !replacing || window.confirm(`Replace the avatar "${name}"?`);
+}
+
+// Remove the selected loaded avatar after confirmation
+function deleteSelectedAvatar() {
+    const name = elements.avatarSelect.value;
+    if (!window.confirm(`Remove the avatar "${name}"?`)) return;
+    
+    try {
+        deleteAvatarDefinition(name);
+    } catch (error) {
+        console.error('Error removing avatar:', error);
+        elements.debugInfo.textContent = `Error removing avatar: ${error.message}`;
+        return;
+    }
+    
+    refreshAvatarList();
+    elements.debugInfo.textContent = `Status: Removed avatar "${name}"`;
+}
+
 // Handle avatar scale change
 function handleAvatarScaleChange(e) {
     const scale = parseFloat(e.target.value);
@@ -26,9 +145,220 @@ function handleAvatarScaleChange(e) {
     setAvatarScale(scale);
 }
 
-// Handle smoothing level change
-function handleSmoothingChange(e) {
-    appState.config.smoothingLevel = parseFloat(e.target.value);
+// Handle the full-body avatar being switched on or off
+function handleFullBodyChange(e) {
+    appState.config.fullBody = e.target.checked;
+    setFullBody(e.target.checked);
+}
+
+// Handle interpolation between tracking samples being switched on or off
+function handleInterpolateMotionChange(e) {
+    appState.config.motionInterpolation.enabled = e.target.checked;
+    elements.predictionHorizon.disabled = !e.target.checked;
+}
+
+// Handle prediction horizon change (the slider is in milliseconds)
+function handlePredictionHorizonChange(e) {
+    appState.config.motionInterpolation.predictionHorizon = parseFloat(e.target.value) / 1000;
+    updatePredictionHorizonLabel();
+}
+
+// Show the prediction horizon next to its slider
+function updatePredictionHorizonLabel() {
+    elements.predictionHorizonValue.textContent = `${Math.round(appState.config.motionInterpolation.predictionHorizon * 1000)} ms`;
+}
+
+// Handle microphone lip sync being switched on or off; the browser asks for the microphone the first time
+async function handleLipSyncToggle(e) {
+    if (!e.target.checked) {
+        appState.config.lipSync.enabled = false;
+        stopLipSync();
+        elements.debugInfo.textContent = 'Status: Microphone lip sync off';
+        return;
+    }
+    
+    try {
+        await startLipSync();
+        appState.config.lipSync.enabled = true;
+        elements.debugInfo.textContent = 'Status: Microphone lip sync on';
+    } catch (error) {
+        console.error('Error starting lip sync:', error);
+        elements.debugInfo.textContent = `Microphone error: ${error.message}`;
+        e.target.checked = false;
+    }
+}
+
+// Handle the camera/microphone mouth weighting changing
+function handleLipSyncWeightChange(e) {
+    appState.config.lipSync.weight = parseFloat(e.target.value);
+    updateLipSyncWeightLabel();
+}
+
+// Show the microphone's share of the mouth next to its slider
+function updateLipSyncWeightLabel() {
+    elements.lipSyncWeightValue.textContent = `${Math.round(appState.config.lipSync.weight * 100)}%`;
+}
+
+// Build a filter type selector and parameter sliders for each channel
+function buildFilterSettings() {
+    elements.filterSettings.innerHTML = '';
+    
+    Object.entries(FILTER_CHANNELS).forEach(([channel, label]) => {
+        const channelConfig = appState.config.filters[channel];
+        
+        const group = document.createElement('div');
+        group.className = 'filter-channel';
+        
+        const title = document.createElement('label');
+        title.htmlFor = `filter-${channel}`;
+        title.textContent = label;
+        group.appendChild(title);
+        
+        const typeSelect = document.createElement('select');
+        typeSelect.id = `filter-${channel}`;
+        Object.entries(FILTER_TYPES).forEach(([type, definition]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = definition.label;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = channelConfig.type;
+        group.appendChild(typeSelect);
+        
+        const paramsContainer = document.createElement('div');
+        group.appendChild(paramsContainer);
+        
+        typeSelect.addEventListener('change', (e) => {
+            channelConfig.type = e.target.value;
+            buildFilterParams(paramsContainer, channelConfig);
+        });
+        
+        buildFilterParams(paramsContainer, channelConfig);
+        elements.filterSettings.appendChild(group);
+    });
+}
+
+// Build sliders for the parameters of the channel's current filter type
+function buildFilterParams(container, channelConfig) {
+    container.innerHTML = '';
+    const params = channelConfig.params[channelConfig.type];
+    
+    FILTER_TYPES[channelConfig.type].params.forEach(param => {
+        const label = document.createElement('span');
+        label.className = 'filter-param';
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = param.min;
+        slider.max = param.max;
+        slider.step = param.step;
+        slider.value = params[param.key];
+        
+        const updateLabel = () => {
+            label.textContent = `${param.label}: ${params[param.key]}`;
+        };
+        
+        // Filters read their parameters live, so updating the config is enough
+        slider.addEventListener('input', (e) => {
+            params[param.key] = parseFloat(e.target.value);
+            updateLabel();
+        });
+        
+        updateLabel();
+        container.appendChild(label);
+        container.appendChild(slider);
+    });
+}
+
+// Fill a loss behaviour selector and keep the config in step with it
+function buildLossBehaviorSelect(select, state) {
+    Object.entries(LOSS_BEHAVIORS).forEach(([behavior, label]) => {
+        const option = document.createElement('option');
+        option.value = behavior;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = appState.config.trackingLoss[state];
+    
+    select.addEventListener('change', (e) => {
+        appState.config.trackingLoss[state] = e.target.value;
+    });
+}
+
+// Fill the idle clip selector with the mix and every clip, and select the one in use
+function refreshIdleClipList() {
+    const clips = getMotionClips();
+    elements.idleClipSelect.innerHTML = '';
+    
+    const mix = document.createElement('option');
+    mix.value = MIX_CLIP;
+    mix.textContent = 'Mix of idle clips';
+    elements.idleClipSelect.appendChild(mix);
+    
+    clips.forEach(clip => {
+        const option = document.createElement('option');
+        option.value = clip.name;
+        option.textContent = clip.custom ? `${clip.label} (loaded)` : clip.label;
+        elements.idleClipSelect.appendChild(option);
+    });
+    
+    // A clip that has been removed goes back to the mix
+    if (!clips.some(clip => clip.name === appState.config.idleClip)) {
+        appState.config.idleClip = MIX_CLIP;
+    }
+    elements.idleClipSelect.value = appState.config.idleClip;
+    elements.deleteClipButton.disabled = !clips.some(clip => clip.custom && clip.name === appState.config.idleClip);
+}
+
+// Handle an idle clip being picked
+function handleIdleClipChange(e) {
+    appState.config.idleClip = e.target.value;
+    refreshIdleClipList();
+}
+
+// Load a clip from a JSON file, keep it and start using it
+async function handleClipFileChange(e) {
+    const file = e.target.files && e.target.files[0];
+    
+    // Allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+        const clip = parseMotionClip(await file.text());
+        saveMotionClip(clip);
+        appState.config.idleClip = clip.name;
+        refreshIdleClipList();
+        elements.debugInfo.textContent = `Status: Loaded clip "${clip.label}"`;
+    } catch (error) {
+        console.error('Error loading motion clip:', error);
+        elements.debugInfo.textContent = `Error loading clip: ${error.message}`;
+    }
+}
+
+// Remove the selected loaded clip after confirmation
+function deleteSelectedClip() {
+    const name = elements.idleClipSelect.value;
+    if (!window.confirm(`Remove the clip "${name}"?`)) return;
+    
+    try {
+        deleteMotionClip(name);
+    } catch (error) {
+        console.error('Error removing motion clip:', error);
+        elements.debugInfo.textContent = `Error removing clip: ${error.message}`;
+        return;
+    }
+    
+    refreshIdleClipList();
+    elements.debugInfo.textContent = `Status: Removed clip "${name}"`;
+}
+
+// Show the primary avatar's tracking state
+function handleTrackingStateChange(e) {
+    if (!e.detail.primary) return;
+    
+    elements.trackingStateIndicator.textContent = TRACKING_STATES[e.detail.state];
+    elements.trackingStateIndicator.className = `state-${e.detail.state}`;
 }
 
 // Handle display mode change
@@ -1,6 +1,7 @@
 // Enhanced video processing for better camera handling
 import { elements } from '../main.js';
-import { startTracking, stopTracking } from '../tracking/trackingManager.js';
+import { startTracking, stopTracking, activeProviderRequiresVideo } from '../tracking/trackingManager.js';
+import { enqueueVideoFiles, isInQueuePanel } from './batchQueue.js';
 
 // Local variables
 let videoStream = null;
@@ -21,6 +22,13 @@ export function setupVideoProcessing() {
 // Start camera with improved error handling and camera selection
 async function startCamera() {
     try {
+        // Simulation and replay drive the avatar without a camera
+        if (!activeProviderRequiresVideo()) {
+            processingMode = 'realtime';
+            startTracking();
+            return;
+        }
+        
         // First, check if we can access the camera
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
             throw new Error('Camera access is not supported in your browser.');
@@ -132,15 +140,9 @@ function processVideoFile(e) {
     if (e.target.files && e.target.files[0]) {
         const file = e.target.files[0];
         
-        // Check file type
-        if (!file.type.startsWith('video/')) {
-            elements.debugInfo.textContent = 'Error: Not a valid video file.';
-            return;
-        }
-        
-        // Check file size (limit to 500MB to prevent browser crashes)
-        if (file.size > 500 * 1024 * 1024) {
-            elements.debugInfo.textContent = 'Error: File too large (max 500MB).';
+        const problem = checkVideoFile(file);
+        if (problem) {
+            elements.debugInfo.textContent = `Error: ${problem}`;
             return;
         }
         
@@ -171,8 +173,23 @@ function processVideoFile(e) {
     }
 }
 
+// Why a file can't be processed, or null if it can
+export function checkVideoFile(file) {
+    // Check file type
+    if (!file.type.startsWith('video/')) {
+        return 'Not a valid video file.';
+    }
+    
+    // Check file size (limit to 500MB to prevent browser crashes)
+    if (file.size > 500 * 1024 * 1024) {
+        return 'File too large (max 500MB).';
+    }
+    
+    return null;
+}
+
 // Stop video processing with better cleanup
-function stopVideoProcessing() {
+export function stopVideoProcessing() {
     // Stop any active streams
     if (videoStream) {
         videoStream.getTracks().forEach(track => {
@@ -253,8 +270,15 @@ function setupDragAndDrop() {
         dragCounter = 0;
         dropZone.style.display = 'none';
         
-        if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-            const file = e.dataTransfer.files[0];
+        // Several files, or files dropped on the processing queue, are queued for rendering
+        const files = e.dataTransfer.files ? [...e.dataTransfer.files] : [];
+        if (files.length > 1 || (files.length === 1 && isInQueuePanel(e.target))) {
+            enqueueVideoFiles(files);
+            return;
+        }
+        
+        if (files.length === 1) {
+            const file = files[0];
             
             // Check if it's a video file
             if (file.type.startsWith('video/')) {
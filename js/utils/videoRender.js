@@ -0,0 +1,292 @@
+// Video Render Module - Renders an uploaded video file to an avatar video, frame by frame
+//
+// Processing a file in real time drops frames whenever detection is slower than
+// playback, so the result depends on the machine. Rendering instead seeks to every
+// frame of the source in turn, waits for tracking to finish on it, composites the
+// output and encodes it with the frame's own timestamp (WebCodecs, see webmWriter.js).
+// The output has the source's frame rate and duration however long rendering takes.
+import { elements, appState, updateUIState } from '../main.js';
+import {
+    activeProviderRequiresVideo, beginFrameTracking, trackVideoFrame, endFrameTracking
+} from '../tracking/trackingManager.js';
+import { checkVideoFile, stopVideoProcessing } from './videoProcessing.js';
+import { renderCompositeFrame } from './compositor.js';
+import { downloadBlob } from './recording.js';
+import { createWebM } from './webmWriter.js';
+import { enqueueVideoFiles } from './batchQueue.js';
+
+// Encoders to try, best first
+const CODECS = ['vp09.00.10.08', 'vp8'];
+
+// Frame rates that measured rates are snapped to when they are within 1%
+const COMMON_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+
+// How many frames to time when measuring the frame rate, and how long to try for (ms)
+const FRAME_RATE_SAMPLES = 10;
+const FRAME_RATE_TIMEOUT = 2000;
+
+// Seconds between key frames, so the output can be seeked
+const KEY_FRAME_INTERVAL = 2;
+
+// Most frames waiting in the encoder before rendering waits for it to catch up
+const MAX_QUEUED_FRAMES = 8;
+
+// Local variables
+let cancelRequested = false;
+
+// Set up the render button, file input and progress dialog
+export function setupVideoRender() {
+    elements.renderFileBtn.addEventListener('click', () => elements.renderFileInput.click());
+    elements.renderFileInput.addEventListener('change', handleRenderFileChange);
+    elements.renderCancel.addEventListener('click', () => {
+        cancelRequested = true;
+        elements.renderMessage.textContent = 'Cancelling...';
+    });
+}
+
+// Handle video files being picked for rendering; several at once go to the processing queue
+function handleRenderFileChange(e) {
+    const files = e.target.files ? [...e.target.files] : [];
+    
+    // Allow picking the same file again
+    e.target.value = '';
+    if (files.length === 0) return;
+    if (files.length > 1) {
+        enqueueVideoFiles(files);
+        return;
+    }
+    
+    const file = files[0];
+    const problem = checkVideoFile(file);
+    if (problem) {
+        elements.debugInfo.textContent = `Error: ${problem}`;
+        return;
+    }
+    
+    renderVideoFile(file);
+}
+
+// Render a video file to a WebM download, with a progress bar and a cancel button;
+// resolves to { outcome, message } with outcome 'done', 'cancelled' or 'failed'
+export async function renderVideoFile(file) {
+    const problem = appState.isRendering ? 'Another file is already being rendered.' : getRenderProblem();
+    if (problem) {
+        elements.debugInfo.textContent = `Error: ${problem}`;
+        return { outcome: 'failed', message: problem };
+    }
+    
+    stopVideoProcessing();
+    cancelRequested = false;
+    appState.isRendering = true;
+    updateUIState();
+    showProgress(`Loading ${file.name}...`, 0);
+    
+    const url = URL.createObjectURL(file);
+    let encoder = null;
+    let status = null;
+    let result = null;
+    
+    try {
+        const video = elements.video;
+        video.srcObject = null;
+        video.muted = true;
+        video.src = url;
+        await waitForEvent(video, 'loadeddata');
+        
+        const duration = video.duration;
+        if (!isFinite(duration) || duration <= 0) {
+            throw new Error('The video\'s length is unknown');
+        }
+        
+        const measuredRate = await measureFrameRate(video);
+        const frameRate = measuredRate || appState.config.recording.fps;
+        const frameCount = Math.max(1, Math.round(duration * frameRate));
+        
+        beginFrameTracking();
+        const width = elements.canvas.width;
+        const height = elements.canvas.height;
+        
+        const chunks = [];
+        let encoderError = null;
+        const codec = await chooseCodec(width, height, frameRate);
+        encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+            },
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+        encoder.configure(getEncoderConfig(codec, width, height, frameRate));
+        
+        const keyFrameEvery = Math.max(1, Math.round(frameRate * KEY_FRAME_INTERVAL));
+        
+        for (let i = 0; i < frameCount; i++) {
+            if (cancelRequested) break;
+            if (encoderError) throw encoderError;
+            
+            // Seek to the middle of the frame so rounding can't land on its neighbour
+            const frameStart = i / frameRate;
+            await seekVideo(video, Math.min((i + 0.5) / frameRate, duration - 0.001));
+            await trackVideoFrame(frameStart);
+            const output = await renderCompositeFrame();
+            
+            // The last frame lasts until the end of the source, so the output is exactly as long
+            const frameEnd = i === frameCount - 1 ? duration : (i + 1) / frameRate;
+            const frame = new VideoFrame(output, {
+                timestamp: Math.round(frameStart * 1e6),
+                duration: Math.round((frameEnd - frameStart) * 1e6)
+            });
+            encoder.encode(frame, { keyFrame: i % keyFrameEvery === 0 });
+            frame.close();
+            
+            while (encoder.encodeQueueSize > MAX_QUEUED_FRAMES) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            
+            showProgress(`Rendering ${file.name}: frame ${i + 1} of ${frameCount} at ${formatFrameRate(frameRate)} fps` +
+                (measuredRate ? '' : ' (frame rate not detected, using the recording setting)'), (i + 1) / frameCount);
+        }
+        
+        if (cancelRequested) {
+            status = 'Status: Render cancelled';
+            result = { outcome: 'cancelled', message: 'Cancelled' };
+            return result;
+        }
+        
+        showProgress('Finishing...', 1);
+        await encoder.flush();
+        if (encoderError) throw encoderError;
+        
+        const blob = createWebM({ codec, width, height, duration }, chunks);
+        downloadBlob(blob, `${file.name.replace(/\.[^.]*$/, '')}-avatar.webm`);
+        status = `Status: Rendered ${frameCount} frames from ${file.name}`;
+        result = { outcome: 'done', message: `${frameCount} frames at ${formatFrameRate(frameRate)} fps` };
+    } catch (error) {
+        console.error('Error rendering video file:', error);
+        status = `Render error: ${error.message}`;
+        result = { outcome: 'failed', message: error.message };
+    } finally {
+        if (encoder && encoder.state !== 'closed') {
+            encoder.close();
+        }
+        endFrameTracking();
+        
+        elements.video.src = '';
+        elements.video.load();
+        URL.revokeObjectURL(url);
+        
+        elements.renderOverlay.style.display = 'none';
+        appState.isRendering = false;
+        updateUIState();
+        
+        // After the UI update, which resets the status line
+        if (status) {
+            elements.debugInfo.textContent = status;
+        }
+    }
+    
+    return result;
+}
+
+// Why files can't be rendered right now, or null if they can
+export function getRenderProblem() {
+    if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') {
+        return 'Rendering files needs a browser that supports WebCodecs video encoding.';
+    }
+    if (!activeProviderRequiresVideo()) {
+        return 'Choose a camera tracker (such as MediaPipe) to render a video file.';
+    }
+    return null;
+}
+
+// Time the first few frames the video presents; null if the browser can't tell
+async function measureFrameRate(video) {
+    if (!video.requestVideoFrameCallback) return null;
+    
+    const mediaTimes = [];
+    await new Promise(resolve => {
+        const timeout = setTimeout(resolve, FRAME_RATE_TIMEOUT);
+        const onFrame = (now, metadata) => {
+            mediaTimes.push(metadata.mediaTime);
+            if (mediaTimes.length >= FRAME_RATE_SAMPLES) {
+                clearTimeout(timeout);
+                resolve();
+            } else {
+                video.requestVideoFrameCallback(onFrame);
+            }
+        };
+        video.requestVideoFrameCallback(onFrame);
+        video.play().catch(resolve);
+    });
+    video.pause();
+    
+    // Frames the browser skipped show up as longer gaps, so the shortest gap is one frame
+    let interval = Infinity;
+    for (let i = 1; i < mediaTimes.length; i++) {
+        const gap = mediaTimes[i] - mediaTimes[i - 1];
+        if (gap > 0) interval = Math.min(interval, gap);
+    }
+    if (!isFinite(interval)) return null;
+    
+    const rate = 1 / interval;
+    const common = COMMON_FRAME_RATES.find(candidate => Math.abs(candidate - rate) / candidate < 0.01);
+    return common || rate;
+}
+
+// The best encoder this browser has for the output size
+async function chooseCodec(width, height, frameRate) {
+    for (const codec of CODECS) {
+        const support = await VideoEncoder.isConfigSupported(getEncoderConfig(codec, width, height, frameRate));
+        if (support.supported) return codec;
+    }
+    throw new Error('No WebM video encoder is available in this browser');
+}
+
+// Encoder settings, with the bitrate following the recording quality setting
+function getEncoderConfig(codec, width, height, frameRate) {
+    return {
+        codec,
+        width,
+        height,
+        framerate: frameRate,
+        bitrate: appState.config.recording.quality === 'high' ? 5000000 : 2500000
+    };
+}
+
+// Seek the video and wait until the frame at that time can be drawn
+function seekVideo(video, time) {
+    const seeked = waitForEvent(video, 'seeked');
+    video.currentTime = time;
+    return seeked;
+}
+
+// Wait for a media event, failing if the video reports an error first
+function waitForEvent(video, name) {
+    return new Promise((resolve, reject) => {
+        const onEvent = () => {
+            video.removeEventListener('error', onError);
+            resolve();
+        };
+        const onError = () => {
+            video.removeEventListener(name, onEvent);
+            reject(new Error('Could not read the video file. The format may not be supported.'));
+        };
+        video.addEventListener(name, onEvent, { once: true });
+        video.addEventListener('error', onError, { once: true });
+    });
+}
+
+// Show the progress dialog with a message and progress, 0..1
+function showProgress(message, fraction) {
+    elements.renderOverlay.style.display = 'block';
+    elements.renderMessage.textContent = message;
+    elements.renderProgressBar.style.width = `${Math.min(1, Math.max(0, fraction)) * 100}%`;
+}
+
+// Frame rates like 29.97 keep their decimals, whole ones don't
+function formatFrameRate(rate) {
+    return Number.isInteger(rate) ? rate : rate.toFixed(2);
+}
\ No newline at end of file
@@ -0,0 +1,201 @@
+// WebM Writer - Packs encoded video frames into a WebM file with exact timestamps
+//
+// MediaRecorder stamps frames with the wall clock, so a recording only lasts as
+// long as the source when rendering keeps up in real time. Frames encoded with
+// WebCodecs carry their own timestamps; this writes them into a WebM (Matroska)
+// file as they are, so the file plays back at the source's timing however long
+// rendering took.
+//
+// Chunks are { data, timestamp, key }: the encoded bytes (Uint8Array), the
+// presentation time in microseconds and whether it is a key frame, in order.
+// Only a single VP8 or VP9 video track is written; there is no audio.
+
+// Matroska element IDs used here
+const IDS = {
+    ebml: 0x1A45DFA3,
+    ebmlVersion: 0x4286,
+    ebmlReadVersion: 0x42F7,
+    ebmlMaxIdLength: 0x42F2,
+    ebmlMaxSizeLength: 0x42F3,
+    docType: 0x4282,
+    docTypeVersion: 0x4287,
+    docTypeReadVersion: 0x4285,
+    segment: 0x18538067,
+    info: 0x1549A966,
+    timecodeScale: 0x2AD7B1,
+    duration: 0x4489,
+    muxingApp: 0x4D80,
+    writingApp: 0x5741,
+    tracks: 0x1654AE6B,
+    trackEntry: 0xAE,
+    trackNumber: 0xD7,
+    trackUid: 0x73C5,
+    trackType: 0x83,
+    codecId: 0x86,
+    video: 0xE0,
+    pixelWidth: 0xB0,
+    pixelHeight: 0xBA,
+    cluster: 0x1F43B675,
+    timecode: 0xE7,
+    simpleBlock: 0xA3,
+    cues: 0x1C53BB6B,
+    cuePoint: 0xBB,
+    cueTime: 0xB3,
+    cueTrackPositions: 0xB7,
+    cueTrack: 0xF7,
+    cueClusterPosition: 0xF1
+};
+
+// Matroska codec IDs by WebCodecs codec string prefix
+const CODEC_IDS = {
+    vp8: 'V_VP8',
+    vp09: 'V_VP9'
+};
+
+// Timestamps are written in milliseconds
+const TIMECODE_SCALE = 1000000;
+
+// Block timecodes are 16-bit offsets from their cluster's, so clusters can't span much longer than this (ms)
+const MAX_CLUSTER_SPAN = 30000;
+
+// Build a WebM file ({ codec, width, height, duration } with the duration in seconds) from encoded chunks
+export function createWebM({ codec, width, height, duration }, chunks) {
+    const codecId = CODEC_IDS[codec.split('.')[0]];
+    if (!codecId) {
+        throw new Error(`WebM can't hold ${codec} video`);
+    }
+    
+    const header = element(IDS.ebml, [
+        uintElement(IDS.ebmlVersion, 1),
+        uintElement(IDS.ebmlReadVersion, 1),
+        uintElement(IDS.ebmlMaxIdLength, 4),
+        uintElement(IDS.ebmlMaxSizeLength, 8),
+        stringElement(IDS.docType, 'webm'),
+        uintElement(IDS.docTypeVersion, 2),
+        uintElement(IDS.docTypeReadVersion, 2)
+    ]);
+    
+    const info = element(IDS.info, [
+        uintElement(IDS.timecodeScale, TIMECODE_SCALE),
+        floatElement(IDS.duration, duration * 1000),
+        stringElement(IDS.muxingApp, 'Avatar Tracker'),
+        stringElement(IDS.writingApp, 'Avatar Tracker')
+    ]);
+    
+    const tracks = element(IDS.tracks, [
+        element(IDS.trackEntry, [
+            uintElement(IDS.trackNumber, 1),
+            uintElement(IDS.trackUid, 1),
+            uintElement(IDS.trackType, 1),
+            stringElement(IDS.codecId, codecId),
+            element(IDS.video, [
+                uintElement(IDS.pixelWidth, width),
+                uintElement(IDS.pixelHeight, height)
+            ])
+        ])
+    ]);
+    
+    // Clusters start at key frames, so every cluster can be decoded on its own when seeking
+    const clusters = [];
+    const cuePoints = [];
+    let position = byteLength(info) + byteLength(tracks);
+    let cluster = null;
+    
+    const closeCluster = () => {
+        if (!cluster) return;
+        
+        const built = element(IDS.cluster, [uintElement(IDS.timecode, cluster.time), ...cluster.blocks]);
+        cuePoints.push(element(IDS.cuePoint, [
+            uintElement(IDS.cueTime, cluster.time),
+            element(IDS.cueTrackPositions, [
+                uintElement(IDS.cueTrack, 1),
+                uintElement(IDS.cueClusterPosition, position)
+            ])
+        ]));
+        clusters.push(built);
+        position += byteLength(built);
+        cluster = null;
+    };
+    
+    chunks.forEach(chunk => {
+        const time = Math.round(chunk.timestamp / 1000);
+        if (!cluster || (chunk.key && time > cluster.time) || time - cluster.time > MAX_CLUSTER_SPAN) {
+            closeCluster();
+            cluster = { time, blocks: [] };
+        }
+        cluster.blocks.push(simpleBlock(chunk, time - cluster.time));
+    });
+    closeCluster();
+    
+    const segment = element(IDS.segment, [info, tracks, ...clusters, element(IDS.cues, cuePoints)]);
+    return new Blob([...header, ...segment], { type: 'video/webm' });
+}
+
+// A SimpleBlock for track 1 holding one frame, timed relative to its cluster
+function simpleBlock(chunk, relativeTime) {
+    const blockHeader = new Uint8Array(4);
+    const view = new DataView(blockHeader.buffer);
+    blockHeader[0] = 0x81; // track number 1 as a one-byte size
+    view.setInt16(1, relativeTime);
+    blockHeader[3] = chunk.key ? 0x80 : 0;
+    return element(IDS.simpleBlock, [[blockHeader, chunk.data]]);
+}
+
+// An element as a list of byte arrays: ID, size and contents (children are lists themselves)
+function element(id, children) {
+    const content = children.flat();
+    const size = content.reduce((sum, part) => sum + part.byteLength, 0);
+    return [idBytes(id), sizeBytes(size), ...content];
+}
+
+// An element holding an unsigned integer
+function uintElement(id, value) {
+    const bytes = [];
+    let remaining = Math.max(0, Math.round(value));
+    do {
+        bytes.unshift(remaining % 256);
+        remaining = Math.floor(remaining / 256);
+    } while (remaining > 0);
+    return element(id, [new Uint8Array(bytes)]);
+}
+
+// An element holding a 64-bit float
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, [bytes]);
+}
+
+// An element holding an ASCII string
+function stringElement(id, value) {
+    return element(id, [new TextEncoder().encode(value)]);
+}
+
+// Element IDs are written as they are, in as many bytes as they need
+function idBytes(id) {
+    const bytes = [];
+    for (let remaining = id; remaining > 0; remaining = Math.floor(remaining / 256)) {
+        bytes.unshift(remaining % 256);
+    }
+    return new Uint8Array(bytes);
+}
+
+// Element sizes are variable-length integers: the position of the first set bit gives the length
+function sizeBytes(size) {
+    let length = 1;
+    while (length < 8 && size >= Math.pow(2, 7 * length) - 1) length++;
+    
+    const bytes = new Uint8Array(length);
+    let remaining = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+// Total bytes of an element built by element()
+function byteLength(parts) {
+    return parts.reduce((sum, part) => sum + part.byteLength, 0);
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+// Avatar definition tests - Loading avatars from JSON bundles and SVG files, and drawing them by their rig and channels
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, getAvatarPart, getPartNumber, getPartTransform, getBoneTransform } from './helpers/app.js';
+import {
+    parseAvatarDefinition, saveAvatarDefinition, deleteAvatarDefinition, getAvatarDefinitions, DEFAULT_AVATAR
+} from '../js/avatar/avatarDefinitions.js';
+
+// A small avatar as an SVG file: a helmet for a head, arms on narrow shoulders, no legs or brows
+const HELMET_SVG = `<svg xmlns="http://www.w3.org/2000/svg">
+    <metadata>{
+        "label": "Helmet",
+        "rig": { "shoulders": { "left": [-60, 40], "right": [60, 40] }, "eyes": { "left": [-20, -45], "right": [20, -45] } },
+        "channels": { "head": "helmet" }
+    }</metadata>
+    <g data-part="upperBody">
+        <g data-part="leftArm"><rect data-part="leftUpperArm" x="-80" y="40" width="20" height="80" /><rect data-part="leftForearm" x="-80" y="120" width="20" height="80" /></g>
+        <g data-part="rightArm"><rect data-part="rightUpperArm" x="60" y="40" width="20" height="80" /><rect data-part="rightForearm" x="60" y="120" width="20" height="80" /></g>
+    </g>
+    <g data-part="helmet">
+        <circle cx="0" cy="-50" r="60" fill="#345" />
+        <ellipse data-part="leftEye" cx="-20" cy="-45" rx="12" ry="15" fill="#fff" />
+        <ellipse data-part="rightEye" cx="20" cy="-45" rx="12" ry="15" fill="#fff" />
+    </g>
+</svg>`;
+
+// A normalized 17 keypoint pose from { index: [x, y] }, every listed joint confidently seen
+function createPose(points) {
+    const pose = Array(17).fill(null);
+    Object.entries(points).forEach(([index, [x, y]]) => {
+        pose[index] = { x, y, score: 0.9 };
+    });
+    return pose;
+}
+
+// Draw the avatars as an avatar for the length of a test
+async function withAvatar(name, run) {
+    const { avatar } = await startApp();
+    avatar.setAvatarDefinition(name);
+    try {
+        await run(avatar);
+    } finally {
+        avatar.setAvatarDefinition(DEFAULT_AVATAR);
+    }
+}
+
+before(async () => {
+    const { elements } = await startApp();
+    elements.canvas.width = 640;
+    elements.canvas.height = 480;
+});
+
+test('reads an avatar from an SVG file, named after the file', () => {
+    const helmet = parseAvatarDefinition(HELMET_SVG, 'helmet.svg');
+    
+    assert.equal(helmet.name, 'helmet');
+    assert.equal(helmet.label, 'Helmet');
+    assert.deepEqual(helmet.rig.shoulders.left, [-60, 40]);
+    assert.equal(helmet.rig.upperArmLength, 80, 'left-out rig values are the defaults');
+    assert.equal(helmet.channels.head, 'helmet');
+    assert.equal(helmet.channels.mouth, 'mouth');
+    assert.ok(!helmet.svg.includes('<metadata'));
+});
+
+test('rejects avatars that aren\'t valid', () => {
+    assert.throws(() => parseAvatarDefinition('{ nope'), /neither an SVG nor valid JSON/);
+    assert.throws(() => parseAvatarDefinition('<svg><g></svg>'), /not a well-formed SVG/);
+    assert.throws(() => parseAvatarDefinition('{"name": "a"}'), /parts as SVG markup/);
+    assert.throws(() => parseAvatarDefinition('{"name": "a", "svg": "<rect />"}'), /none of the parts/);
+    assert.throws(
+        () => parseAvatarDefinition('{"name": "a", "svg": "<g data-part=\\"head\\" />", "channels": {"tail": "head"}}'),
+        /Unknown channel "tail"/
+    );
+    assert.throws(
+        () => parseAvatarDefinition('{"name": "a", "svg": "<g data-part=\\"head\\" />", "rig": {"shoulders": {"left": 5}}}'),
+        /"rig.shoulders.left" must be a point/
+    );
+});
+
+test('takes out anything in an avatar that could run script', () => {
+    const avatar = parseAvatarDefinition(JSON.stringify({
+        name: 'sneaky',
+        svg: '<g data-part="head" onclick="alert(1)"><script>alert(2)</script><a href="javascript:alert(3)"><circle r="5" /></a></g>'
+    }));
+    
+    assert.ok(!/onclick|script|javascript/.test(avatar.svg), avatar.svg);
+    assert.ok(avatar.svg.includes('<circle'));
+});
+
+test('draws an avatar without anything that could run script, even markup HTML reads differently', async () => {
+    const { errors } = await startApp();
+    
+    // An HTML parser ends the CDATA at the first > and would make the rest an <img>
+    saveAvatarDefinition(parseAvatarDefinition(JSON.stringify({
+        name: 'cdata',
+        svg: '<g data-part="head"><desc><![CDATA[><img src=x onerror=alert(1)>]]></desc></g>' +
+            '<g data-part="neck"><use href="#head" /><set attributeName="href" to="javascript:alert(2)" /><a xlink:href="javascript:alert(3)" xmlns:xlink="http://www.w3.org/1999/xlink"><rect width="5" height="5" /></a></g>'
+    })));
+    
+    try {
+        await withAvatar('cdata', async () => {
+            const drawn = getAvatarPart('head').closest('.avatarGroup');
+            assert.equal(drawn.querySelectorAll('img, use, set').length, 0, drawn.innerHTML);
+            assert.ok(![...drawn.querySelectorAll('*')].some(element => [...element.attributes].some(attribute => /^on|href$/i.test(attribute.name))));
+            assert.ok(getAvatarPart('neck').querySelector('a rect'), 'what a link holds is kept');
+            assert.deepEqual(errors, []);
+        });
+    } finally {
+        deleteAvatarDefinition('cdata');
+    }
+});
+
+test('draws a built-in avatar with its own rig', async () => {
+    await withAvatar('robot', async (avatar) => {
+        assert.ok(getAvatarPart('visor'));
+        avatar.updateAvatarFace({ x: 0, y: 0, z: 0, rx: 0, ry: 20, rz: 0 }, undefined, { leftEyeOpen: 1, rightEyeOpen: 1 });
+        
+        // The robot's eyes are 24 from the middle and 12 high
+        assert.equal(getPartNumber('leftEye', 'cx'), -29);
+        assert.equal(getPartNumber('leftEye', 'ry'), 12);
+    });
+    
+    assert.equal(getPartNumber('leftEye', 'cx'), -25, 'back to the tricolor avatar');
+});
+
+test('drives the parts an avatar\'s channels name, and skips the ones it doesn\'t have', async () => {
+    const { errors } = await startApp();
+    saveAvatarDefinition(parseAvatarDefinition(HELMET_SVG, 'helmet.svg'));
+    
+    try {
+        await withAvatar('helmet', async (avatar) => {
+            avatar.updateAvatarFace({ x: 10, y: 0, z: 0, rx: 0, ry: 0, rz: 0 }, undefined, { mouthOpen: 0.5, leftBrowRaise: 1, rightBrowRaise: 1 });
+            assert.deepEqual(getPartTransform('helmet').translate, [12, 0]);
+            
+            // The upper arm turns about the helmet avatar's own shoulder; an arm straight down hangs at rest
+            avatar.updateAvatarBody(createPose({ 0: [320, 140], 5: [235, 240], 6: [405, 240], 8: [405, 340] }));
+            assert.deepEqual(getBoneTransform('rightUpperArm').rotate, [0, 60, 40]);
+            assert.deepEqual(errors, []);
+        });
+    } finally {
+        deleteAvatarDefinition('helmet');
+    }
+    assert.ok(!getAvatarDefinitions().some(listed => listed.name === 'helmet'));
+});
+
+test('asks before a loaded avatar replaces one of the same name', async () => {
+    const { elements, appState } = await startApp();
+    const confirm = window.confirm;
+    
+    // Pick a file with the load button's file input; jsdom's files can't be read with text()
+    const loadFile = async (text) => {
+        const file = { name: 'helmet.svg', text: async () => text };
+        Object.defineProperty(elements.avatarFileInput, 'files', { value: [file], configurable: true });
+        elements.avatarFileInput.dispatchEvent(new Event('change'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+    };
+    
+    try {
+        await loadFile(HELMET_SVG);
+        assert.equal(appState.config.avatar, 'helmet');
+        
+        const asked = [];
+        window.confirm = (message) => {
+            asked.push(message);
+            return false;
+        };
+        await loadFile(HELMET_SVG.replace('"Helmet"', '"Other helmet"'));
+        assert.deepEqual(asked, ['Replace the avatar "helmet"?']);
+        assert.equal(getAvatarDefinitions().find(listed => listed.name === 'helmet').label, 'Helmet');
+    } finally {
+        window.confirm = confirm;
+        appState.config.avatar = DEFAULT_AVATAR;
+        deleteAvatarDefinition('helmet');
+        elements.avatarSelect.value = DEFAULT_AVATAR;
+        elements.avatarSelect.dispatchEvent(new Event('change'));
+    }
+});
+
+test('won\'t replace a built-in avatar', () => {
+    const avatar = parseAvatarDefinition(HELMET_SVG, 'robot.svg');
+    assert.throws(() => saveAvatarDefinition(avatar), /built-in avatar/);
+});
\ No newline at end of file
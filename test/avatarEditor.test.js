@@ -0,0 +1,156 @@
+// Avatar editor tests - Designs, the live preview while editing, and keeping designs as presets and files
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, getAvatarPart, getPartNumber } from './helpers/app.js';
+import { createDesignBundle, normalizeDesign, DEFAULT_DESIGN } from '../js/avatar/avatarDesigner.js';
+import { getAvatarDefinition, getAvatarDefinitions, DEFAULT_AVATAR } from '../js/avatar/avatarDefinitions.js';
+
+// Change an editor control as the user would
+function setControl(control, value) {
+    if (control.type === 'checkbox') {
+        control.checked = value;
+    } else {
+        control.value = value;
+    }
+    control.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// An editor control by the part of the design it sets, e.g. ('color', 'stripeTop')
+function getControl(kind, key) {
+    return document.querySelector(`#avatarEditor [data-${kind}="${key}"]`);
+}
+
+// Open the editor for the length of a test, closing it and removing presets afterwards
+async function withEditor(run) {
+    const { elements } = await startApp();
+    const confirm = window.confirm;
+    window.confirm = () => true;
+    elements.editorButton.click();
+    try {
+        await run(elements);
+    } finally {
+        elements.editorClose.click();
+        getAvatarDefinitions().filter(avatar => avatar.custom).forEach(avatar => {
+            elements.editorPreset.value = avatar.name;
+            elements.editorDelete.click();
+        });
+        window.confirm = confirm;
+    }
+}
+
+before(async () => {
+    const { elements } = await startApp();
+    elements.canvas.width = 640;
+    elements.canvas.height = 480;
+});
+
+test('fills in a design from the default and keeps it in range', () => {
+    const design = normalizeDesign({ proportions: { headSize: 3 }, colors: { torso: '#ABC' }, accessories: ['glasses'] });
+    
+    assert.equal(design.proportions.headSize, 1.2);
+    assert.equal(design.proportions.armLength, 1);
+    assert.equal(design.colors.torso, '#aabbcc');
+    assert.equal(design.colors.stripeTop, DEFAULT_DESIGN.colors.stripeTop);
+    assert.equal(design.eyes, 'round');
+    assert.deepEqual(design.accessories, ['glasses']);
+    
+    assert.throws(() => normalizeDesign({ proportions: { tail: 1 } }), /Unknown proportion "tail"/);
+    assert.throws(() => normalizeDesign({ colors: { torso: 'red' } }), /must be a hex colour/);
+    assert.throws(() => normalizeDesign({ eyes: 'starry' }), /Unknown eye style/);
+    assert.throws(() => normalizeDesign({ accessories: ['cape'] }), /list of/);
+});
+
+test('draws the default design as the tricolor avatar', () => {
+    const tricolor = getAvatarDefinition(DEFAULT_AVATAR);
+    
+    assert.deepEqual(tricolor.source.design, normalizeDesign(DEFAULT_DESIGN));
+    assert.deepEqual(tricolor.rig.shoulders.left, [-85, 50]);
+    assert.deepEqual(tricolor.rig.wrists.right, [97.5, 210]);
+    assert.equal(tricolor.rig.upperArmLength, 80);
+});
+
+test('rigs a design to its proportions', () => {
+    const { rig } = createDesignBundle({ proportions: { shoulderWidth: 1.2, armLength: 1.1 }, eyes: 'narrow', mouth: 'wide' });
+    
+    assert.deepEqual(rig.shoulders.right, [102, 50]);
+    assert.equal(rig.upperArmLength, 88);
+    assert.deepEqual(rig.wrists.left, [-114.5, 226]);
+    assert.equal(rig.eyes.height, 8);
+    assert.equal(rig.mouth.width, 28);
+});
+
+test('previews each change on the avatar, and puts the avatar in use back on closing', async () => {
+    const { avatar, errors } = await startApp();
+    
+    await withEditor(async (elements) => {
+        setControl(getControl('color', 'stripeTop'), '#0000ff');
+        setControl(getControl('accessory', 'glasses'), true);
+        setControl(elements.editorEyes, 'wide');
+        
+        assert.equal(getAvatarPart('balaclavaPart1').getAttribute('fill'), '#0000ff');
+        assert.ok(getAvatarPart('glasses'));
+        
+        // Wide eyes are 11 high when open
+        avatar.updateAvatarFace({ x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 }, undefined, { leftEyeOpen: 1, rightEyeOpen: 1 });
+        assert.equal(getPartNumber('leftEye', 'ry'), 11);
+    });
+    
+    assert.equal(getAvatarPart('balaclavaPart1').getAttribute('fill'), DEFAULT_DESIGN.colors.stripeTop);
+    assert.throws(() => getAvatarPart('glasses'));
+    assert.deepEqual(errors, []);
+});
+
+test('saves a design as a preset and uses it, and removes it again', async () => {
+    const { appState } = await startApp();
+    
+    await withEditor(async (elements) => {
+        setControl(getControl('proportion', 'headSize'), '1.1');
+        setControl(getControl('accessory', 'beanie'), true);
+        elements.editorName.value = 'Beanie';
+        elements.editorSave.click();
+        
+        assert.equal(appState.config.avatar, 'Beanie');
+        assert.equal(elements.avatarSelect.value, 'Beanie');
+        assert.equal(elements.editorPreset.value, 'Beanie');
+        assert.deepEqual(getAvatarDefinition('Beanie').source.design.accessories, ['beanie']);
+        assert.equal(getAvatarDefinition('Beanie').source.design.proportions.headSize, 1.1);
+        
+        elements.editorDelete.click();
+        assert.equal(getAvatarDefinition('Beanie'), null);
+        assert.equal(appState.config.avatar, DEFAULT_AVATAR);
+        assert.equal(elements.editorName.value, '', 'back on the default design');
+    });
+});
+
+test('imports an exported design as a preset, asking before replacing one, and refuses files without one', async () => {
+    const { appState } = await startApp();
+    
+    // Pick a file with the import button's file input; jsdom's files can't be read with text()
+    const importFile = async (elements, text, name) => {
+        const file = { name, text: async () => text };
+        Object.defineProperty(elements.editorFileInput, 'files', { value: [file], configurable: true });
+        elements.editorFileInput.dispatchEvent(new Event('change'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+    };
+    
+    await withEditor(async (elements) => {
+        const bundle = createDesignBundle({ mouth: 'round', colors: { torso: '#1e3a5f' } }, 'navy', 'Navy');
+        await importFile(elements, JSON.stringify(bundle), 'navy.json');
+        
+        assert.equal(appState.config.avatar, 'navy');
+        assert.equal(getControl('color', 'torso').value, '#1e3a5f');
+        assert.equal(elements.editorMouth.value, 'round');
+        assert.equal(getAvatarPart('torso').getAttribute('fill'), '#1e3a5f');
+        
+        // A design under a name in use replaces it only if the user agrees
+        window.confirm = () => false;
+        const teal = createDesignBundle({ colors: { torso: '#008080' } }, 'navy', 'Teal');
+        await importFile(elements, JSON.stringify(teal), 'navy.json');
+        window.confirm = () => true;
+        assert.equal(getAvatarDefinition('navy').source.design.colors.torso, '#1e3a5f');
+        
+        await importFile(elements, '{"name": "plain", "svg": "<g data-part=\\"head\\" />"}', 'plain.json');
+        assert.match(elements.debugInfo.textContent, /no avatar editor design/);
+        assert.equal(getAvatarDefinition('plain'), null);
+    });
+});
\ No newline at end of file
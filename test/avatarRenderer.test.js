@@ -0,0 +1,136 @@
+// Avatar renderer tests - The SVG attributes updateAvatarBody() and updateAvatarFace() set from normalized poses
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startApp, getAvatarPart, getAvatarBone, getPartNumber, getPartTransform, getBoneTransform, getAvatarPose
+} from './helpers/app.js';
+import { assertNear } from './helpers/assert.js';
+import { createSkeleton, getBoneEnd } from '../js/avatar/avatarSkeleton.js';
+import { getAvatarDefinition, DEFAULT_AVATAR } from '../js/avatar/avatarDefinitions.js';
+
+// A normalized 17 keypoint pose from { index: [x, y] }, every listed joint confidently seen
+function createPose(points) {
+    const pose = Array(17).fill(null);
+    Object.entries(points).forEach(([index, [x, y]]) => {
+        pose[index] = { x, y, score: 0.9 };
+    });
+    return pose;
+}
+
+// Relaxed pose with the shoulders where tracking puts them, the avatar's shoulder width apart
+const SHOULDERS = { 0: [320, 140], 5: [235, 240], 6: [405, 240] };
+
+// The skeleton of the tricolor avatar's rig; avatars are only read once the app has started
+function getSkeleton() {
+    return createSkeleton(getAvatarDefinition(DEFAULT_AVATAR).rig);
+}
+
+before(async () => {
+    const { elements } = await startApp();
+    
+    // The frame size poses are normalized to
+    elements.canvas.width = 640;
+    elements.canvas.height = 480;
+});
+
+test('turns the upper arm about its shoulder towards the elbow', async () => {
+    const { avatar } = await startApp();
+    avatar.updateAvatarBody(createPose({ ...SHOULDERS, 7: [225, 340], 8: [455, 290], 9: [220, 440], 10: [505, 340] }));
+    
+    // The elbow is down and out at 45 degrees; at rest the upper arm hangs straight down
+    assert.deepEqual(getBoneTransform('rightUpperArm').rotate, [-45, 85, 50]);
+});
+
+test('hangs the forearm from the elbow and points it at the wrist', async () => {
+    const { avatar } = await startApp();
+    avatar.updateAvatarBody(createPose({ ...SHOULDERS, 7: [225, 340], 8: [455, 290], 9: [220, 440], 10: [455, 360] }));
+    
+    // The forearm turns about the elbow of the avatar at rest, and the upper arm carries it
+    assert.deepEqual(getBoneTransform('rightForearm').rotate.slice(1), [85, 130]);
+    
+    // The upper arm is 80 long; the wrist straight below the elbow leaves the forearm pointing straight down
+    const pose = getAvatarPose();
+    const [elbowX, elbowY] = getBoneEnd(getSkeleton(), pose, 'rightUpperArm');
+    const [wristX, wristY] = getBoneEnd(getSkeleton(), pose, 'rightForearm');
+    assertNear(elbowX, 85 + 80 * Math.SQRT1_2, 1e-9, 'elbow x');
+    assertNear(elbowY, 50 + 80 * Math.SQRT1_2, 1e-9, 'elbow y');
+    assertNear(wristX, elbowX, 1e-9, 'wrist x');
+    assertNear(wristY, elbowY + getSkeleton().rightForearm.length, 1e-9, 'wrist y');
+});
+
+test('keeps the upper arms from swinging through the body', async () => {
+    const { avatar } = await startApp();
+    avatar.updateAvatarBody(createPose({ ...SHOULDERS, 7: [335, 260], 8: [305, 260] }));
+    
+    assert.equal(getBoneTransform('leftUpperArm').rotate[0], -45);
+    assert.equal(getBoneTransform('rightUpperArm').rotate[0], 45);
+    
+    // An arm raised over the head and a little past it stays up
+    avatar.updateAvatarBody(createPose({ ...SHOULDERS, 8: [395, 140] }));
+    assert.equal(getBoneTransform('rightUpperArm').rotate[0], -180);
+});
+
+test('tilts the torso with the line between the shoulders, keeping the head upright', async () => {
+    const { avatar } = await startApp();
+    avatar.updateAvatarBody(createPose({ 0: [320, 140], 5: [235, 235], 6: [405, 245], 7: [225, 335], 8: [415, 345] }));
+    
+    const tilt = Math.atan2(10, 170) * 180 / Math.PI;
+    assertNear(getBoneTransform('torso').rotate[0], tilt, 1e-9, 'torso');
+    assertNear(getBoneTransform('neck').rotate[0], -tilt, 1e-9, 'neck');
+});
+
+test('carries the arms and head on the torso', async () => {
+    await startApp();
+    
+    assert.ok(getAvatarBone('torso').contains(getAvatarBone('rightShoulder')));
+    assert.ok(getAvatarBone('rightShoulder').contains(getAvatarPart('rightShoulder')));
+    assert.ok(getAvatarBone('rightUpperArm').contains(getAvatarBone('rightForearm')));
+    assert.ok(getAvatarBone('rightForearm').contains(getAvatarPart('rightHand')));
+    assert.ok(getAvatarBone('neck').contains(getAvatarPart('head')));
+});
+
+test('leaves the body alone for poses with too few keypoints', async () => {
+    const { avatar } = await startApp();
+    getAvatarBone('rightUpperArm').setAttribute('transform', 'rotate(12, 85, 50)');
+    avatar.updateAvatarBody([{ x: 320, y: 140, score: 0.9 }, null, null]);
+    
+    assert.deepEqual(getBoneTransform('rightUpperArm').rotate, [12, 85, 50]);
+});
+
+test('moves, scales and rolls the head', async () => {
+    const { avatar } = await startApp();
+    avatar.updateAvatarFace({ x: 10, y: -5, z: 0.1, rx: 0, ry: 0, rz: 5 }, undefined, { mouthOpen: 0 });
+    
+    const head = getPartTransform('head');
+    assertNear(head.translate[0], 12, 1e-9, 'head x');
+    assertNear(head.translate[1], -6, 1e-9, 'head y');
+    assertNear(head.scale[0], 1.12, 1e-9, 'head scale');
+    assertNear(head.rotate[0], 4, 1e-9, 'head roll');
+});
+
+test('turns the eyes with the head\'s yaw', async () => {
+    const { avatar } = await startApp();
+    avatar.updateAvatarFace({ x: 0, y: 0, z: 0, rx: 0, ry: 20, rz: 0 });
+    
+    assert.equal(getPartNumber('leftEye', 'cx'), -30);
+    assert.equal(getPartNumber('rightEye', 'cx'), 20);
+});
+
+test('shows measured eye openness, brows and mouth', async () => {
+    const { avatar } = await startApp();
+    avatar.updateAvatarFace({ x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 }, undefined, {
+        leftEyeOpen: 0.5, rightEyeOpen: 0, leftBrowRaise: 1, rightBrowRaise: -1, mouthOpen: 0.5, smile: 1
+    });
+    
+    // Closed eyes keep a sliver open
+    assert.equal(getPartNumber('leftEye', 'ry'), 7.5);
+    assert.equal(getPartNumber('rightEye', 'ry'), 0.75);
+    
+    // A raised brow lifts; a lowered one drops and pulls its inner end down into a frown
+    assert.equal(getAvatarPart('leftEyebrow').getAttribute('d'), 'M-40 -80 L-10 -80');
+    assert.equal(getAvatarPart('rightEyebrow').getAttribute('d'), 'M10 -55 L40 -60');
+    
+    // Opening makes the mouth taller and a little narrower, smiling wider
+    assert.equal(getPartNumber('mouth', 'ry'), 9);
+    assert.equal(getPartNumber('mouth', 'rx'), 26);
+});
\ No newline at end of file
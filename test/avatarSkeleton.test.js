@@ -0,0 +1,75 @@
+// Avatar skeleton tests - Bones built from a rig, joint angles, and forward kinematics through the bone hierarchy
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertNear } from './helpers/assert.js';
+import {
+    createSkeleton, createRestPose, aimBone, setBoneAngle, getWorldAngle, getBoneEnd, getBoneTransform
+} from '../js/avatar/avatarSkeleton.js';
+
+// The parts of the tricolor avatar's rig the skeleton is built from
+const RIG = {
+    shoulders: { left: [-85, 50], right: [85, 50] },
+    upperArmLength: 80,
+    wrists: { left: [-97.5, 210], right: [97.5, 210] },
+    eyes: { left: [-25, -50], right: [25, -50] },
+    hips: { left: [-45, 240], right: [45, 240] }
+};
+
+// Check a point to within rounding
+function assertPoint(actual, expected, message) {
+    assertNear(actual[0], expected[0], 1e-9, `${message} x`);
+    assertNear(actual[1], expected[1], 1e-9, `${message} y`);
+}
+
+test('builds the bones from the rig\'s pivots and lengths', () => {
+    const skeleton = createSkeleton(RIG);
+    
+    assert.deepEqual(skeleton.rightUpperArm.pivot, [85, 50]);
+    assert.deepEqual(skeleton.rightUpperArm.end, [85, 130]);
+    assert.equal(skeleton.rightUpperArm.length, 80);
+    assert.equal(skeleton.rightUpperArm.restAngle, 90);
+    assert.deepEqual(skeleton.rightForearm.pivot, [85, 130], 'the forearm turns about the elbow');
+    assert.deepEqual(skeleton.rightForearm.end, [97.5, 210]);
+    assert.equal(skeleton.rightHand.parent, 'rightForearm');
+    assert.equal(skeleton.neck.parent, 'torso');
+});
+
+test('carries each bone with its parents', () => {
+    const skeleton = createSkeleton(RIG);
+    const pose = createRestPose(skeleton);
+    assertPoint(getBoneEnd(skeleton, pose, 'rightForearm'), [97.5, 210], 'wrist at rest');
+    
+    // Raising the upper arm out level takes the elbow out to the side, and the forearm with it
+    pose.rightUpperArm = -90;
+    assertPoint(getBoneEnd(skeleton, pose, 'rightUpperArm'), [165, 50], 'elbow');
+    assertPoint(getBoneEnd(skeleton, pose, 'rightForearm'), [245, 37.5], 'wrist');
+    
+    // Bending the elbow turns only the forearm, about the moved elbow
+    pose.rightForearm = -90;
+    assertPoint(getBoneEnd(skeleton, pose, 'rightUpperArm'), [165, 50], 'elbow after bending');
+    assertPoint(getBoneEnd(skeleton, pose, 'rightForearm'), [152.5, -30], 'wrist after bending');
+    assert.equal(getWorldAngle(skeleton, pose, 'rightHand'), -180);
+    assert.equal(getBoneTransform(skeleton, pose, 'rightForearm'), 'rotate(-90, 85, 130)');
+});
+
+test('aims a bone in a direction on screen, taking out its parents\' turns', () => {
+    const skeleton = createSkeleton(RIG);
+    const pose = createRestPose(skeleton);
+    pose.torso = 10;
+    
+    // Straight out to the right, with the torso turned 10 degrees
+    assert.equal(aimBone(skeleton, pose, 'rightUpperArm', 0), -100);
+    const [elbowX, elbowY] = getBoneEnd(skeleton, pose, 'rightUpperArm');
+    const [shoulderX, shoulderY] = getBoneEnd(skeleton, pose, 'rightShoulder');
+    assertNear(Math.atan2(elbowY - shoulderY, elbowX - shoulderX), 0, 1e-9, 'upper arm direction');
+});
+
+test('keeps joint angles in range, going to the nearer end', () => {
+    const skeleton = createSkeleton(RIG);
+    const pose = createRestPose(skeleton);
+    
+    assert.equal(setBoneAngle(skeleton, pose, 'torso', 45), 20);
+    assert.equal(setBoneAngle(skeleton, pose, 'rightUpperArm', 60), 45, 'across the body');
+    assert.equal(setBoneAngle(skeleton, pose, 'rightUpperArm', 175), -180, 'over the head');
+    assert.equal(setBoneAngle(skeleton, pose, 'leftUpperArm', -190), 170, 'the same angle the other way round');
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+// Body pose tests - Normalizing tracked bodies (processMediaPipePose) and posing the avatar's arms and shoulders
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    startApp, trackFixture, getAvatarPart, getAvatarBone, getPartNumber, getBoneTransform, getAvatarPose
+} from './helpers/app.js';
+import { assertNear } from './helpers/assert.js';
+import { createSkeleton, getBoneEnd } from '../js/avatar/avatarSkeleton.js';
+import { getAvatarDefinition, DEFAULT_AVATAR } from '../js/avatar/avatarDefinitions.js';
+
+// Frame centre and the avatar's shoulder width, which tracked bodies are normalized to
+const CENTER = { x: 320, y: 240 };
+const AVATAR_SHOULDER_WIDTH = 170;
+
+// The skeleton of the tricolor avatar's rig; avatars are only read once the app has started
+function getSkeleton() {
+    return createSkeleton(getAvatarDefinition(DEFAULT_AVATAR).rig);
+}
+
+// Direction on screen of the avatar's upper arm, from its shoulder to its elbow, in degrees
+function getUpperArmDirection(side) {
+    const pose = getAvatarPose();
+    const [shoulderX, shoulderY] = getBoneEnd(getSkeleton(), pose, `${side}Shoulder`);
+    const [elbowX, elbowY] = getBoneEnd(getSkeleton(), pose, `${side}UpperArm`);
+    return Math.atan2(elbowY - shoulderY, elbowX - shoulderX) * 180 / Math.PI;
+}
+
+// Direction on screen from one tracked keypoint to another, in degrees
+function getTrackedDirection(appState, from, to) {
+    const [a, b] = [appState.lastBodyPosition[from], appState.lastBodyPosition[to]];
+    return Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+}
+
+test('centres the shoulders on the canvas at the avatar\'s shoulder width', async () => {
+    const { appState } = await startApp();
+    await trackFixture('arms-up');
+    
+    const [leftShoulder, rightShoulder] = [appState.lastBodyPosition[5], appState.lastBodyPosition[6]];
+    assertNear((leftShoulder.x + rightShoulder.x) / 2, CENTER.x, 0.01, 'shoulder midpoint x');
+    assertNear((leftShoulder.y + rightShoulder.y) / 2, CENTER.y, 0.01, 'shoulder midpoint y');
+    assertNear(rightShoulder.x - leftShoulder.x, AVATAR_SHOULDER_WIDTH, 0.01, 'shoulder span');
+});
+
+test('scales the rest of the body by the same factor as the shoulders', async () => {
+    const { appState } = await startApp();
+    await trackFixture('arms-up');
+    
+    // The fixture's shoulders are 100 px apart around (320, 240), and its left elbow is at (230, 170)
+    const scale = AVATAR_SHOULDER_WIDTH / 100;
+    const leftElbow = appState.lastBodyPosition[7];
+    assertNear(leftElbow.x, CENTER.x + (230 - 320) * scale, 0.01, 'left elbow x');
+    assertNear(leftElbow.y, CENTER.y + (170 - 240) * scale, 0.01, 'left elbow y');
+});
+
+test('raises the upper arms when the elbows are above the shoulders', async () => {
+    const { appState } = await startApp();
+    await trackFixture('arms-up');
+    
+    // The right elbow is 40 px out and 70 px up; the left one is up and out past the shoulder.
+    // With the torso and shoulders they hang from, the upper arms point where the elbows are
+    assertNear(getUpperArmDirection('right'), Math.atan2(-70, 40) * 180 / Math.PI, 0.01, 'right upper arm');
+    assertNear(getUpperArmDirection('left'), getTrackedDirection(appState, 5, 7), 0.01, 'left upper arm');
+    assert.ok(getBoneTransform('leftUpperArm').rotate[0] > 90, 'left upper arm raised above level');
+});
+
+test('hangs the upper arms when they are relaxed', async () => {
+    const { appState } = await startApp();
+    await trackFixture('neutral');
+    
+    assertNear(getUpperArmDirection('left'), getTrackedDirection(appState, 5, 7), 0.01, 'left upper arm');
+    assertNear(getUpperArmDirection('right'), getTrackedDirection(appState, 6, 8), 0.01, 'right upper arm');
+    assertNear(getBoneTransform('leftUpperArm').rotate[0], 0, 15, 'left upper arm near rest');
+    assertNear(getBoneTransform('rightUpperArm').rotate[0], 0, 15, 'right upper arm near rest');
+});
+
+test('hangs the arms from the avatar\'s shoulders', async () => {
+    await startApp();
+    await trackFixture('neutral');
+    
+    // The shoulders stay where the avatar draws them, and carry the arms
+    assert.equal(getPartNumber('leftShoulder', 'cx'), -85);
+    assert.equal(getPartNumber('rightShoulder', 'cx'), 85);
+    assert.deepEqual(getBoneTransform('rightUpperArm').rotate.slice(1), [85, 50]);
+    assert.ok(getAvatarBone('rightShoulder').contains(getAvatarPart('rightUpperArm')));
+});
+
+test('tracks the body without errors', async () => {
+    const { errors } = await startApp();
+    await trackFixture('neutral');
+    await trackFixture('arms-up');
+    
+    assert.deepEqual(errors, []);
+});
\ No newline at end of file
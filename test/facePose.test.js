@@ -0,0 +1,75 @@
+// Face pose tests - Head pose and expressions from face landmarks (processMediaPipeFace) and the avatar's face
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, trackFixture, getPartNumber, getPartTransform } from './helpers/app.js';
+import { assertNear } from './helpers/assert.js';
+
+test('finds a frontal head facing the camera', async () => {
+    const { appState } = await startApp();
+    await trackFixture('neutral');
+    
+    const { rx, ry, rz } = appState.lastFacePosition;
+    assertNear(rx, 0, 0.5, 'pitch');
+    assertNear(ry, 0, 0.5, 'yaw');
+    assertNear(rz, 0, 0.5, 'roll');
+    assertNear(getPartTransform('head').rotate[0], 0, 0.5, 'head rotation');
+});
+
+test('measures a turned head\'s yaw', async () => {
+    const { appState } = await startApp();
+    await trackFixture('head-turned');
+    
+    const { rx, ry, rz } = appState.lastFacePosition;
+    assertNear(ry, 30, 1, 'yaw');
+    assertNear(rx, 0, 1, 'pitch');
+    assertNear(rz, 0, 1, 'roll');
+});
+
+test('shifts the avatar\'s eyes with the head\'s yaw', async () => {
+    const { appState } = await startApp();
+    await trackFixture('head-turned');
+    
+    const shift = appState.lastFacePosition.ry * 0.25;
+    assertNear(getPartNumber('leftEye', 'cx'), -25 - shift, 0.01, 'left eye');
+    assertNear(getPartNumber('rightEye', 'cx'), 25 - shift, 0.01, 'right eye');
+    assert.ok(getPartNumber('leftEye', 'cx') < -30, 'the eyes look towards the turn');
+});
+
+test('moves the head with where the face is in the frame', async () => {
+    const { appState } = await startApp();
+    await trackFixture('neutral');
+    
+    // The fixture's nose is about 59 px above the middle of the frame
+    const { x, y } = appState.lastFacePosition;
+    assertNear(x, 0, 0.1, 'across');
+    assertNear(y, (180.9 - 240) / 240 * 15 * 2.5, 0.1, 'up and down');
+    const [headX, headY] = getPartTransform('head').translate;
+    assertNear(headX, x * 1.2, 1e-9, 'head x');
+    assertNear(headY, y * 1.2, 1e-9, 'head y');
+});
+
+test('shows open eyes and a closed mouth for a relaxed face', async () => {
+    await startApp();
+    await trackFixture('neutral');
+    
+    assertNear(getPartNumber('leftEye', 'ry'), 15, 0.5, 'left eye height');
+    assertNear(getPartNumber('rightEye', 'ry'), 15, 0.5, 'right eye height');
+    assertNear(getPartNumber('mouth', 'ry'), 3, 0.5, 'mouth height');
+});
+
+test('opens the avatar\'s mouth with the lips', async () => {
+    await startApp();
+    await trackFixture('mouth-open');
+    
+    // The inner lip gap is 45% of the mouth width, three quarters of a wide open mouth
+    assertNear(getPartNumber('mouth', 'ry'), 3 + 0.75 * 12, 0.5, 'mouth height');
+});
+
+test('tracks faces without errors', async () => {
+    const { errors } = await startApp();
+    await trackFixture('neutral');
+    await trackFixture('head-turned');
+    await trackFixture('mouth-open');
+    
+    assert.deepEqual(errors, []);
+});
\ No newline at end of file
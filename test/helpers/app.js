@@ -0,0 +1,179 @@
+// Test App - Boots the whole app in jsdom, with fake detectors, for tracking and avatar tests
+//
+// index.html is loaded without its CDN scripts, the browser globals the modules use
+// are copied from the jsdom window, and canvas drawing is a no-op. The animation
+// loop never runs by itself: tests drive tracking one frame at a time on their own
+// clock with trackFixture(), so results don't depend on timing.
+//
+// Node runs each test file in its own process, so each file gets a fresh app.
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { installFakeDetectors, loadFixture } from './fakeDetectors.js';
+
+// Browser globals the app's modules use without going through window
+const GLOBALS = [
+    'window', 'document', 'navigator', 'localStorage', 'HTMLElement', 'HTMLCanvasElement', 'Image',
+    'XMLSerializer', 'DOMParser', 'Blob', 'File', 'FileReader', 'Event', 'CustomEvent', 'EventTarget', 'DataTransfer'
+];
+
+// How long to wait for the app to finish setting up (ms)
+const STARTUP_TIMEOUT = 10000;
+
+// Local variables
+let app = null;
+let frameClock = null;
+
+// Start the app once per test file; resolves to { window, document, appState, elements, tracking, avatar, errors }
+export function startApp() {
+    if (!app) {
+        app = bootApp();
+    }
+    return app;
+}
+
+// Track a fixture for a number of frames at a frame rate, as a video file is rendered.
+// With { reset: false } tracking carries on from the frames before instead of starting afresh.
+export async function trackFixture(name, { frames = 30, frameRate = 30, reset = true } = {}) {
+    const { tracking, detectors } = await startApp();
+    
+    if (reset || frameClock === null) {
+        tracking.beginFrameTracking();
+        frameClock = 0;
+    }
+    
+    detectors.setFixture(typeof name === 'string' ? loadFixture(name) : name);
+    for (let i = 0; i < frames; i++) {
+        await tracking.trackVideoFrame(frameClock++ / frameRate);
+    }
+}
+
+// Find a part of the primary avatar, the first in the avatar layer, by its data-part name
+export function getAvatarPart(name) {
+    const part = document.querySelector(`#avatarLayer [data-part="${name}"]`);
+    if (!part) {
+        throw new Error(`The avatar has no part called ${name}`);
+    }
+    return part;
+}
+
+// Numeric attribute of a part of the primary avatar
+export function getPartNumber(name, attribute) {
+    return parseFloat(getAvatarPart(name).getAttribute(attribute));
+}
+
+// The functions of a part's transform with their arguments, e.g. { translate: [12, -6], rotate: [4] }
+export function getPartTransform(name) {
+    return parseTransform(getAvatarPart(name).getAttribute('transform'));
+}
+
+// Find the group of one of the primary avatar's bones (see avatarSkeleton.js) by name
+export function getAvatarBone(name) {
+    const bone = document.querySelector(`#avatarLayer [data-bone="${name}"]`);
+    if (!bone) {
+        throw new Error(`The avatar has no bone called ${name}`);
+    }
+    return bone;
+}
+
+// The transform of one of the primary avatar's bones, e.g. { rotate: [30, 85, 50] }
+export function getBoneTransform(name) {
+    return parseTransform(getAvatarBone(name).getAttribute('transform'));
+}
+
+// The joint angles of the primary avatar's bones, as a pose for avatarSkeleton.js
+export function getAvatarPose() {
+    const pose = {};
+    document.querySelectorAll('#avatarLayer [data-bone]').forEach(bone => {
+        if (!(bone.getAttribute('data-bone') in pose)) {
+            pose[bone.getAttribute('data-bone')] = parseTransform(bone.getAttribute('transform')).rotate[0];
+        }
+    });
+    return pose;
+}
+
+// Split a transform attribute into its functions and their arguments
+function parseTransform(text) {
+    const transform = {};
+    const pattern = /(\w+)\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(text || ''))) {
+        transform[match[1]] = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+    }
+    return transform;
+}
+
+// Load the page into jsdom, put the fakes in place and wait for the app to set itself up
+async function bootApp() {
+    const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8')
+        .replace(/<script[\s\S]*?<\/script>/g, '');
+    const dom = new JSDOM(html, { pretendToBeVisual: true, url: 'http://localhost/' });
+    const { window } = dom;
+    
+    GLOBALS.forEach(name => {
+        if (window[name] !== undefined) {
+            Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+        }
+    });
+    
+    // Frames are driven by the tests, never by the display
+    globalThis.requestAnimationFrame = () => 0;
+    globalThis.cancelAnimationFrame = () => {};
+    window.requestAnimationFrame = globalThis.requestAnimationFrame;
+    window.cancelAnimationFrame = globalThis.cancelAnimationFrame;
+    
+    // jsdom has no canvas drawing; every context method does nothing
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        return createNullContext();
+    };
+    window.HTMLMediaElement.prototype.load = () => {};
+    
+    // Anything the app reports as an error fails the tests that check for it
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => {
+        errors.push(args);
+        consoleError(...args);
+    };
+    
+    const detectors = installFakeDetectors(window);
+    
+    const main = await import('../../js/main.js');
+    const tracking = await import('../../js/tracking/trackingManager.js');
+    const avatar = await import('../../js/avatar/avatarRenderer.js');
+    
+    window.dispatchEvent(new window.Event('DOMContentLoaded'));
+    await waitFor(() => main.elements.loadingScreen.style.display === 'none', STARTUP_TIMEOUT);
+    
+    return {
+        window,
+        document: window.document,
+        appState: main.appState,
+        elements: main.elements,
+        tracking,
+        avatar,
+        detectors,
+        errors
+    };
+}
+
+// A 2D context whose methods all do nothing (gradients included) and whose properties can be set
+function createNullContext() {
+    return new Proxy({}, {
+        get: (target, property) => property in target ? target[property] : () => ({ addColorStop() {} }),
+        set: (target, property, value) => {
+            target[property] = value;
+            return true;
+        }
+    });
+}
+
+// Poll until a condition holds, failing after a timeout (ms)
+async function waitFor(condition, timeout) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('The app did not finish starting up');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,7 @@
+// Assertions shared by the tests
+import assert from 'node:assert/strict';
+
+// Fail unless a number is within a tolerance of the expected value
+export function assertNear(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Fake Detectors - Stand-ins for the MediaPipe detector scripts that return fixture detections
+//
+// The app finds its detectors on window (poseDetection, faceLandmarksDetection and
+// handPoseDetection, set by the CDN scripts). These fakes go in their place and answer
+// every frame with the detections of the fixture last set, so a test decides exactly
+// what the trackers "see".
+import { readFileSync } from 'node:fs';
+
+// Face Mesh landmarks, with the iris landmarks of refineLandmarks
+const FACE_MESH_SIZE = 478;
+
+// Read a fixture from test/fixtures by name
+export function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`../fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// Put fake detectors on window; returns { setFixture(fixture) } to choose what they detect
+export function installFakeDetectors(window) {
+    let detections = { poses: [], faces: [], hands: [] };
+    
+    // Detectors hand out copies, as the real ones return fresh objects every frame
+    const respond = (list) => async () => structuredClone(list());
+    
+    window.poseDetection = {
+        SupportedModels: { BlazePose: 'BlazePose', MoveNet: 'MoveNet' },
+        movenet: { modelType: { MULTIPOSE_LIGHTNING: 'MultiPose.Lightning' } },
+        createDetector: async () => ({ estimatePoses: respond(() => detections.poses), dispose() {} })
+    };
+    window.faceLandmarksDetection = {
+        SupportedModels: { MediaPipeFaceMesh: 'MediaPipeFaceMesh' },
+        createDetector: async () => ({ estimateFaces: respond(() => detections.faces), dispose() {} })
+    };
+    window.handPoseDetection = {
+        SupportedModels: { MediaPipeHands: 'MediaPipeHands' },
+        createDetector: async () => ({ estimateHands: respond(() => detections.hands), dispose() {} })
+    };
+    
+    return {
+        // Detect what a fixture holds from now on
+        setFixture(fixture) {
+            detections = {
+                poses: fixture.poses || [],
+                faces: (fixture.faces || []).map(face => ({ keypoints: expandFaceMesh(face.keypoints) })),
+                hands: fixture.hands || []
+            };
+        }
+    };
+}
+
+// Fixtures only list the face landmarks the app reads ({ index: [x, y] }); the rest of the mesh
+// is placed at their centroid, so the face's centre is where the listed landmarks put it
+function expandFaceMesh(sparse) {
+    const listed = Object.values(sparse);
+    const centroid = {
+        x: listed.reduce((sum, [x]) => sum + x, 0) / listed.length,
+        y: listed.reduce((sum, [, y]) => sum + y, 0) / listed.length
+    };
+    
+    const keypoints = Array.from({ length: FACE_MESH_SIZE }, () => ({ ...centroid, z: 0 }));
+    Object.entries(sparse).forEach(([index, [x, y]]) => {
+        keypoints[index] = { x, y, z: 0 };
+    });
+    return keypoints;
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+// Motion clip tests - Parsing, sampling and cross-fading keyframed clips, and the idle loss behaviour playing them
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, trackFixture, getBoneTransform } from './helpers/app.js';
+import { assertNear } from './helpers/assert.js';
+import {
+    parseMotionClip, sampleClip, createClipPlayer, getMotionClip, saveMotionClip, deleteMotionClip, getMotionClips,
+    JOINT_NAMES, REST_BODY_OFFSETS
+} from '../js/tracking/motionClips.js';
+
+// A clip that raises the right wrist and turns the head between two keyframes
+function createClip(options = {}) {
+    return parseMotionClip(JSON.stringify({
+        name: 'test', duration: 2, loop: true,
+        keyframes: [
+            { time: 0, body: { rightWrist: [115, 146] }, face: { ry: 0 }, ease: 'linear' },
+            { time: 1, body: { rightWrist: [115, 46] }, face: { ry: 20 }, ease: 'linear' }
+        ],
+        ...options
+    }));
+}
+
+const RIGHT_WRIST = JOINT_NAMES.indexOf('rightWrist');
+
+test('rejects clips that aren\'t valid', () => {
+    assert.throws(() => parseMotionClip('{ nope'), /not valid JSON/);
+    assert.throws(() => parseMotionClip('{"name": "a", "duration": 1, "keyframes": []}'), /at least one keyframe/);
+    assert.throws(() => parseMotionClip('{"name": "a", "duration": 1, "keyframes": [{"time": 2}]}'), /"time" from 0/);
+    assert.throws(
+        () => parseMotionClip('{"name": "a", "duration": 1, "keyframes": [{"time": 0, "body": {"tail": [0, 0]}}]}'),
+        /Unknown joint "tail"/
+    );
+});
+
+test('keeps joints a keyframe leaves out where they were, starting from rest', () => {
+    const pose = sampleClip(createClip(), 0.5);
+    
+    assert.deepEqual(pose.body[JOINT_NAMES.indexOf('leftElbow')], REST_BODY_OFFSETS[JOINT_NAMES.indexOf('leftElbow')]);
+    assert.equal(pose.face.rx, 0);
+});
+
+test('moves between keyframes as each keyframe eases', () => {
+    const linear = createClip();
+    assert.deepEqual(sampleClip(linear, 0.25).body[RIGHT_WRIST], [115, 121]);
+    assert.equal(sampleClip(linear, 0.25).face.ry, 5);
+    
+    const smooth = createClip({ keyframes: [{ time: 0 }, { time: 1, face: { ry: 20 } }] });
+    assertNear(sampleClip(smooth, 0.25).face.ry, 20 * 0.15625, 1e-9, 'eased in');
+    assertNear(sampleClip(smooth, 0.5).face.ry, 10, 1e-9, 'halfway');
+});
+
+test('loops back from the last keyframe to the first', () => {
+    const clip = createClip();
+    
+    assert.equal(sampleClip(clip, 1.5).face.ry, 10);
+    assert.equal(sampleClip(clip, 2.25).face.ry, 5);
+});
+
+test('holds the last keyframe of a clip that doesn\'t loop', () => {
+    const clip = createClip({ loop: false });
+    
+    assert.equal(sampleClip(clip, 1.5).face.ry, 20);
+    assert.equal(sampleClip(clip, 10).face.ry, 20);
+});
+
+test('cross-fades from one clip to the next', async () => {
+    await startApp();
+    const player = createClipPlayer();
+    const lookAround = getMotionClip('lookAround');
+    player.play('lookAround', 0);
+    player.sample(3);
+    
+    // Waving holds the head turned 5 degrees; the fade takes 0.6 s and eases in and out
+    player.play('wave', 3);
+    assertNear(player.sample(3).face.ry, sampleClip(lookAround, 3).face.ry, 1e-9, 'start of the fade');
+    assertNear(player.sample(3.3).face.ry, (sampleClip(lookAround, 3.3).face.ry + 5) / 2, 1e-9, 'halfway through the fade');
+    assertNear(player.sample(4).face.ry, 5, 1e-9, 'after the fade');
+});
+
+test('starts the clip again when the clock goes back', async () => {
+    await startApp();
+    const player = createClipPlayer();
+    player.play('nod', 100);
+    const start = player.sample(100);
+    
+    player.sample(100.5);
+    assert.deepEqual(player.sample(0), start);
+});
+
+test('keeps loaded clips and lists them after the built-in ones', async () => {
+    await startApp();
+    const clip = parseMotionClip(JSON.stringify({ name: 'shrug', label: 'Shrugging', duration: 1, keyframes: [{ time: 0 }] }));
+    
+    saveMotionClip(clip);
+    assert.deepEqual(getMotionClips().at(-1), { name: 'shrug', label: 'Shrugging', custom: true });
+    
+    deleteMotionClip('shrug');
+    assert.ok(!getMotionClips().some(listed => listed.name === 'shrug'));
+    assert.throws(() => saveMotionClip({ ...clip, name: 'wave' }), /built-in clip/);
+});
+
+test('plays the chosen clip when tracking is lost and the idle behaviour is chosen', async () => {
+    const { appState, errors } = await startApp();
+    const { lost } = appState.config.trackingLoss;
+    appState.config.trackingLoss.lost = 'idle';
+    appState.config.idleClip = 'wave';
+    
+    try {
+        await trackFixture('neutral');
+        assertNear(getBoneTransform('rightUpperArm').rotate[0], 0, 15, 'hanging right upper arm');
+        
+        // The waving elbow is 55 px out from the shoulder and 30 px above it; at rest the upper arm hangs down
+        await trackFixture('empty-frame', { frames: 120, reset: false });
+        assertNear(getBoneTransform('rightUpperArm').rotate[0], Math.atan2(-30, 55) * 180 / Math.PI - 90, 2, 'right upper arm');
+        assert.deepEqual(errors, []);
+    } finally {
+        appState.config.trackingLoss.lost = lost;
+        appState.config.idleClip = 'mix';
+    }
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Tracking loss tests - Empty frames, and what the avatar does when the person leaves
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, trackFixture, getPartNumber, getPartTransform } from './helpers/app.js';
+import { assertNear } from './helpers/assert.js';
+
+test('leaves the avatar at rest when nobody has been seen', async () => {
+    const { tracking, errors } = await startApp();
+    await trackFixture('empty-frame');
+    
+    assert.equal(tracking.getTrackingState(), 'lost');
+    assert.deepEqual(getPartTransform('head').translate, [0, 0]);
+    assert.equal(getPartNumber('leftEye', 'cx'), -25);
+    assert.deepEqual(errors, []);
+});
+
+test('reports a body without a face as degraded', async () => {
+    const { tracking } = await startApp();
+    await trackFixture('arms-up');
+    
+    assert.equal(tracking.getTrackingState(), 'degraded');
+});
+
+test('goes from tracking to lost when the person leaves the frame', async () => {
+    const { tracking } = await startApp();
+    const states = [];
+    const onStateChange = (e) => {
+        if (e.detail.primary) states.push(e.detail.state);
+    };
+    
+    tracking.trackingEvents.addEventListener('statechange', onStateChange);
+    try {
+        await trackFixture('neutral');
+        assert.equal(tracking.getTrackingState(), 'tracking');
+        
+        // A person missed for less than the lost delay (half a second) could still be there
+        await trackFixture('empty-frame', { frames: 10, reset: false });
+        assert.equal(tracking.getTrackingState(), 'tracking');
+        
+        await trackFixture('empty-frame', { frames: 10, reset: false });
+        assert.equal(tracking.getTrackingState(), 'lost');
+        assert.deepEqual(states.slice(states.indexOf('tracking')), ['tracking', 'lost']);
+    } finally {
+        tracking.trackingEvents.removeEventListener('statechange', onStateChange);
+    }
+});
+
+test('eases a turned head back to rest once tracking is lost', async () => {
+    const { errors } = await startApp();
+    await trackFixture('head-turned');
+    assert.ok(getPartNumber('leftEye', 'cx') < -30, 'the head was turned');
+    
+    await trackFixture('empty-frame', { frames: 90, reset: false });
+    assertNear(getPartNumber('leftEye', 'cx'), -25, 0.5, 'left eye');
+    assertNear(getPartTransform('head').rotate[0], 0, 0.5, 'head rotation');
+    assert.deepEqual(errors, []);
+});
\ No newline at end of file